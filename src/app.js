@@ -21,9 +21,13 @@ import adminRoutes from "./routes/admin.js";
 import TaskRoutes from "./routes/tasks.routes.js";
 import MultiplayeRoutes from "./routes/roulette.routes.js";
 import pokerRoutes from "./routes/poker.routes.js";
+import fairnessRoutes from "./routes/fairness.routes.js";
 import { createServer } from "http";
 import dotenv from "dotenv";
 import webSocketService from "./services/WebSocketService.js";
+import EnhancedPokerService from "./services/EnhancedPokerService.js";
+import tournamentService from "./services/PokerTournamentService.js";
+import scheduler from "./services/PhaseScheduler.js";
 import { logger } from "./utils/logger.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -82,6 +86,7 @@ app.use("/api/admin/auth", adminAuthRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/tasks", TaskRoutes);
 app.use("/api/poker", pokerRoutes);
+app.use("/api/fairness", fairnessRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -113,6 +118,17 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Runs roulette phases and poker timers, overdue ones first
+  scheduler.start();
+
+  // Pick up the poker tables, then the tournaments playing on them, that
+  // were open before the restart
+  new EnhancedPokerService()
+    .recoverRooms()
+    .catch((error) => logger.error("Error recovering poker rooms:", error))
+    .then(() => tournamentService.recoverTournaments())
+    .catch((error) => logger.error("Error recovering tournaments:", error));
 });
 
 export default app;
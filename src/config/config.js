@@ -43,6 +43,9 @@ const envVarsSchema = Joi.object()
     REDIS_HOST: Joi.string().description("Redis host"),
     REDIS_PORT: Joi.number().description("Redis port"),
     REDIS_PASSWORD: Joi.string().description("Redis password"),
+    POKER_HOUSE_USER_ID: Joi.string().description(
+      "User whose chips fund bot seats at real-chip poker tables"
+    ),
   })
   .unknown();
 
@@ -82,6 +85,9 @@ const config = {
     port: envVars.REDIS_PORT || 6379,
     password: envVars.REDIS_PASSWORD,
   },
+  poker: {
+    houseUserId: envVars.POKER_HOUSE_USER_ID,
+  },
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
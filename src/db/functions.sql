@@ -19,6 +19,10 @@ BEGIN
             WHEN currency = 'chips' AND type = 'bet' AND status = 'completed' THEN -amount
             WHEN currency = 'chips' AND type = 'win' AND status = 'completed' THEN amount
             WHEN currency = 'chips' AND type = 'refund' AND status = 'completed' THEN amount
+            WHEN currency = 'chips' AND type = 'poker_buy_in' AND status = 'completed' THEN -amount
+            WHEN currency = 'chips' AND type = 'poker_cash_out' AND status = 'completed' THEN amount
+            WHEN currency = 'chips' AND type = 'tournament_buy_in' AND status = 'completed' THEN -amount
+            WHEN currency = 'chips' AND type = 'tournament_prize' AND status = 'completed' THEN amount
             ELSE 0
         END), 0) as chips
     FROM transactions
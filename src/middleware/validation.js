@@ -26,6 +26,12 @@ export const gameSchemas = {
 
   placeBet: Joi.object({
     betAmount: Joi.number().min(1).required(),
+    // Roulette only: 17, "red" or { type: "split", value: [17, 20] }
+    bet: Joi.alternatives().try(
+      Joi.number(),
+      Joi.string(),
+      Joi.object({ type: Joi.string().required(), value: Joi.any() })
+    ),
   }),
 
   gameResult: Joi.object({
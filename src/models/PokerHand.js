@@ -0,0 +1,83 @@
+import { supabase } from "../db/supabase.js";
+
+class PokerHand {
+  static async createHand(history) {
+    const { data, error } = await supabase
+      .from("poker_hands")
+      .insert([
+        {
+          room_id: history.roomId,
+          tournament_id: history.tournamentId,
+          hand_number: history.handNumber,
+          player_ids: history.seats.map((seat) => seat.playerId),
+          big_blind: history.bigBlind,
+          history,
+          started_at: history.startedAt,
+          ended_at: history.endedAt,
+        },
+      ])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  }
+
+  static async getHand(handId) {
+    const { data, error } = await supabase
+      .from("poker_hands")
+      .select("*")
+      .eq("id", handId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Most recent first; optional roomId / limit / offset
+  static async getPlayerHands(
+    playerId,
+    { roomId, limit = 50, offset = 0 } = {}
+  ) {
+    let query = supabase
+      .from("poker_hands")
+      .select("*")
+      .contains("player_ids", [playerId])
+      .order("ended_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (roomId) query = query.eq("room_id", roomId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Every history the player was seated for, oldest first, read in pages.
+  // Optional big blind (stake level) and ended_at range.
+  static async getPlayerHistories(playerId, { bigBlind, from, to } = {}) {
+    const pageSize = 1000;
+    const histories = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+      let query = supabase
+        .from("poker_hands")
+        .select("history")
+        .contains("player_ids", [playerId])
+        .order("ended_at", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (bigBlind !== undefined) query = query.eq("big_blind", bigBlind);
+      if (from) query = query.gte("ended_at", from);
+      if (to) query = query.lte("ended_at", to);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      histories.push(...data.map((row) => row.history));
+      if (data.length < pageSize) return histories;
+    }
+  }
+}
+
+export default PokerHand;
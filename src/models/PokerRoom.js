@@ -0,0 +1,42 @@
+import { supabase } from "../db/supabase.js";
+
+// Durable copy of the poker room state kept in Redis, one row per table
+class PokerRoom {
+  static async saveSnapshot(room) {
+    const { error } = await supabase.from("poker_rooms").upsert([
+      {
+        id: room.id,
+        tournament_id: room.tournamentId,
+        status: room.status,
+        hand_number: room.handNumber,
+        state: room,
+        updated_at: room.updatedAt,
+      },
+    ]);
+
+    if (error) throw error;
+  }
+
+  // Tables not closed yet, most recently updated first
+  static async getOpenRooms() {
+    const { data, error } = await supabase
+      .from("poker_rooms")
+      .select("id, state")
+      .is("closed_at", null)
+      .order("updated_at", { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async closeRoom(roomId) {
+    const { error } = await supabase
+      .from("poker_rooms")
+      .update({ closed_at: new Date().toISOString() })
+      .eq("id", roomId);
+
+    if (error) throw error;
+  }
+}
+
+export default PokerRoom;
@@ -10,7 +10,14 @@ class Transaction {
     this.status = TRANSACTION_STATUS.PENDING;
   }
 
-  static async createTransaction(type, amount, userId, gameId, currency) {
+  static async createTransaction(
+    type,
+    amount,
+    userId,
+    gameId,
+    currency,
+    metadata = null
+  ) {
     const now = new Date().toISOString();
     const { data, error } = await supabase
       .from("transactions")
@@ -21,6 +28,7 @@ class Transaction {
           user_id: userId,
           game_id: gameId,
           currency,
+          metadata,
           status: TRANSACTION_STATUS.PENDING,
           created_at: now,
           updated_at: now,
@@ -1,9 +1,11 @@
 import express from "express";
 import adminService from "../services/AdminService.js";
+import EnhancedPokerService from "../services/EnhancedPokerService.js";
 import { validateAdminAccess } from "../middleware/auth.js";
 import { logger } from "../utils/logger.js";
 
 const router = express.Router();
+const pokerService = new EnhancedPokerService();
 
 // Apply admin access middleware to all routes
 router.use(validateAdminAccess);
@@ -83,6 +85,23 @@ router.get("/users/:userId", async (req, res) => {
   }
 });
 
+router.get("/users/:userId/poker-stats", async (req, res) => {
+  try {
+    const { bigBlind, from, to } = req.query;
+    const stats = await pokerService.getPlayerStats(req.params.userId, {
+      bigBlind: bigBlind === undefined ? undefined : Number(bigBlind),
+      from,
+      to,
+    });
+    res.json(stats);
+  } catch (error) {
+    logger.error(
+      `Error in GET /admin/users/:userId/poker-stats: ${error.message}`
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.post("/users/:userId/balance", async (req, res) => {
   try {
     const { brokecoinDelta, chipsDelta } = req.body;
@@ -241,4 +260,47 @@ router.get("/stats", async (req, res) => {
   }
 });
 
+// Poker hand replay with every hole card, for disputes
+router.get("/poker/hands/:handId/replay", async (req, res) => {
+  try {
+    const replay = await pokerService.replayHand(req.params.handId, null, {
+      step: req.query.step,
+      revealAll: true,
+    });
+    res.json(replay);
+  } catch (error) {
+    logger.error(
+      `Error in GET /admin/poker/hands/:handId/replay: ${error.message}`
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lets bots sit at a real-chip table, or bars and unseats them
+router.post("/poker/rooms/:roomId/bots", async (req, res) => {
+  try {
+    const room = await pokerService.setBotsAllowed(
+      req.params.roomId,
+      req.body.enabled
+    );
+    res.json(room);
+  } catch (error) {
+    logger.error(
+      `Error in POST /admin/poker/rooms/:roomId/bots: ${error.message}`
+    );
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/stats/rake", async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const summary = await adminService.getPokerRakeSummary(startDate, endDate);
+    res.json(summary);
+  } catch (error) {
+    logger.error(`Error in GET /admin/stats/rake: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import Joi from "joi";
+import catchAsync from "../utils/catchAsync.js";
+import fairness from "../services/FairnessService.js";
+import rouletteBets from "../services/RouletteBets.js";
+
+const router = express.Router();
+
+const verifySchema = Joi.object({
+  game: Joi.string()
+    .valid(...Object.keys(fairness.games))
+    .required(),
+  serverSeed: Joi.string().required(),
+  serverSeedHash: Joi.string(),
+  clientSeed: Joi.string().allow("").default(""),
+  nonce: Joi.number().integer().min(0).default(0),
+  variant: Joi.string().valid("holdem", "omaha", "short-deck"),
+  wheel: Joi.string().valid(...Object.keys(rouletteBets.WHEELS)),
+});
+
+// Recomputes a deck order or winning number from revealed seeds. Public, so
+// anyone can check a result without an account.
+router.post(
+  "/verify",
+  catchAsync(async (req, res) => {
+    const { error, value } = verifySchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    res.json({
+      success: true,
+      ...fairness.verify(value),
+    });
+  })
+);
+
+export default router;
@@ -49,6 +49,30 @@ router.post(
   }
 );
 
+// ✅ Create a multiplayer roulette table, e.g. { wheel: "french", zeroRule: "en-prison" },
+// with optional limits, e.g. { maxBet: 500, typeMax: { straight: 50 }, maxExposure: 2000 }
+router.post("/roulette/multiplayer", authenticate, async (req, res) => {
+  try {
+    const { betAmount, maxPlayers, wheel, zeroRule, limits } = req.body;
+    const userId = req.user.id;
+
+    console.log(
+      `Creating ${wheel || "european"} multiplayer roulette game by user ${userId}`
+    );
+
+    const game = await MultiplayerRouletteService.createMultiplayerGame(
+      userId,
+      Number(betAmount),
+      maxPlayers,
+      { wheel, zeroRule, limits }
+    );
+    res.json({ success: true, game });
+  } catch (error) {
+    logger.error(`Error creating multiplayer roulette game: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ✅ Join a private game
 router.post("/:gameId/join", authenticate, async (req, res) => {
   try {
@@ -98,6 +122,47 @@ router.post("/:gameId/leave", authenticate, async (req, res) => {
   }
 });
 
+// ✅ Set a client seed for the next multiplayer roulette spin
+router.post("/:gameId/client-seed", authenticate, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { clientSeed } = req.body;
+    const userId = req.user.id;
+
+    const clientSeeds = await MultiplayerRouletteService.setClientSeed(
+      gameId,
+      userId,
+      clientSeed
+    );
+    res.json({ success: true, clientSeeds });
+  } catch (error) {
+    logger.error(`Error setting client seed: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ Place a multiplayer roulette bet, e.g. { betType: "split", betValue: [17, 20] }
+// or an announced bet, e.g. { betType: "neighbours", betValue: { number: 17, count: 2 } }
+router.post("/:gameId/bets", authenticate, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { betType, betValue, betAmount } = req.body;
+    const userId = req.user.id;
+
+    const bet = await MultiplayerRouletteService.placeBet(
+      gameId,
+      userId,
+      betType,
+      betValue,
+      Number(betAmount)
+    );
+    res.json({ success: true, bet });
+  } catch (error) {
+    logger.error(`Error placing roulette bet: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ✅ Get user's created games (private rooms they own)
 router.get("/created", authenticate, async (req, res) => {
   try {
@@ -158,13 +223,18 @@ router.post(
   async (req, res) => {
     try {
       const { gameId } = req.params;
-      const { betAmount } = req.body;
+      const { betAmount, bet } = req.body;
       const userId = req.user.id;
 
       console.log(
         `Placing bet: ${betAmount} for game ${gameId} by user ${userId}`
       );
-      const transaction = await GameService.placeBet(gameId, userId, betAmount);
+      const transaction = await GameService.placeBet(
+        gameId,
+        userId,
+        betAmount,
+        bet
+      );
       res.json({ ...transaction, message: SUCCESS_MESSAGES.BET_PLACED });
     } catch (error) {
       logger.error(`Error placing bet: ${error.message}`);
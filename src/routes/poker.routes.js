@@ -1,46 +1,193 @@
 import express from "express";
 import catchAsync from "../utils/catchAsync.js";
 import { authenticate } from "../middleware/auth.js";
+import { AppError } from "../middleware/errorHandler.js";
 import EnhancedPokerService from "../services/EnhancedPokerService.js";
+import pokerEquity from "../services/PokerEquityService.js";
+import tournamentRoutes from "./pokerTournament.routes.js";
 
 const router = express.Router();
 
 // Initialize enhanced poker service
 const pokerService = new EnhancedPokerService();
 
-// Get available rooms
+// Tournaments (mounted before the /:roomId routes)
+router.use("/tournaments", tournamentRoutes);
+
+// Win/tie/equity for hands or ranges, e.g. { hands: ["AhKh", "QQ+"],
+// board: "Qh7h2c", dead: "3s" }
+router.post(
+  "/equity",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { hands, board, dead, variant, samples } = req.body;
+
+    // Anything calculate rejects is a problem with the request
+    let result;
+    try {
+      result = pokerEquity.calculate({
+        hands,
+        board,
+        dead,
+        variant,
+        samples: samples === undefined ? undefined : Number(samples),
+      });
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  })
+);
+
+// Hand history of the current player
 router.get(
-  "/rooms",
+  "/hands",
   authenticate,
   catchAsync(async (req, res) => {
-    const rooms = await pokerService.getAvailableRooms();
+    const { roomId, limit = 50, offset = 0 } = req.query;
+    const hands = await pokerService.getHands(req.user.id, {
+      roomId,
+      limit: Math.min(Number(limit), 200),
+      offset: Number(offset),
+    });
     res.json({
       success: true,
-      rooms: rooms,
+      hands: hands,
     });
   })
 );
 
-// Get room details
+// Poker stats of the current player (admins look up others under
+// /admin/users/:userId/poker-stats). Optional stake (?bigBlind=) and date
+// range (?from=&to=, ISO dates)
 router.get(
-  "/rooms/:roomId",
+  "/stats",
   authenticate,
   catchAsync(async (req, res) => {
-    const { roomId } = req.params;
-    const room = await pokerService.getRoom(roomId);
+    const { bigBlind, from, to } = req.query;
+
+    const stats = await pokerService.getPlayerStats(req.user.id, {
+      bigBlind: bigBlind === undefined ? undefined : Number(bigBlind),
+      from,
+      to,
+    });
+
     res.json({
       success: true,
-      room: room,
+      stats: stats,
     });
   })
 );
 
+router.get(
+  "/hands/:handId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const hand = await pokerService.getHand(req.params.handId, req.user.id);
+    res.json({
+      success: true,
+      hand: hand,
+    });
+  })
+);
+
+// Table state after the blinds and after every action (?step=N for one)
+router.get(
+  "/hands/:handId/replay",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const replay = await pokerService.replayHand(
+      req.params.handId,
+      req.user.id,
+      { step: req.query.step }
+    );
+    res.json({
+      success: true,
+      replay: replay,
+    });
+  })
+);
+
+// PokerStars-format text, for importing into tracking tools
+router.get(
+  "/hands/:handId/export",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const text = await pokerService.exportHand(req.params.handId, req.user.id);
+    res.type("text/plain").send(text);
+  })
+);
+
+// Get available rooms
+router.get(
+  "/rooms",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const rooms = await pokerService.getAvailableRooms();
+    res.json({
+      success: true,
+      rooms: rooms,
+    });
+  })
+);
+
+// Table as the caller sees it: their own seat, or the spectator view.
+// Served at /rooms/:roomId and /:roomId
+const getTable = catchAsync(async (req, res) => {
+  const { roomId } = req.params;
+  const { password, inviteToken } = req.query;
+  const room = await pokerService.getTableView(roomId, req.user.id, {
+    password,
+    inviteToken,
+  });
+
+  res.json({
+    success: true,
+    room: room,
+  });
+});
+
+router.get("/rooms/:roomId", authenticate, getTable);
+
 // Create a new room
 router.post(
   "/create",
   authenticate,
   catchAsync(async (req, res) => {
-    const { name, maxPlayers = 6, minBet = 10, maxBet = 1000 } = req.body;
+    const {
+      name,
+      maxPlayers = 6,
+      minBet = 10,
+      smallBlind,
+      bigBlind,
+      ante,
+      bigBlindAnte,
+      straddle,
+      blindSchedule,
+      maxBet = 1000,
+      minBuyIn,
+      maxBuyIn,
+      rakePercent,
+      rakeCap,
+      noFlopNoDrop,
+      spectatorDelay,
+      actionTime,
+      timeBank,
+      timeBankRefill,
+      maxTimeouts,
+      runItTwice,
+      runItTwiceTime,
+      variant,
+      bettingStructure,
+      raiseCap,
+      practice,
+      isPrivate,
+      password,
+    } = req.body;
     const creatorId = req.user.id;
 
     const room = await pokerService.createRoom({
@@ -48,32 +195,59 @@ router.post(
       creatorId,
       maxPlayers,
       minBet,
+      smallBlind,
+      bigBlind,
+      ante,
+      bigBlindAnte,
+      straddle,
+      blindSchedule,
       maxBet,
+      minBuyIn,
+      maxBuyIn,
+      rakePercent,
+      rakeCap,
+      noFlopNoDrop,
+      spectatorDelay,
+      actionTime,
+      timeBank,
+      timeBankRefill,
+      maxTimeouts,
+      runItTwice,
+      runItTwiceTime,
+      variant,
+      bettingStructure,
+      raiseCap,
+      practice,
+      isPrivate,
+      password,
     });
 
     res.json({
       success: true,
       id: room.id,
-      room: room,
+      room: pokerService.toPlayerView(room, req.user.id),
     });
   })
 );
 
-// Join a room
+// Join a room; private rooms take a password or an invite token
 router.post(
   "/:roomId/join",
   authenticate,
   catchAsync(async (req, res) => {
     const { roomId } = req.params;
     const playerId = req.user.id;
-    const username = req.user.username;
+    const { buyIn, password, inviteToken } = req.body;
 
-    const room = await pokerService.joinRoom(roomId, playerId, username);
+    const room = await pokerService.joinRoom(roomId, playerId, buyIn, {
+      password,
+      inviteToken,
+    });
 
     res.json({
       success: true,
       id: roomId,
-      room: room,
+      room: pokerService.toPlayerView(room, req.user.id),
     });
   })
 );
@@ -95,17 +269,149 @@ router.post(
   })
 );
 
+// Expiring invite to a private room (room creator)
+router.post(
+  "/:roomId/invites",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { expiresInMinutes } = req.body;
+
+    const invite = await pokerService.createInvite(roomId, req.user.id, {
+      expiresInMinutes,
+    });
+
+    res.json({
+      success: true,
+      ...invite,
+    });
+  })
+);
+
+// Remove a player, banning them from the table with `ban` (room creator)
+router.post(
+  "/:roomId/kick",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { playerId, ban } = req.body;
+
+    const room = await pokerService.kickPlayer(roomId, req.user.id, playerId, {
+      ban,
+    });
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+router.delete(
+  "/:roomId/bans/:playerId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId, playerId } = req.params;
+
+    const room = await pokerService.unbanPlayer(roomId, req.user.id, playerId);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+// Stop or allow new players sitting down (room creator)
+router.post(
+  "/:roomId/lock",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { locked } = req.body;
+
+    const room = await pokerService.setLocked(roomId, req.user.id, locked);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+// Hand host rights to another seated player (room creator)
+router.post(
+  "/:roomId/host",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { playerId } = req.body;
+
+    const room = await pokerService.transferHost(roomId, req.user.id, playerId);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+// Seat a server-side bot (room creator; practice tables, or tables an
+// admin opened to bots)
+router.post(
+  "/:roomId/bots",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { strategy, buyIn } = req.body;
+
+    const room = await pokerService.addBot(roomId, req.user.id, {
+      strategy,
+      buyIn,
+    });
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+router.delete(
+  "/:roomId/bots/:botId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId, botId } = req.params;
+
+    await pokerService.removeBot(roomId, req.user.id, botId);
+
+    res.json({
+      success: true,
+      message: "Bot removed",
+    });
+  })
+);
+
 // Get room state
+router.get("/:roomId", authenticate, getTable);
+
+// Card-safe table view for spectators, delayed when the table sets one.
+// Private tables take ?password= or ?inviteToken=
 router.get(
-  "/:roomId",
+  "/:roomId/spectate",
   authenticate,
   catchAsync(async (req, res) => {
     const { roomId } = req.params;
-    const room = await pokerService.getRoom(roomId);
+    const { password, inviteToken } = req.query;
+    const room = await pokerService.getSpectatorView(roomId, req.user.id, {
+      password,
+      inviteToken,
+    });
 
     res.json({
       success: true,
       room: room,
+      spectators: await pokerService.getSpectatorCount(roomId),
     });
   })
 );
@@ -122,7 +428,7 @@ router.post(
 
     res.json({
       success: true,
-      room: room,
+      room: pokerService.toPlayerView(room, req.user.id),
     });
   })
 );
@@ -145,24 +451,77 @@ router.post(
 
     res.json({
       success: true,
-      room: room,
+      room: pokerService.toPlayerView(room, req.user.id),
     });
   })
 );
 
-// Next phase (for testing)
+// Client seed mixed into the next provably fair shuffle
 router.post(
-  "/:roomId/next",
+  "/:roomId/client-seed",
   authenticate,
   catchAsync(async (req, res) => {
     const { roomId } = req.params;
+    const { clientSeed } = req.body;
     const playerId = req.user.id;
 
-    const room = await pokerService.nextPhase(roomId, playerId);
+    const room = await pokerService.setClientSeed(roomId, playerId, clientSeed);
 
     res.json({
       success: true,
-      room: room,
+      fairness: room.fairness,
+    });
+  })
+);
+
+// Agree to run an all-in hand twice, or decline and run it once
+router.post(
+  "/:roomId/run-it-twice",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const { accept } = req.body;
+    const playerId = req.user.id;
+
+    const room = await pokerService.voteRunItTwice(roomId, playerId, accept);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+// Sit out from the next hand (at once between hands)
+router.post(
+  "/:roomId/sit-out",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const playerId = req.user.id;
+
+    const room = await pokerService.sitOut(roomId, playerId);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
+    });
+  })
+);
+
+// "I'm back"
+router.post(
+  "/:roomId/sit-in",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const playerId = req.user.id;
+
+    const room = await pokerService.sitIn(roomId, playerId);
+
+    res.json({
+      success: true,
+      room: pokerService.toPlayerView(room, req.user.id),
     });
   })
 );
@@ -179,7 +538,7 @@ router.post(
 
     res.json({
       success: true,
-      results: results,
+      results: pokerService.toPlayerView(results, req.user.id),
     });
   })
 );
@@ -0,0 +1,142 @@
+import express from "express";
+import catchAsync from "../utils/catchAsync.js";
+import { authenticate } from "../middleware/auth.js";
+import tournamentService from "../services/PokerTournamentService.js";
+
+const router = express.Router();
+
+// List tournaments
+router.get(
+  "/",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournaments = await tournamentService.getTournaments();
+    res.json({
+      success: true,
+      tournaments: tournaments,
+    });
+  })
+);
+
+// Create a Sit & Go or a scheduled tournament
+router.post(
+  "/create",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const {
+      name,
+      type = "sng",
+      buyIn = 0,
+      startingStack,
+      maxPlayers,
+      minPlayers,
+      tableSize,
+      levelMinutes,
+      blindLevels,
+      payouts,
+      startTime,
+    } = req.body;
+
+    const tournament = await tournamentService.createTournament({
+      name: name || `Tournament ${Date.now()}`,
+      creatorId: req.user.id,
+      type,
+      buyIn,
+      startingStack,
+      maxPlayers,
+      minPlayers,
+      tableSize,
+      levelMinutes,
+      blindLevels,
+      payouts,
+      startTime,
+    });
+
+    res.json({
+      success: true,
+      id: tournament.id,
+      tournament: tournament,
+    });
+  })
+);
+
+// Get tournament state
+router.get(
+  "/:tournamentId",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournament = await tournamentService.getTournament(
+      req.params.tournamentId
+    );
+    res.json({
+      success: true,
+      tournament: tournament,
+    });
+  })
+);
+
+// Register (pays the buy-in)
+router.post(
+  "/:tournamentId/register",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournament = await tournamentService.register(
+      req.params.tournamentId,
+      req.user.id
+    );
+    res.json({
+      success: true,
+      tournament: tournament,
+    });
+  })
+);
+
+// Unregister before the start (refunds the buy-in)
+router.post(
+  "/:tournamentId/unregister",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournament = await tournamentService.unregister(
+      req.params.tournamentId,
+      req.user.id
+    );
+    res.json({
+      success: true,
+      tournament: tournament,
+    });
+  })
+);
+
+// Start now (creator only)
+router.post(
+  "/:tournamentId/start",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournament = await tournamentService.startTournament(
+      req.params.tournamentId,
+      req.user.id
+    );
+    res.json({
+      success: true,
+      tournament: tournament,
+    });
+  })
+);
+
+// Cancel before the start and refund everyone (creator only)
+router.post(
+  "/:tournamentId/cancel",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const tournament = await tournamentService.cancelTournament(
+      req.params.tournamentId,
+      req.user.id
+    );
+    res.json({
+      success: true,
+      tournament: tournament,
+    });
+  })
+);
+
+export default router;
@@ -249,6 +249,7 @@ class AdminService {
         { count: totalTransactions },
         { count: pendingTransactions },
         { data: totalBalances },
+        pokerRake,
       ] = await Promise.all([
         supabase.from("users").select("*", { count: "exact", head: true }),
         supabase
@@ -259,6 +260,8 @@ class AdminService {
           .select("*", { count: "exact", head: true })
           .eq("status", TRANSACTION_STATUS.PENDING),
         supabase.rpc("get_total_balances"),
+        // Already logged; the other figures don't depend on it
+        this.getPokerRakeSummary().catch(() => null),
       ]);
 
       return {
@@ -266,6 +269,7 @@ class AdminService {
         totalTransactions,
         pendingTransactions,
         totalBalances: totalBalances[0] || { brokecoin: 0, chips: 0 },
+        pokerRake,
       };
     } catch (error) {
       logger.error(`Error getting system stats: ${error.message}`);
@@ -273,6 +277,22 @@ class AdminService {
     }
   }
 
+  // Poker rake totals, per room and per day (UTC), summed in the database
+  async getPokerRakeSummary(startDate, endDate) {
+    try {
+      const { data, error } = await supabase.rpc("get_poker_rake_summary", {
+        p_start_date: startDate || null,
+        p_end_date: endDate || null,
+      });
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      logger.error(`Error getting poker rake summary: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Task Management Methods
   async createTask(taskData, adminId) {
     try {
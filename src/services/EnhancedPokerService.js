@@ -1,14 +1,76 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import config from "../config/config.js";
 import RedisService from "./RedisService.js";
 import WebSocketService from "./WebSocketService.js";
 import { logger } from "../utils/logger.js";
 import User from "../models/User.js";
-
+import Transaction from "../models/Transaction.js";
+import {
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUS,
+  CURRENCIES,
+  ERROR_MESSAGES,
+} from "../utils/constants.js";
+import PokerGameEngine from "./PokerGameEngine.js";
+import PokerHand from "../models/PokerHand.js";
+import PokerRoom from "../models/PokerRoom.js";
+import handHistory from "./PokerHandHistory.js";
+import fairness from "./FairnessService.js";
+import pokerBots from "./PokerBotStrategy.js";
+import pokerEquity from "./PokerEquityService.js";
+import playerStats from "./PokerPlayerStats.js";
+import scheduler from "./PhaseScheduler.js";
+
+// Releases a room lock only if it is still the caller's
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Poker service layer - Redis persistence, turn timers and broadcasting.
+ * Every rule lives in PokerGameEngine: each call loads the room, runs one
+ * engine transition, stores the new state and broadcasts its events.
+ * Turn timers run on the PhaseScheduler, so they survive a restart.
+ */
 class PokerService {
+  // Called after every hand on a tournament table (PokerTournamentService)
+  static tournamentHandListeners = new Set();
+
+  static onTournamentHand(listener) {
+    PokerService.tournamentHandListeners.add(listener);
+  }
+
   constructor() {
     this.redis = RedisService;
     this.ws = WebSocketService;
-    this.rooms = new Map();
-    this.playerTimeouts = new Map();
+    this.engine = new PokerGameEngine();
+    this.scheduler = scheduler;
+    this.botDelay = 1500; // ms a bot "thinks" before acting
+    this.inviteMinutes = 60; // Default lifetime of a private room invite
+    this.lockTime = 10000; // ms a room lock is held before it lapses
+    this.lockWait = 5000; // ms to wait for a busy room
+    this.houseUserId = config.poker.houseUserId; // Funds bots at real-chip tables
+
+    this.scheduler.register("poker:timeout", ({ roomId, playerId }) =>
+      this.timeOutPlayer(roomId, playerId)
+    );
+    this.scheduler.register("poker:bot", ({ roomId, botId }) =>
+      this.playBotTurn(roomId, botId)
+    );
+    this.scheduler.register("poker:run-it-twice", ({ roomId }) =>
+      this.expireRunItTwice(roomId)
+    );
+    this.scheduler.register("poker:next-hand", ({ roomId }) =>
+      this.dealNextHand(roomId)
+    );
+    this.scheduler.register("poker:spectators", ({ roomId, messages, view }) =>
+      this.releaseToSpectators(roomId, messages, view)
+    );
   }
 
   // Room Management
@@ -18,40 +80,81 @@ class PokerService {
       creatorId,
       maxPlayers = 6,
       minBet = 10,
+      smallBlind,
+      bigBlind,
+      ante,
+      bigBlindAnte,
+      straddle,
+      blindSchedule,
       maxBet = 1000,
+      minBuyIn,
+      maxBuyIn,
+      rakePercent,
+      rakeCap,
+      noFlopNoDrop,
+      tournamentId,
+      spectatorDelay,
+      actionTime,
+      timeBank,
+      timeBankRefill,
+      maxTimeouts,
+      runItTwice,
+      runItTwiceTime,
+      variant,
+      bettingStructure,
+      raiseCap,
+      practice,
+      isPrivate,
+      password,
     } = options;
 
     const roomId = `poker_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    const room = {
+    const room = this.engine.createRoomState({
       id: roomId,
-      name: name,
-      creator: { id: creatorId },
-      players: [],
+      name,
+      creatorId,
       maxPlayers,
       minBet,
+      smallBlind,
+      bigBlind,
+      ante,
+      bigBlindAnte,
+      straddle,
+      blindSchedule,
       maxBet,
-      status: "waiting",
-      state: "waiting",
-      pot: 0,
-      community: [],
-      currentTurn: null,
-      currentBet: 0,
-      deck: [],
-      phase: "waiting", // waiting, preflop, flop, turn, river, showdown
-      lastRaiser: null,
-      dealerIndex: 0,
-      smallBlind: null,
-      bigBlind: null,
-      playersActedThisRound: [], // Track who has acted this round
-      timeouts: {},
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+      minBuyIn,
+      maxBuyIn,
+      rakePercent,
+      rakeCap,
+      noFlopNoDrop,
+      tournamentId,
+      spectatorDelay,
+      actionTime,
+      timeBank,
+      timeBankRefill,
+      maxTimeouts,
+      runItTwice,
+      runItTwiceTime,
+      variant,
+      bettingStructure,
+      raiseCap,
+      practice,
+      // A password makes the room private
+      isPrivate: !!(isPrivate || password),
+    });
+    room.createdAt = new Date().toISOString();
+    room.updatedAt = room.createdAt;
+    await this.commitSeed(room);
+    if (password) {
+      await this.setRoomPassword(room, password);
+    }
 
     // Store in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+    await this.saveRoom(room);
+    await this.saveSnapshot(room);
     await this.redis.client.sadd("poker:rooms", roomId);
+    await this.saveSpectatorView(this.engine.createSpectatorView(room));
 
     console.log(`Poker room created: ${roomId} by user ${creatorId}`);
     return room;
@@ -65,6 +168,39 @@ class PokerService {
     return JSON.parse(roomData);
   }
 
+  // The stored room holds the deck and every hole card and stays on the
+  // server; clients get their seat's view or the spectator one
+  toPlayerView(room, playerId) {
+    return this.engine.createPlayerView(room, playerId);
+  }
+
+  async getTableView(roomId, viewerId, credentials) {
+    const room = await this.getRoom(roomId);
+    if (room.players.some((p) => p.id === viewerId)) {
+      return this.toPlayerView(room, viewerId);
+    }
+    return this.getSpectatorView(roomId, viewerId, credentials);
+  }
+
+  async saveRoom(room) {
+    await this.redis.client.set(`poker:room:${room.id}`, JSON.stringify(room));
+  }
+
+  async deleteRoom(roomId) {
+    await this.redis.client.del(`poker:room:${roomId}`);
+    await this.redis.client.del(`poker:fairness:${roomId}`);
+    await this.redis.client.del(`poker:access:${roomId}`);
+    await this.redis.client.del(`poker:spectate:${roomId}:state`);
+    await this.redis.client.srem("poker:rooms", roomId);
+    await this.scheduler.cancel(`poker:next-hand:${roomId}`);
+
+    try {
+      await PokerRoom.closeRoom(roomId);
+    } catch (error) {
+      logger.error(`Error closing snapshot of room ${roomId}:`, error);
+    }
+  }
+
   async getAvailableRooms() {
     const roomIds = await this.redis.client.smembers("poker:rooms");
     const rooms = [];
@@ -74,6 +210,8 @@ class PokerService {
         const room = await this.getRoom(roomId);
         if (
           room.status === "waiting" &&
+          !room.tournamentId &&
+          !room.private &&
           room.players.length < room.maxPlayers
         ) {
           rooms.push({
@@ -84,9 +222,22 @@ class PokerService {
             maxPlayers: room.maxPlayers,
             minBet: room.minBet,
             maxBet: room.maxBet,
+            blinds: room.blinds,
+            blindSchedule: room.blindSchedule,
+            variant: room.variant,
+            bettingStructure: room.bettingStructure,
+            runItTwice: room.runItTwice,
+            practice: room.practice,
+            allowBots: room.allowBots,
+            bots: room.players.filter((p) => p.isBot).length,
+            minBuyIn: room.minBuyIn,
+            maxBuyIn: room.maxBuyIn,
+            rake: room.rake,
+            timing: room.timing,
             status: room.status,
             createdAt: room.createdAt,
             currentPlayers: room.players.length,
+            spectators: await this.getSpectatorCount(room.id),
           });
         }
       } catch (error) {
@@ -97,1114 +248,1292 @@ class PokerService {
     return rooms.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
-  async joinRoom(roomId, playerId) {
-    const room = await this.getRoom(roomId);
+  // Bots join with `botStrategy` and a generated name. Practice stacks never
+  // touch a chips balance; bots at real-chip tables buy in from the house
+  // account. Private rooms take a `password` or `inviteToken`.
+  async joinRoom(
+    roomId,
+    playerId,
+    buyIn,
+    { botStrategy, username, password, inviteToken } = {}
+  ) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      this.assertCashTable(room);
+
+      // Check if player is already in room
+      const existingPlayer = room.players.find((p) => p.id === playerId);
+      if (existingPlayer) {
+        console.log(
+          `Player ${playerId} already in room ${roomId}, returning existing room`
+        );
+        return room;
+      }
 
-    if (room.status !== "waiting") {
-      throw new Error("Room is not accepting players");
-    }
+      if (room.private && !botStrategy && room.creator.id !== playerId) {
+        await this.assertRoomAccess(room, { password, inviteToken });
+      }
 
-    if (room.players.length >= room.maxPlayers) {
-      throw new Error("Room is full");
-    }
+      const user = botStrategy ? { username } : await User.getUser(playerId);
+      const chips = buyIn === undefined ? room.maxBuyIn : Number(buyIn);
 
-    // Check if player is already in room
-    const existingPlayer = room.players.find((p) => p.id === playerId);
-    if (existingPlayer) {
-      console.log(
-        `Player ${playerId} already in room ${roomId}, returning existing room`
-      );
-      return room;
-    }
+      // The engine checks the seat and the room's buy-in limits
+      const { room: updatedRoom, events } = this.engine.addPlayer(room, {
+        id: playerId,
+        username: user.username,
+        chips,
+        botStrategy,
+      });
 
-    const user = await User.getUser(playerId);
-    console.log("user", user);
-
-    // Add player to room
-    const player = {
-      id: playerId,
-      username: user.username,
-      chips: 1000,
-      bet: 0,
-      status: "active",
-      hand: [],
-      folded: false,
-      allIn: false,
-    };
+      const payerId =
+        botStrategy && !room.practice ? this.getHouseUserId() : playerId;
+      let debited = false;
+      if (!room.practice) {
+        const payer = botStrategy ? await User.getUser(payerId) : user;
+        if (Number(payer.chips_balance) < chips) {
+          throw new Error(ERROR_MESSAGES.INSUFFICIENT_BALANCE);
+        }
 
-    room.players.push(player);
-    room.updatedAt = new Date().toISOString();
+        await this.transferChips(
+          payerId,
+          TRANSACTION_TYPES.POKER_BUY_IN,
+          -chips,
+          { roomId, ...(botStrategy && { botId: playerId }) }
+        );
+        debited = true;
+      }
 
-    // Update room in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+      try {
+        await this.commitRoom(updatedRoom, events);
+      } catch (error) {
+        // No seat was stored, so the buy-in goes back
+        const stored = await this.getRoom(roomId).catch(() => null);
+        if (debited && !stored?.players.some((p) => p.id === playerId)) {
+          await this.transferChips(payerId, TRANSACTION_TYPES.REFUND, chips, {
+            roomId,
+          });
+        }
+        throw error;
+      }
 
-    // Notify other players via WebSocket
-    this.ws.broadcastToRoom(roomId, {
-      type: "player_joined",
-      player: player,
-      room: room,
+      console.log(`Player ${playerId} joined poker room ${roomId}`);
+      return updatedRoom;
     });
-
-    console.log(`Player ${playerId} joined poker room ${roomId}`);
-    return room;
   }
 
   async leaveRoom(roomId, playerId) {
-    const room = await this.getRoom(roomId);
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      this.assertCashTable(room);
 
-    const playerIndex = room.players.findIndex((p) => p.id === playerId);
-    if (playerIndex === -1) {
-      throw new Error("Player not in room");
-    }
+      const { room: updatedRoom, events } = this.engine.removePlayer(
+        room,
+        playerId
+      );
 
-    room.players.splice(playerIndex, 1);
-    room.updatedAt = new Date().toISOString();
+      // If no players left (bots don't keep a table open), remove room.
+      // The bots' stacks go back to the house as the room closes.
+      if (updatedRoom.players.every((p) => p.isBot || p.leaving)) {
+        if (!room.practice) {
+          await this.cashOutStacks(roomId, [
+            ...events,
+            ...updatedRoom.players
+              .filter((p) => p.isBot && !p.leaving)
+              .map((p) => ({
+                type: "player_cashed_out",
+                playerId: p.id,
+                chips: p.chips,
+              })),
+          ]);
+        }
+        await this.deleteRoom(roomId);
+        this.clearRoomTimeouts(roomId);
+        console.log(`Poker room ${roomId} removed (no players left)`);
+      } else {
+        await this.commitRoom(updatedRoom, events);
+      }
 
-    // If no players left, remove room
-    if (room.players.length === 0) {
-      await this.redis.client.del(`poker:room:${roomId}`);
-      await this.redis.client.srem("poker:rooms", roomId);
-      console.log(`Poker room ${roomId} removed (no players left)`);
-    } else {
-      // Update room in Redis
-      await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+      console.log(`Player ${playerId} left poker room ${roomId}`);
+    });
+  }
 
-      // Notify other players via WebSocket
-      this.ws.broadcastToRoom(roomId, {
-        type: "player_left",
-        playerId: playerId,
-        room: room,
-      });
+  // Every change to a room loads, changes and stores the whole room; two
+  // at once on a table would lose one of them or pay a stack out twice.
+  // The lock is in Redis so it holds across server instances. It is not
+  // re-entrant: code holding it calls startHand and commitRoom, never
+  // another locked method on the same room.
+  async withRoomLock(roomId, task, { wait = this.lockWait } = {}) {
+    const key = `poker:lock:${roomId}`;
+    const token = crypto.randomUUID();
+    const giveUpAt = Date.now() + wait;
+
+    while (
+      !(await this.redis.client.set(key, token, "PX", this.lockTime, "NX"))
+    ) {
+      if (Date.now() > giveUpAt) {
+        throw new Error("Table is busy, try again");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
     }
 
-    this.clearPlayerTimeout(roomId, playerId);
+    try {
+      return await task();
+    } finally {
+      await this.redis.client
+        .eval(RELEASE_LOCK_SCRIPT, 1, key, token)
+        .catch((error) =>
+          logger.error(`Error releasing lock on room ${roomId}:`, error)
+        );
+    }
+  }
 
-    console.log(`Player ${playerId} left poker room ${roomId}`);
+  // Locks several rooms, always in the same order so two callers can't
+  // each hold one the other is waiting for
+  async withRoomLocks(roomIds, task) {
+    const [first, ...rest] = [...new Set(roomIds)].sort();
+    if (first === undefined) return task();
+    return this.withRoomLock(first, () => this.withRoomLocks(rest, task));
   }
 
-  // Game Logic
-  async startGame(roomId, playerId) {
-    const room = await this.getRoom(roomId);
+  // Private Rooms
+
+  // The password hash is kept apart from the room, which is broadcast
+  async setRoomPassword(room, password) {
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    await this.redis.client.set(
+      `poker:access:${room.id}`,
+      JSON.stringify({ passwordHash })
+    );
+  }
 
-    if (room.creator.id !== playerId) {
-      throw new Error("Only room creator can start the game");
+  async assertRoomAccess(room, { password, inviteToken }) {
+    if (inviteToken) {
+      this.verifyInvite(room.id, inviteToken);
+      return;
     }
 
-    if (room.players.length < 2) {
-      throw new Error("Need at least 2 players to start");
+    const access = JSON.parse(
+      await this.redis.client.get(`poker:access:${room.id}`)
+    );
+    if (!access || password === undefined) {
+      throw new Error("Private room needs a password or an invite");
+    }
+    if (!(await bcrypt.compare(String(password), access.passwordHash))) {
+      throw new Error("Wrong room password");
     }
+  }
+
+  // Signed, expiring invite for a private room
+  async createInvite(roomId, requesterId, { expiresInMinutes } = {}) {
+    const room = await this.getRoom(roomId);
 
-    // Initialize game
-    room.status = "playing";
-    room.state = "playing";
-    room.phase = "preflop";
-    room.pot = 0;
-    room.community = [];
-    room.currentBet = 0;
-    room.deck = this.createDeck();
-    room.deck = this.shuffleDeck(room.deck);
-
-    // Reset all player states
-    for (const player of room.players) {
-      player.hand = [];
-      player.bet = 0;
-      player.folded = false;
-      player.allIn = false;
-      player.status = "active";
+    if (room.creator.id !== requesterId) {
+      throw new Error("Only room creator can invite players");
+    }
+    if (!room.private) {
+      throw new Error("Only private rooms need invites");
     }
 
-    // Set dealer and blinds
-    this.assignDealerAndBlinds(room);
+    const minutes = Number(expiresInMinutes) || this.inviteMinutes;
+    const token = jwt.sign(
+      { roomId, purpose: "poker_invite" },
+      config.jwt.secret,
+      { expiresIn: `${minutes}m` }
+    );
 
-    // Deal cards to players (2 cards each)
-    for (let i = 0; i < 2; i++) {
-      for (const player of room.players) {
-        if (room.deck.length > 0) {
-          player.hand.push(room.deck.pop());
-        }
-      }
+    return {
+      token,
+      expiresAt: new Date(Date.now() + minutes * 60000).toISOString(),
+    };
+  }
+
+  verifyInvite(roomId, token) {
+    let invite;
+    try {
+      invite = jwt.verify(token, config.jwt.secret);
+    } catch {
+      throw new Error("Invite is invalid or has expired");
     }
 
-    // Set first player after big blind as current turn
-    const bigBlindIndex = room.players.findIndex((p) => p.id === room.bigBlind);
-    const firstPlayerIndex = (bigBlindIndex + 1) % room.players.length;
-    room.currentTurn = room.players[firstPlayerIndex].id;
+    if (invite.purpose !== "poker_invite" || invite.roomId !== roomId) {
+      throw new Error("Invite is for another room");
+    }
+    return invite;
+  }
 
-    // Start timeout for first player
-    this.setPlayerTimeout(roomId, room.currentTurn);
+  async kickPlayer(roomId, requesterId, playerId, { ban = false } = {}) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      this.assertCashTable(room);
 
-    room.updatedAt = new Date().toISOString();
+      if (room.creator.id !== requesterId) {
+        throw new Error("Only room creator can kick players");
+      }
 
-    // Update room in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+      const { room: updatedRoom, events } = this.engine.kickPlayer(
+        room,
+        playerId,
+        { ban: !!ban }
+      );
+      await this.commitRoom(updatedRoom, events);
 
-    // Notify all players via WebSocket
-    this.ws.broadcastToRoom(roomId, {
-      type: "game_started",
-      room: room,
+      console.log(
+        `Player ${playerId} ${ban ? "banned" : "kicked"} from poker room ${roomId}`
+      );
+      return updatedRoom;
     });
-
-    console.log(`Poker game started in room ${roomId}`);
-    return room;
   }
 
-  assignDealerAndBlinds(room) {
-    if (!room.players.length) return;
+  async unbanPlayer(roomId, requesterId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    // Move dealer index forward
-    room.dealerIndex = room.dealerIndex % room.players.length;
+      if (room.creator.id !== requesterId) {
+        throw new Error("Only room creator can unban players");
+      }
 
-    // Assign dealer
-    const dealer = room.players[room.dealerIndex];
+      const { room: updatedRoom, events } = this.engine.unbanPlayer(
+        room,
+        playerId
+      );
+      await this.commitRoom(updatedRoom, events);
+      return updatedRoom;
+    });
+  }
 
-    // For heads-up (2 players), dealer is small blind
-    if (room.players.length === 2) {
-      room.smallBlind = dealer.id;
-      room.bigBlind =
-        room.players[(room.dealerIndex + 1) % room.players.length].id;
-    } else {
-      // For 3+ players, small blind is next after dealer
-      const sbIndex = (room.dealerIndex + 1) % room.players.length;
-      const bbIndex = (room.dealerIndex + 2) % room.players.length;
+  async setLocked(roomId, requesterId, locked) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-      room.smallBlind = room.players[sbIndex].id;
-      room.bigBlind = room.players[bbIndex].id;
-    }
+      if (room.creator.id !== requesterId) {
+        throw new Error("Only room creator can lock the table");
+      }
 
-    // Post blinds
-    const sbPlayer = room.players.find((p) => p.id === room.smallBlind);
-    const bbPlayer = room.players.find((p) => p.id === room.bigBlind);
-
-    const sbAmount = Math.floor(room.minBet / 2);
-    const bbAmount = room.minBet;
-
-    // Deduct small blind
-    const sbDeduct = Math.min(sbAmount, sbPlayer.chips);
-    sbPlayer.chips -= sbDeduct;
-    sbPlayer.bet = sbDeduct;
-    room.pot += sbDeduct;
-    if (sbPlayer.chips === 0) sbPlayer.allIn = true;
-
-    // Deduct big blind
-    const bbDeduct = Math.min(bbAmount, bbPlayer.chips);
-    bbPlayer.chips -= bbDeduct;
-    bbPlayer.bet = bbDeduct;
-    room.pot += bbDeduct;
-    if (bbPlayer.chips === 0) bbPlayer.allIn = true;
-
-    // Current bet starts at big blind amount
-    room.currentBet = bbPlayer.bet;
-    room.lastRaiser = room.bigBlind; // Big blind is considered the initial raiser
-
-    console.log(
-      `Dealer: ${dealer.id}, SB: ${room.smallBlind} (${sbDeduct}), BB: ${room.bigBlind} (${bbDeduct})`
-    );
+      const { room: updatedRoom, events } = this.engine.setLocked(room, locked);
+      await this.commitRoom(updatedRoom, events);
+
+      console.log(
+        `Poker room ${roomId} ${updatedRoom.locked ? "locked" : "unlocked"}`
+      );
+      return updatedRoom;
+    });
   }
 
-  setPlayerTimeout(roomId, playerId, duration = 30000) {
-    // Clear any existing timeout
-    if (!this.playerTimeouts.has(roomId)) this.playerTimeouts.set(roomId, {});
-    const timeouts = this.playerTimeouts.get(roomId);
-    if (timeouts[playerId]) clearTimeout(timeouts[playerId]);
+  async transferHost(roomId, requesterId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      this.assertCashTable(room);
 
-    timeouts[playerId] = setTimeout(async () => {
-      try {
-        console.log(
-          `Player ${playerId} timed out in room ${roomId}, auto-folding.`
-        );
-        await this.playerAction(roomId, playerId, "fold");
-      } catch (err) {
-        logger.error("Error auto-folding player:", err);
+      if (room.creator.id !== requesterId) {
+        throw new Error("Only room creator can hand over the table");
       }
-    }, duration);
-  }
 
-  clearPlayerTimeout(roomId, playerId) {
-    if (!this.playerTimeouts.has(roomId)) return;
-    const timeouts = this.playerTimeouts.get(roomId);
-    if (timeouts[playerId]) {
-      clearTimeout(timeouts[playerId]);
-      delete timeouts[playerId];
-    }
+      const { room: updatedRoom, events } = this.engine.transferHost(
+        room,
+        playerId
+      );
+      await this.commitRoom(updatedRoom, events);
+
+      console.log(`Poker room ${roomId} handed over to ${playerId}`);
+      return updatedRoom;
+    });
   }
 
-  async playerAction(roomId, playerId, action, amount = 0) {
-    let room = await this.getRoom(roomId);
+  // Bots
 
-    const player = room.players.find((p) => p.id === playerId);
-    if (!player) {
-      throw new Error("Player not found");
-    }
+  async addBot(roomId, requesterId, { strategy, buyIn } = {}) {
+    const room = await this.getRoom(roomId);
 
-    if (room.currentTurn !== playerId) {
-      throw new Error("Not your turn");
+    if (room.creator.id !== requesterId) {
+      throw new Error("Only room creator can add bots");
     }
-
-    if (player.folded) {
-      throw new Error("Player has folded");
+    pokerBots.assertStrategy(strategy);
+    if (!room.allowBots) {
+      throw new Error("Bots are not allowed at this table");
     }
 
-    if (player.allIn && action !== "fold") {
-      throw new Error("Player is already all-in");
-    }
+    const botId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const number = room.players.filter((p) => p.isBot).length + 1;
 
-    this.clearPlayerTimeout(roomId, playerId);
+    const updatedRoom = await this.joinRoom(roomId, botId, buyIn, {
+      botStrategy: strategy,
+      username: `Bot ${number} (${strategy})`,
+    });
 
-    // Process action
-    switch (action) {
-      case "fold":
-        player.folded = true;
-        break;
+    console.log(`Bot ${botId} (${strategy}) joined poker room ${roomId}`);
+    return updatedRoom;
+  }
 
-      case "check":
-        if (room.currentBet > player.bet) {
-          throw new Error("Cannot check when there is a bet to call");
-        }
-        break;
-
-      case "call":
-        const callAmount = room.currentBet - player.bet;
-        if (callAmount > 0) {
-          if (callAmount >= player.chips) {
-            // All in
-            room.pot += player.chips;
-            player.bet += player.chips;
-            player.chips = 0;
-            player.allIn = true;
-          } else {
-            player.bet += callAmount;
-            room.pot += callAmount;
-            player.chips -= callAmount;
-          }
-        }
-        break;
+  async removeBot(roomId, requesterId, botId) {
+    const room = await this.getRoom(roomId);
 
-      case "bet":
-        if (room.currentBet > 0) {
-          throw new Error("Cannot bet when there is already a bet to call");
-        }
-        if (amount < room.minBet) {
-          throw new Error(`Bet must be at least ${room.minBet}`);
-        }
-        if (amount > player.chips) {
-          throw new Error("Not enough chips");
-        }
+    if (room.creator.id !== requesterId) {
+      throw new Error("Only room creator can remove bots");
+    }
+    if (!room.players.some((p) => p.id === botId && p.isBot)) {
+      throw new Error("Bot not in room");
+    }
 
-        player.bet = amount;
-        room.pot += amount;
-        player.chips -= amount;
-        room.currentBet = amount;
-        room.lastRaiser = player.id;
-        room.playersActedThisRound = []; // Reset acted players for new betting round
-        room.playersActedThisRound.push(player.id);
-
-        if (player.chips === 0) player.allIn = true;
-        break;
-
-      case "raise":
-        const totalRaiseAmount = room.currentBet + amount;
-        if (totalRaiseAmount > player.chips + player.bet) {
-          throw new Error("Not enough chips");
-        }
-        if (amount < room.minBet) {
-          throw new Error(`Raise must be at least ${room.minBet}`);
-        }
+    await this.leaveRoom(roomId, botId);
+  }
 
-        const additionalAmount = totalRaiseAmount - player.bet;
-        player.bet = totalRaiseAmount;
-        player.chips -= additionalAmount;
-        room.pot += additionalAmount;
-        room.currentBet = totalRaiseAmount;
-        room.lastRaiser = player.id;
-        room.playersActedThisRound = []; // Reset acted players for new betting round
-        room.playersActedThisRound.push(player.id);
-
-        if (player.chips === 0) player.allIn = true;
-        break;
-
-      case "allin":
-        if (player.chips <= 0) {
-          throw new Error("No chips to go all-in with");
+  // Admin switch for real-chip tables. Turning bots off also unseats the
+  // ones already playing.
+  async setBotsAllowed(roomId, allowed) {
+    return this.withRoomLock(roomId, async () => {
+      let room = await this.getRoom(roomId);
+      this.assertCashTable(room);
+      if (allowed && !room.practice) {
+        this.getHouseUserId();
+      }
+      room.allowBots = !!allowed;
+
+      const events = [];
+      if (!room.allowBots) {
+        for (const bot of room.players.filter((p) => p.isBot)) {
+          const result = this.engine.removePlayer(room, bot.id);
+          room = result.room;
+          events.push(...result.events);
         }
+      }
 
-        const allInAmount = player.chips;
-        room.pot += allInAmount;
-        player.bet += allInAmount;
-        player.chips = 0;
-        player.allIn = true;
+      await this.commitRoom(room, events);
 
-        if (player.bet > room.currentBet) {
-          room.currentBet = player.bet;
-          room.lastRaiser = player.id;
-          room.playersActedThisRound = []; // Reset acted players for new betting round
-        }
-        room.playersActedThisRound.push(player.id);
-        break;
-
-      default:
-        throw new Error("Invalid action");
-    }
+      console.log(
+        `Bots ${room.allowBots ? "allowed" : "barred"} in poker room ${roomId}`
+      );
+      return room;
+    });
+  }
 
-    // Add player to acted set
-    if (!room.playersActedThisRound.includes(player.id)) {
-      room.playersActedThisRound.push(player.id);
-    }
+  isBot(playerId) {
+    return String(playerId).startsWith("bot_");
+  }
 
-    // Check if only one player remains (others folded)
-    const activePlayers = room.players.filter((p) => !p.folded);
-    if (activePlayers.length === 1) {
-      await this.showdown(room);
-      return room;
+  // Account whose chips back bot stacks at real-chip tables
+  getHouseUserId() {
+    if (!this.houseUserId) {
+      throw new Error("Bots at real-chip tables need a house account");
     }
+    return this.houseUserId;
+  }
 
-    // Check if all remaining players are all-in
-    const playingPlayers = activePlayers.filter((p) => !p.allIn);
-    if (playingPlayers.length <= 1 && activePlayers.length > 1) {
-      // All players are all-in or only one can still act, deal remaining cards and showdown
-      await this.dealRemainingCommunityCards(room);
-      await this.showdown(room);
-      return room;
+  // Bots act through playerAction like everyone else. A decision the engine
+  // rejects falls back to the timeout rule (check or fold).
+  async playBotTurn(roomId, botId) {
+    const room = await this.getRoom(roomId);
+    if (room.currentTurn !== botId) return room;
+
+    const { action, amount } = pokerBots.decide(room, botId);
+    try {
+      return await this.playerAction(roomId, botId, action, amount);
+    } catch (error) {
+      logger.error(`Bot ${botId} could not ${action} in ${roomId}:`, error);
+      return this.timeOutPlayer(roomId, botId);
     }
+  }
 
-    // Move to next player
-    this.moveToNextPlayer(room);
+  // Game Flow
+  async startGame(roomId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    // Check if round is complete
-    if (this.isRoundComplete(room)) {
-      console.log(
-        `Round complete in room ${roomId}, moving to next phase. Current phase: ${room.phase}`
-      );
-      room = await this.nextPhase(roomId);
-    } else {
-      // Set timeout for next player
-      if (room.status === "playing" && room.currentTurn) {
-        this.setPlayerTimeout(roomId, room.currentTurn);
+      if (room.creator.id !== playerId) {
+        throw new Error("Only room creator can start the game");
       }
-    }
+      this.assertCashTable(room);
 
-    room.updatedAt = new Date().toISOString();
+      if (room.players.length < 2) {
+        throw new Error("Need at least 2 players to start");
+      }
 
-    // Update room in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+      const updatedRoom = await this.startHand(room);
 
-    // Notify all players via WebSocket
-    this.ws.broadcastToRoom(roomId, {
-      type: "player_action",
-      playerId: playerId,
-      action: action,
-      amount: amount,
-      room: room,
+      console.log(`Poker game started in room ${roomId}`);
+      return updatedRoom;
     });
-
-    console.log(
-      `Player ${playerId} performed action ${action} in room ${roomId}`
-    );
-    return room;
   }
 
-  async nextPhase(roomId) {
-    const room = await this.getRoom(roomId);
-
-    console.log(
-      `nextPhase called for room ${roomId}, current phase: ${room.phase}, community cards: ${room.community.length}`
+  // Callers hold the room lock
+  async startHand(current) {
+    // Scheduled blinds go up between hands
+    const { room, events: levelEvents } = this.engine.updateBlindLevel(
+      current,
+      Date.now()
     );
 
-    // Deal community cards based on phase
-    switch (room.phase) {
-      case "preflop":
-        // Burn one card, then deal flop (3 cards)
-        if (room.deck.length > 3) {
-          room.deck.pop(); // Burn card
-          room.community.push(
-            room.deck.pop(),
-            room.deck.pop(),
-            room.deck.pop()
-          );
-        }
-        room.phase = "flop";
-        console.log(`Dealt flop: ${room.community.length} community cards`);
-        break;
-
-      case "flop":
-        // Burn one card, then deal turn (1 card)
-        if (room.deck.length > 1) {
-          room.deck.pop(); // Burn card
-          room.community.push(room.deck.pop());
-        }
-        room.phase = "turn";
-        console.log(`Dealt turn: ${room.community.length} community cards`);
-        break;
-
-      case "turn":
-        // Burn one card, then deal river (1 card)
-        if (room.deck.length > 1) {
-          room.deck.pop(); // Burn card
-          room.community.push(room.deck.pop());
-        }
-        room.phase = "river";
-        console.log(`Dealt river: ${room.community.length} community cards`);
-        break;
-
-      case "river":
-        // Showdown
-        room.phase = "showdown";
-        console.log(`Moving to showdown phase`);
-        await this.showdown(room);
-        return room;
+    const seeds = await this.drawSeeds(room);
+    const deck = fairness.shuffle(this.engine.createDeck(room.variant), seeds);
+    const { room: updatedRoom, events } = this.engine.startHand(room, deck);
+    events.unshift(...levelEvents);
+    if (updatedRoom.handLog) {
+      updatedRoom.handLog.startedAt = new Date().toISOString();
     }
+    updatedRoom.fairness.hand = {
+      serverSeedHash: updatedRoom.fairness.serverSeedHash,
+      clientSeed: seeds.clientSeed,
+      nonce: seeds.nonce,
+    };
+    return this.commitRoom(updatedRoom, events);
+  }
 
-    // Reset for new betting round
+  async playerAction(roomId, playerId, action, amount = 0) {
+    return this.withRoomLock(roomId, async () => {
+      const room = this.chargeTimeBank(await this.getRoom(roomId), playerId);
+
+      const { room: updatedRoom, events } = this.engine.applyAction(
+        room,
+        playerId,
+        action,
+        amount
+      );
 
-    room.currentBet = 0;
-    room.lastRaiser = null;
-    room.playersActedThisRound = [];
+      this.clearRoomTimeouts(roomId);
+      await this.commitRoom(updatedRoom, events);
 
-    // Reset player bets for new round
-    for (const player of room.players) {
-      player.bet = 0;
-    }
+      console.log(
+        `Player ${playerId} performed action ${action} in room ${roomId}`
+      );
+      return updatedRoom;
+    });
+  }
 
-    // Set first active player as current turn
-    const activePlayers = room.players.filter((p) => !p.folded && !p.allIn);
-    if (activePlayers.length > 0) {
-      room.currentTurn = activePlayers[0].id;
-      this.setPlayerTimeout(roomId, room.currentTurn);
-    }
-    room.updatedAt = new Date().toISOString();
+  // Players in an all-in hand agree to run it twice, or decline
+  async voteRunItTwice(roomId, playerId, accept) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    // Update room in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+      const { room: updatedRoom, events } = this.engine.voteRunItTwice(
+        room,
+        playerId,
+        !!accept
+      );
+      await this.commitRoom(updatedRoom, events);
 
-    // Notify all players via WebSocket
-    this.ws.broadcastToRoom(roomId, {
-      type: "phase_change",
-      phase: room.phase,
-      community: room.community,
-      room: room,
+      console.log(
+        `Player ${playerId} ${accept ? "agreed" : "declined"} to run it twice in room ${roomId}`
+      );
+      return updatedRoom;
     });
+  }
 
-    console.log(
-      `Poker room ${roomId} moved to ${room.phase} phase with ${room.community.length} community cards`
-    );
+  async expireRunItTwice(roomId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      if (!room.runItTwiceVote) return room;
 
-    return room;
+      const { room: updatedRoom, events } = this.engine.expireRunItTwice(room);
+      await this.commitRoom(updatedRoom, events);
+      return updatedRoom;
+    });
   }
 
-  async dealRemainingCommunityCards(room) {
-    const neededCards = 5 - room.community.length;
+  async sitOut(roomId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    for (let i = 0; i < neededCards; i++) {
-      if (room.deck.length >= 2) {
-        room.deck.pop(); // Burn card
-        room.community.push(room.deck.pop()); // Deal card
-      } else if (room.deck.length === 1) {
-        room.community.push(room.deck.pop()); // Last card, no burn
-      }
-    }
+      const { room: updatedRoom, events } = this.engine.sitOut(room, playerId);
+      await this.commitRoom(updatedRoom, events);
 
-    room.phase = "showdown";
-    console.log(
-      `Dealt ${neededCards} remaining community cards for all-in situation in room ${room.id}`
-    );
+      console.log(`Player ${playerId} is sitting out in room ${roomId}`);
+      return updatedRoom;
+    });
   }
 
-  async showdown(room) {
-    const activePlayers = room.players.filter((p) => !p.folded);
+  // "I'm back"
+  async sitIn(roomId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    if (activePlayers.length === 1) {
-      // Only one player left, they win the pot
-      const winner = activePlayers[0];
-      winner.chips += room.pot;
+      const { room: updatedRoom, events } = this.engine.sitIn(room, playerId);
+      await this.commitRoom(updatedRoom, events);
 
-      this.ws.broadcastToRoom(room.id, {
-        type: "showdown",
-        results: [
-          {
-            playerId: winner.id,
-            hand: winner.hand,
-            handValue: { name: "Winner by default", score: 0 },
-            score: 0,
-          },
-        ],
-        winners: [{ playerId: winner.id, winAmount: room.pot }],
-        room: room,
-      });
-    } else {
-      // Multiple players, evaluate hands
-      const results = [];
-
-      for (const player of activePlayers) {
-        const handValue = this.evaluateHand(player.hand, room.community);
-        results.push({
-          playerId: player.id,
-          hand: player.hand,
-          handValue: handValue,
-          score: handValue.score,
-        });
+      // The table may have stopped for lack of players
+      if (!updatedRoom.tournamentId) {
+        this.scheduleNextHand(updatedRoom);
       }
 
-      // Sort by score (highest wins)
-      results.sort((a, b) => b.score - a.score);
-
-      // Find all winners (players with highest score)
-      const winners = results.filter((r) => r.score === results[0].score);
-      console.log("winners", winners);
-
-      // Calculate win amount per winner
-      const winAmount = Math.floor(room.pot / winners.length);
-      const remainder = room.pot % winners.length;
-
-      // Award pot to winner(s)
-      const winnersWithAmount = [];
-      for (let i = 0; i < winners.length; i++) {
-        const winner = winners[i];
-        const player = room.players.find((p) => p.id === winner.playerId);
-        console.log("Awarding chips to player: ", player?.id);
-
-        if (player) {
-          // First winner(s) get any remainder chips
-          const amount = winAmount + (i < remainder ? 1 : 0);
-          player.chips += amount;
-          winnersWithAmount.push({
-            playerId: winner.playerId,
-            winAmount: amount,
-          });
-        }
+      console.log(`Player ${playerId} is back in room ${roomId}`);
+      return updatedRoom;
+    });
+  }
+
+  async endGame(roomId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+
+      if (room.creator.id !== playerId) {
+        throw new Error("Only room creator can end the game");
       }
+      this.assertCashTable(room);
 
-      // Notify all players via WebSocket
-      this.ws.broadcastToRoom(room.id, {
-        type: "showdown",
-        results: results,
-        winners: winnersWithAmount,
-        room: room,
-      });
-    }
+      // Force showdown if game is in progress, then cash everyone out
+      const { room: updatedRoom, events } = this.engine.closeTable(room);
 
-    // Reset game state
-    this.resetGameState(room);
+      await this.commitRoom(updatedRoom, events);
+      this.clearRoomTimeouts(roomId);
 
-    console.log(`Poker showdown completed in room ${room.id}`);
+      console.log(`Poker game ended in room ${roomId}`);
+      return updatedRoom;
+    });
+  }
 
-    // --- Auto-restart logic ---
-    const activePlayersForNext = room.players.filter((p) => p.chips > 0);
-    if (activePlayersForNext.length >= 2) {
-      const countdownSeconds = 10;
-      this.ws.broadcastToRoom(room.id, {
-        type: "new_game_countdown",
-        seconds: countdownSeconds,
-        room: room,
-      });
-      setTimeout(async () => {
-        // Re-fetch room to check if enough players remain
-        const latestRoom = await this.getRoom(room.id);
-        const stillEnough =
-          latestRoom.players.filter((p) => p.chips > 0).length >= 2;
-        if (stillEnough) {
-          try {
-            await this.startGame(room.id, latestRoom.creator.id);
-          } catch (err) {
-            logger.error("Auto-restart failed:", err);
-          }
-        } else {
-          this.ws.broadcastToRoom(room.id, {
-            type: "waiting_for_players",
-            room: latestRoom,
-          });
-        }
-      }, countdownSeconds * 1000);
-    } else {
-      // Not enough players, notify room
-      this.ws.broadcastToRoom(room.id, {
-        type: "waiting_for_players",
-        room: room,
-      });
+  // Persists an engine result, broadcasts its events and re-arms timers
+  async commitRoom(room, events = []) {
+    // Tournament and practice chips never touch the chips balance
+    if (!room.tournamentId && !room.practice) {
+      await this.cashOutStacks(room.id, events);
+      await this.recordRake(room.id, events);
     }
-  }
+    await this.revealSeed(room, events);
+    await this.recordHands(room.id, events);
+    this.addTabledEquity(room, events);
+
+    this.updateTurnTimer(room);
+    if (room.runItTwiceVote && !room.runItTwiceVote.endsAt) {
+      room.runItTwiceVote.endsAt =
+        Date.now() + room.timing.runItTwiceTime * 1000;
+    }
+    room.updatedAt = new Date().toISOString();
+    await this.saveRoom(room);
+    await this.saveSnapshot(room);
 
-  resetGameState(room) {
-    room.status = "waiting";
-    room.state = "waiting";
-    room.phase = "waiting";
-    room.pot = 0;
-    room.community = [];
-    room.currentBet = 0;
-    room.currentTurn = null;
-    room.lastRaiser = null;
-    room.playersActedThisRound = [];
-
-    // Only move dealer if we have enough players for next hand
-    const activePlayers = room.players.filter((p) => p.chips > 0);
-    if (activePlayers.length >= 2) {
-      room.dealerIndex = (room.dealerIndex + 1) % room.players.length;
+    for (const event of events) {
+      this.ws.broadcastToRoom(room.id, { ...event, room });
     }
+    this.broadcastToSpectators(room, events);
 
-    // Reset player states
-    for (const player of room.players) {
-      player.hand = [];
-      player.bet = 0;
-      player.folded = false;
-      player.allIn = false;
+    this.armTimers(room);
+
+    if (events.some((event) => event.type === "showdown")) {
+      if (room.tournamentId) {
+        this.notifyTournamentHand(room, events);
+      } else {
+        this.scheduleNextHand(room);
+      }
     }
 
-    // Remove players with no chips
-    room.players = room.players.filter((p) => p.chips > 0);
+    return room;
   }
 
-  async endGame(roomId, playerId) {
-    const room = await this.getRoom(roomId);
-
-    if (room.creator.id !== playerId) {
-      throw new Error("Only room creator can end the game");
+  // Supabase copy of the room, so a table survives losing Redis. Failures
+  // are logged; the Redis state stays authoritative.
+  async saveSnapshot(room) {
+    try {
+      await PokerRoom.saveSnapshot(room);
+    } catch (error) {
+      logger.error(`Error saving snapshot of room ${room.id}:`, error);
     }
+  }
 
-    // Force showdown if game is in progress
-    if (room.status === "playing") {
-      await this.showdown(room);
+  // Startup Recovery
+
+  // Reloads the tables that were open when the server stopped. Redis holds
+  // the live state; the Supabase snapshot stands in for a table Redis lost.
+  // Timers are re-armed from their stored deadlines, so one that passed
+  // while the server was down fires at once. A hand with no decision
+  // pending cannot go on and is called off with every bet refunded.
+  async recoverRooms() {
+    const snapshots = await PokerRoom.getOpenRooms();
+    const roomIds = new Set([
+      ...(await this.redis.client.smembers("poker:rooms")),
+      ...snapshots.map((snapshot) => snapshot.id),
+    ]);
+
+    const recovered = [];
+    for (const roomId of roomIds) {
+      try {
+        const snapshot = snapshots.find((s) => s.id === roomId)?.state;
+        recovered.push(await this.recoverRoom(roomId, snapshot));
+      } catch (error) {
+        logger.error(`Error recovering poker room ${roomId}:`, error);
+      }
     }
 
-    room.status = "finished";
-    room.state = "finished";
-    room.updatedAt = new Date().toISOString();
+    console.log(`Recovered ${recovered.length} poker rooms`);
+    return recovered;
+  }
 
-    // Update room in Redis
-    await this.redis.client.set(`poker:room:${roomId}`, JSON.stringify(room));
+  async recoverRoom(roomId, snapshot) {
+    // Waits out a lock the stopped server still held
+    return this.withRoomLock(
+      roomId,
+      async () => {
+        const stored = await this.redis.client.get(`poker:room:${roomId}`);
+        let room = stored ? JSON.parse(stored) : null;
 
-    // Notify all players via WebSocket
-    this.ws.broadcastToRoom(roomId, {
-      type: "game_ended",
-      room: room,
-    });
+        // The newer of the two copies wins
+        if (
+          snapshot &&
+          (!room || new Date(snapshot.updatedAt) > new Date(room.updatedAt))
+        ) {
+          room = snapshot;
+          await this.saveRoom(room);
+          await this.redis.client.sadd("poker:rooms", roomId);
+          await this.saveSpectatorView(this.engine.createSpectatorView(room));
+        }
+        if (!room) {
+          throw new Error("Room not found");
+        }
 
-    // Clear all timeouts for this room
-    if (this.playerTimeouts.has(roomId)) {
-      const timeouts = this.playerTimeouts.get(roomId);
-      Object.values(timeouts).forEach(clearTimeout);
-      this.playerTimeouts.delete(roomId);
-    }
+        // Tournament tables are dealt by the tournament service once it has
+        // recovered too (PokerTournamentService.recoverTournaments)
+        const interrupted =
+          room.status === "playing" &&
+          !room.currentTurn &&
+          !room.runItTwiceVote;
+        if (interrupted) {
+          const { room: updatedRoom, events } = this.engine.abortHand(room);
+          await this.commitRoom(updatedRoom, events);
+          if (!room.tournamentId) {
+            this.scheduleNextHand(updatedRoom);
+          }
 
-    console.log(`Poker game ended in room ${roomId}`);
-    return room;
+          console.log(
+            `Interrupted hand ${room.handNumber} in poker room ${roomId} refunded`
+          );
+          return updatedRoom;
+        }
+
+        this.armTimers(room);
+        if (!room.tournamentId && room.handNumber > 0) {
+          this.scheduleNextHand(room);
+        }
+        return room;
+      },
+      { wait: this.lockTime }
+    );
   }
 
-  // Helper methods
-  createDeck() {
-    const suits = ["hearts", "diamonds", "clubs", "spades"];
-    const ranks = [
-      "2",
-      "3",
-      "4",
-      "5",
-      "6",
-      "7",
-      "8",
-      "9",
-      "10",
-      "J",
-      "Q",
-      "K",
-      "A",
-    ];
-    const deck = [];
-
-    for (const suit of suits) {
-      for (const rank of ranks) {
-        deck.push({ suit, rank });
-      }
+  // Timers for the decision the table is waiting on
+  armTimers(room) {
+    this.clearRoomTimeouts(room.id);
+    if (room.turnTimer && this.isBot(room.turnTimer.playerId)) {
+      this.scheduleBotTurn(room.id, room.turnTimer.playerId);
+    } else if (room.turnTimer) {
+      this.setPlayerTimeout(
+        room.id,
+        room.turnTimer.playerId,
+        room.turnTimer.timeBankEndsAt - Date.now()
+      );
+    } else if (room.runItTwiceVote) {
+      this.setRunItTwiceTimeout(
+        room.id,
+        room.runItTwiceVote.endsAt - Date.now()
+      );
     }
-
-    return deck;
   }
 
-  shuffleDeck(deck) {
-    const shuffled = [...deck];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // All-in equity for the table to show while the board runs out
+  addTabledEquity(room, events) {
+    for (const event of events) {
+      if (event.type !== "hands_tabled") continue;
+
+      try {
+        const { players } = pokerEquity.calculate({
+          hands: event.hands.map((h) => h.hand),
+          board: event.community,
+          variant: room.variant,
+        });
+        event.equity = players.map(({ win, tie, equity }, index) => ({
+          playerId: event.hands[index].playerId,
+          win,
+          tie,
+          equity,
+        }));
+      } catch (error) {
+        logger.error(`Error calculating equity in room ${room.id}:`, error);
+      }
     }
-    return shuffled;
   }
 
-  moveToNextPlayer(room) {
-    const activePlayers = room.players.filter((p) => !p.folded && !p.allIn);
+  // Spectators
 
-    if (activePlayers.length <= 1) {
-      room.currentTurn =
-        activePlayers.length === 1 ? activePlayers[0].id : null;
+  // Spectators get a card-safe copy of every broadcast, `spectatorDelay`
+  // seconds after the players do. Delayed copies wait on the scheduler, one
+  // job per broadcast, so a restart doesn't drop them.
+  broadcastToSpectators(room, events) {
+    const view = this.engine.createSpectatorView(room);
+    const messages = events.map((event) => ({
+      ...this.engine.createSpectatorEvent(event),
+      room: view,
+    }));
+
+    if (!(room.spectatorDelay > 0)) {
+      this.releaseToSpectators(room.id, messages, view);
       return;
     }
 
-    const currentIndex = activePlayers.findIndex(
-      (p) => p.id === room.currentTurn
+    const dueAt = Date.now() + room.spectatorDelay * 1000;
+    this.scheduler
+      .schedule(
+        `poker:spectators:${room.id}:${dueAt}:${room.updatedAt}`,
+        "poker:spectators",
+        { roomId: room.id, messages, view },
+        dueAt
+      )
+      .catch((error) =>
+        logger.error(`Error delaying spectator view for ${room.id}:`, error)
+      );
+  }
+
+  releaseToSpectators(roomId, messages, view) {
+    for (const message of messages) {
+      this.ws.broadcastToSpectators(roomId, message);
+    }
+    this.saveSpectatorView(view).catch((error) =>
+      logger.error(`Error saving spectator view for ${roomId}:`, error)
+    );
+  }
+
+  // Latest view released to spectators, sent to anyone who starts watching.
+  // Expires so a delayed write after the room is deleted does not linger.
+  async saveSpectatorView(view) {
+    await this.redis.client.set(
+      `poker:spectate:${view.id}:state`,
+      JSON.stringify(view),
+      "EX",
+      86400
     );
+  }
+
+  async getSpectatorView(roomId, viewerId, credentials) {
+    const room = await this.getRoom(roomId);
+    await this.assertSpectatorAccess(room, viewerId, credentials);
+
+    const view = await this.redis.client.get(`poker:spectate:${roomId}:state`);
+    if (view) return JSON.parse(view);
+    return this.engine.createSpectatorView(room);
+  }
 
-    if (currentIndex === -1) {
-      room.currentTurn = activePlayers[0].id;
+  // A private table is watched on the same terms as it is joined, unless
+  // the viewer is its host or sits at it
+  async assertSpectatorAccess(room, viewerId, { password, inviteToken } = {}) {
+    if (
+      !room.private ||
+      room.creator.id === viewerId ||
+      room.players.some((p) => p.id === viewerId)
+    ) {
       return;
     }
+    await this.assertRoomAccess(room, { password, inviteToken });
+  }
 
-    const nextIndex = (currentIndex + 1) % activePlayers.length;
-    room.currentTurn = activePlayers[nextIndex].id;
+  // Spectators are tracked per WebSocket connection (WebSocketService)
+  async getSpectatorCount(roomId) {
+    return this.redis.client.scard(`poker:spectators:${roomId}`);
   }
 
-  isRoundComplete(room) {
-    const activePlayers = room.players.filter((p) => !p.folded);
+  // Provably Fair Shuffling
 
-    // Only one player remains
-    if (activePlayers.length <= 1) {
-      return true;
-    }
+  // The secret seed lives under its own key, never in the broadcast room
+  // state; only its hash is published until the hand is over
+  async commitSeed(room) {
+    const { serverSeed, serverSeedHash } = fairness.createSeed();
+    await this.redis.client.set(
+      `poker:fairness:${room.id}`,
+      JSON.stringify({ serverSeed, serverSeedHash })
+    );
+
+    room.fairness = {
+      ...room.fairness,
+      serverSeedHash,
+      clientSeeds: room.fairness?.clientSeeds || {},
+      hand: null,
+    };
+  }
 
-    // All active players are all-in
-    const playingPlayers = activePlayers.filter((p) => !p.allIn);
-    if (playingPlayers.length <= 1) {
-      return true;
+  // Seeds for the next deal: the committed server seed, the client seeds of
+  // the seated players and the hand number as the nonce
+  async drawSeeds(room) {
+    const key = `poker:fairness:${room.id}`;
+    let secret = JSON.parse(await this.redis.client.get(key));
+    if (!secret || secret.dealt) {
+      await this.commitSeed(room);
+      secret = JSON.parse(await this.redis.client.get(key));
     }
 
-    const playersNeedingAction = playingPlayers.filter((p) => {
-      const hasActed = room.playersActedThisRound.includes(p.id);
-      const needsToMatchBet = room.currentBet > 0 && p.bet < room.currentBet;
-      return !hasActed || needsToMatchBet;
-    });
+    const seated = new Set(room.players.map((p) => p.id));
+    const clientSeeds = Object.fromEntries(
+      Object.entries(room.fairness.clientSeeds).filter(([playerId]) =>
+        seated.has(playerId)
+      )
+    );
 
-    if (playersNeedingAction.length > 0) {
-      console.log(
-        `🕓 Waiting on:`,
-        playersNeedingAction.map((p) => p.id)
-      );
+    const seeds = {
+      ...secret,
+      clientSeed: fairness.combineClientSeeds(clientSeeds),
+      nonce: room.handNumber + 1,
+      dealt: true,
+    };
+    await this.redis.client.set(key, JSON.stringify(seeds));
+    return seeds;
+  }
+
+  // Publishes the seed behind a finished hand and commits the next one
+  async revealSeed(room, events) {
+    const showdowns = events.filter((event) => event.type === "showdown");
+    if (showdowns.length === 0) return;
+
+    const secret = JSON.parse(
+      await this.redis.client.get(`poker:fairness:${room.id}`)
+    );
+    if (!secret?.dealt) return;
+
+    const { serverSeed, serverSeedHash, clientSeed, nonce } = secret;
+    const revealed = {
+      serverSeed,
+      serverSeedHash,
+      clientSeed,
+      nonce,
+      variant: room.variant,
+    };
+    for (const event of showdowns) {
+      event.fairness = revealed;
+      if (event.history) event.history.fairness = revealed;
     }
 
-    return playersNeedingAction.length === 0;
+    await this.commitSeed(room);
+    room.fairness.revealed = revealed;
   }
 
-  // Hand evaluation methods (keeping your existing implementation)
-  evaluateHand(playerHand, communityCards) {
-    const allCards = [...playerHand, ...communityCards];
+  async setClientSeed(roomId, playerId, clientSeed) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
 
-    if (allCards.length < 5) {
-      return { name: "Incomplete Hand", score: 0 };
-    }
+      if (!room.players.some((p) => p.id === playerId)) {
+        throw new Error("Player not in room");
+      }
 
-    const cards = allCards.map((card) => ({
-      rank: card.rank,
-      suit: card.suit,
-      value: this.getRankValue(card.rank),
-    }));
+      if (
+        typeof clientSeed !== "string" ||
+        !clientSeed ||
+        clientSeed.length > 64
+      ) {
+        throw new Error("Client seed must be 1-64 characters");
+      }
 
-    const sortedCards = cards.sort((a, b) => b.value - a.value);
+      // Takes effect from the next deal
+      room.fairness.clientSeeds[playerId] = clientSeed;
+      room.updatedAt = new Date().toISOString();
+      await this.saveRoom(room);
 
-    const royalFlush = this.checkRoyalFlush(sortedCards);
-    if (royalFlush) return royalFlush;
+      this.ws.broadcastToRoom(roomId, {
+        type: "client_seed_updated",
+        playerId,
+        room,
+      });
+      return room;
+    });
+  }
 
-    const straightFlush = this.checkStraightFlush(sortedCards);
-    if (straightFlush) return straightFlush;
+  // Hand History
 
-    const fourOfAKind = this.checkFourOfAKind(sortedCards);
-    if (fourOfAKind) return fourOfAKind;
+  // Persists finished hands; the full record (every hole card) stays out of
+  // the broadcast, clients get the hand id instead
+  async recordHands(roomId, events) {
+    for (const event of events) {
+      if (event.type !== "showdown" || !event.history) continue;
 
-    const fullHouse = this.checkFullHouse(sortedCards);
-    if (fullHouse) return fullHouse;
+      const { history } = event;
+      delete event.history;
+      history.endedAt = new Date().toISOString();
+      history.startedAt = history.startedAt || history.endedAt;
 
-    const flush = this.checkFlush(sortedCards);
-    if (flush) return flush;
+      try {
+        const hand = await PokerHand.createHand(history);
+        event.handId = hand.id;
+      } catch (error) {
+        logger.error(`Error saving hand history for room ${roomId}:`, error);
+      }
+    }
+  }
 
-    const straight = this.checkStraight(sortedCards);
-    if (straight) return straight;
+  async getHands(playerId, options = {}) {
+    const hands = await PokerHand.getPlayerHands(playerId, options);
+    return hands.map((hand) => this.toHandView(hand, playerId));
+  }
 
-    const threeOfAKind = this.checkThreeOfAKind(sortedCards);
-    if (threeOfAKind) return threeOfAKind;
+  // VPIP, PFR and the rest over the player's recorded hands
+  async getPlayerStats(playerId, { bigBlind, from, to } = {}) {
+    const histories = await PokerHand.getPlayerHistories(playerId, {
+      bigBlind,
+      from,
+      to,
+    });
 
-    const twoPair = this.checkTwoPair(sortedCards);
-    if (twoPair) return twoPair;
+    return {
+      playerId,
+      filters: {
+        bigBlind: bigBlind ?? null,
+        from: from || null,
+        to: to || null,
+      },
+      ...playerStats.compute(histories, playerId),
+    };
+  }
 
-    const pair = this.checkPair(sortedCards);
-    if (pair) return pair;
+  async getHand(handId, playerId) {
+    const hand = await this.getPlayerHand(handId, playerId);
+    return this.toHandView(hand, playerId);
+  }
 
-    return this.checkHighCard(sortedCards);
+  async exportHand(handId, playerId) {
+    const hand = await this.getPlayerHand(handId, playerId);
+    return handHistory.toPokerStars(hand.id, hand.history, playerId);
   }
 
-  getRankValue(rank) {
-    switch (rank) {
-      case "A":
-        return 14;
-      case "K":
-        return 13;
-      case "Q":
-        return 12;
-      case "J":
-        return 11;
-      case "10":
-        return 10;
-      default:
-        return parseInt(rank);
+  // Step-by-step rebuild of a past hand. Players see their own cards and
+  // those shown down; `revealAll` (support/moderators) shows every card.
+  async replayHand(handId, viewerId, { step, revealAll = false } = {}) {
+    const hand = revealAll
+      ? await PokerHand.getHand(handId)
+      : await this.getPlayerHand(handId, viewerId);
+    if (!hand) {
+      throw new Error("Hand not found");
     }
-  }
 
-  checkRoyalFlush(cards) {
-    const straightFlush = this.checkStraightFlush(cards);
-    if (straightFlush && straightFlush.cards[0].value === 14) {
-      return {
-        name: "Royal Flush",
-        score: 9000 + straightFlush.cards[0].value,
-        cards: straightFlush.cards,
-        description: `Royal Flush in ${straightFlush.cards[0].suit}`,
-      };
+    const { history } = hand;
+    let steps;
+    try {
+      steps = this.engine.replayHand(history);
+    } catch (error) {
+      logger.error(`Hand ${handId} could not be replayed:`, error);
+      throw new Error(`Hand could not be replayed: ${error.message}`);
     }
-    return null;
-  }
 
-  checkStraightFlush(cards) {
-    const flush = this.checkFlush(cards);
-    if (!flush) return null;
+    const visible = revealAll
+      ? history.seats.map((seat) => seat.playerId)
+      : handHistory
+          .forViewer(history, viewerId)
+          .holeCards.map((h) => h.playerId);
+
+    const views = steps.map(({ index, action, room, events }) => ({
+      index,
+      action,
+      events: events.map(({ history: _history, ...event }) => event),
+      state: this.toReplayState(room, visible),
+    }));
 
-    const straight = this.checkStraight(flush.cards);
-    if (!straight) return null;
+    // The replayed showdown must pay the same pots as the recorded one
+    const showdown = steps
+      .flatMap((s) => s.events)
+      .find((event) => event.type === "showdown");
+    const matchesRecord =
+      !!showdown &&
+      JSON.stringify(showdown.history.pots) === JSON.stringify(history.pots);
+
+    if (step !== undefined) {
+      const index = Number(step);
+      if (!Number.isInteger(index) || index < 0 || index >= views.length) {
+        throw new Error(`Step must be between 0 and ${views.length - 1}`);
+      }
+      return {
+        handId: hand.id,
+        totalSteps: views.length,
+        matchesRecord,
+        step: views[index],
+      };
+    }
 
     return {
-      name: "Straight Flush",
-      score: 8000 + straight.cards[0].value,
-      cards: straight.cards,
-      description: `Straight Flush, ${straight.cards[0].rank} high`,
+      handId: hand.id,
+      totalSteps: views.length,
+      matchesRecord,
+      steps: views,
     };
   }
 
-  checkFourOfAKind(cards) {
-    const groups = this.groupByRank(cards);
-    const fourOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 4
-    );
-
-    if (!fourOfAKind) return null;
+  // Table as seen at a replay step: never the deck, hole cards only when
+  // the viewer is allowed to see them
+  toReplayState(room, visiblePlayerIds) {
+    return {
+      handNumber: room.handNumber,
+      phase: room.phase,
+      pot: room.pot,
+      currentBet: room.currentBet,
+      currentTurn: room.currentTurn,
+      community: room.community,
+      dealerIndex: room.dealerIndex,
+      smallBlind: room.smallBlind,
+      bigBlind: room.bigBlind,
+      straddler: room.straddler,
+      players: room.players.map((player) => ({
+        id: player.id,
+        username: player.username,
+        chips: player.chips,
+        bet: player.bet,
+        totalBet: player.totalBet,
+        folded: player.folded,
+        allIn: player.allIn,
+        hand: visiblePlayerIds.includes(player.id)
+          ? player.hand
+          : player.hand.map(() => null),
+      })),
+    };
+  }
 
-    const [rank, fourCards] = fourOfAKind;
-    const kicker = cards.find((card) => card.value !== fourCards[0].value);
+  // Players can only read hands they were dealt into
+  async getPlayerHand(handId, playerId) {
+    const hand = await PokerHand.getHand(handId);
+    if (!hand || !hand.player_ids.includes(playerId)) {
+      throw new Error("Hand not found");
+    }
+    return hand;
+  }
 
+  toHandView(hand, playerId) {
     return {
-      name: "Four of a Kind",
-      score: 7000 + fourCards[0].value,
-      cards: kicker ? [...fourCards, kicker] : fourCards,
-      description: `Four ${rank}s`,
+      id: hand.id,
+      roomId: hand.room_id,
+      tournamentId: hand.tournament_id,
+      handNumber: hand.hand_number,
+      startedAt: hand.started_at,
+      endedAt: hand.ended_at,
+      ...handHistory.forViewer(hand.history, playerId),
     };
   }
 
-  checkFullHouse(cards) {
-    const groups = this.groupByRank(cards);
-    const threeOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 3
-    );
-    const pair = Object.entries(groups).find(
-      ([_, cards]) => cards.length >= 2 && cards !== threeOfAKind?.[1]
-    );
+  // Tournaments deal their own next hand (blinds, balancing, eliminations)
+  notifyTournamentHand(room, events) {
+    for (const listener of PokerService.tournamentHandListeners) {
+      Promise.resolve(listener(room, events)).catch((error) =>
+        logger.error(`Tournament hand handler failed for ${room.id}:`, error)
+      );
+    }
+  }
 
-    if (!threeOfAKind || !pair) return null;
+  assertCashTable(room) {
+    if (room.tournamentId) {
+      throw new Error("Tournament tables are managed by the tournament");
+    }
+  }
 
-    const [threeRank, threeCards] = threeOfAKind;
-    const [pairRank, pairCards] = pair;
+  // Chips balance
+  // Records and applies a chips movement; negative deltas are debits
+  async transferChips(userId, type, chipsDelta, metadata = {}) {
+    const transaction = await Transaction.createTransaction(
+      type,
+      Math.abs(chipsDelta),
+      userId,
+      null,
+      CURRENCIES.CHIPS,
+      { game: "poker", ...metadata }
+    );
 
-    return {
-      name: "Full House",
-      score: 6000 + threeCards[0].value * 100 + pairCards[0].value,
-      cards: [...threeCards, ...pairCards.slice(0, 2)],
-      description: `${threeRank}s full of ${pairRank}s`,
-    };
-  }
+    try {
+      await User.updateBalance(userId, { chipsDelta });
+    } catch (error) {
+      await Transaction.updateTransactionStatus(
+        transaction.id,
+        TRANSACTION_STATUS.FAILED
+      );
+      throw error;
+    }
 
-  checkFlush(cards) {
-    const suitGroups = this.groupBySuit(cards);
-    const flushSuit = Object.entries(suitGroups).find(
-      ([_, cards]) => cards.length >= 5
+    await Transaction.updateTransactionStatus(
+      transaction.id,
+      TRANSACTION_STATUS.COMPLETED
     );
+    return transaction;
+  }
 
-    if (!flushSuit) return null;
+  // Credits stacks leaving the table (leave, bust-out, end of game); a
+  // bot's stack goes back to the house account that funded it
+  async cashOutStacks(roomId, events) {
+    const cashOutEvents = ["player_left", "player_busted", "player_cashed_out"];
 
-    const [suit, flushCards] = flushSuit;
-    const bestFlushCards = flushCards.slice(0, 5);
+    for (const event of events) {
+      if (!cashOutEvents.includes(event.type) || !(event.chips > 0)) continue;
 
-    return {
-      name: "Flush",
-      score:
-        5000 +
-        bestFlushCards.reduce(
-          (sum, card, index) => sum + card.value * Math.pow(10, 4 - index),
-          0
-        ),
-      cards: bestFlushCards,
-      description: `${suit} flush`,
-    };
+      const isBot = this.isBot(event.playerId);
+      await this.transferChips(
+        isBot ? this.getHouseUserId() : event.playerId,
+        TRANSACTION_TYPES.POKER_CASH_OUT,
+        event.chips,
+        { roomId, ...(isBot && { botId: event.playerId }) }
+      );
+    }
   }
 
-  checkStraight(cards) {
-    const uniqueValues = [...new Set(cards.map((card) => card.value))].sort(
-      (a, b) => b - a
-    );
+  // House revenue: one completed transaction per raked hand
+  async recordRake(roomId, events) {
+    for (const event of events) {
+      if (event.type !== "showdown" || !(event.rake > 0)) continue;
 
-    // Check for regular straight
-    for (let i = 0; i <= uniqueValues.length - 5; i++) {
-      const sequence = uniqueValues.slice(i, i + 5);
-      if (this.isConsecutive(sequence)) {
-        const straightCards = sequence.map((value) =>
-          cards.find((card) => card.value === value)
+      try {
+        const transaction = await Transaction.createTransaction(
+          TRANSACTION_TYPES.POKER_RAKE,
+          event.rake,
+          null,
+          null,
+          CURRENCIES.CHIPS,
+          { game: "poker", roomId }
+        );
+        await Transaction.updateTransactionStatus(
+          transaction.id,
+          TRANSACTION_STATUS.COMPLETED
         );
-        return {
-          name: "Straight",
-          score: 4000 + sequence[0],
-          cards: straightCards,
-          description: `Straight, ${straightCards[0].rank} high`,
-        };
+      } catch (error) {
+        // The chips are already out of the pot; don't block the table
+        logger.error(`Error recording rake for room ${roomId}:`, error);
       }
     }
-
-    // Check for A-2-3-4-5 straight (wheel)
-    if (
-      uniqueValues.includes(14) &&
-      uniqueValues.includes(5) &&
-      uniqueValues.includes(4) &&
-      uniqueValues.includes(3) &&
-      uniqueValues.includes(2)
-    ) {
-      const wheelCards = [5, 4, 3, 2, 14].map((value) =>
-        cards.find((card) => card.value === value)
-      );
-      return {
-        name: "Straight",
-        score: 4000 + 5, // 5-high straight
-        cards: wheelCards,
-        description: "Straight, 5 high",
-      };
-    }
-
-    return null;
   }
 
-  checkThreeOfAKind(cards) {
-    const groups = this.groupByRank(cards);
-    const threeOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 3
-    );
+  scheduleNextHand(room) {
+    if (room.status !== "waiting") return;
 
-    if (!threeOfAKind) return null;
+    if (this.engine.getPlayersToDeal(room).length < 2) {
+      this.ws.broadcastToRoom(room.id, {
+        type: "waiting_for_players",
+        room: room,
+      });
+      return;
+    }
 
-    const [rank, threeCards] = threeOfAKind;
-    const kickers = cards
-      .filter((card) => card.value !== threeCards[0].value)
-      .slice(0, 2);
+    const countdownSeconds = 10;
+    this.ws.broadcastToRoom(room.id, {
+      type: "new_game_countdown",
+      seconds: countdownSeconds,
+      room: room,
+    });
 
-    return {
-      name: "Three of a Kind",
-      score:
-        3000 +
-        threeCards[0].value * 100 +
-        kickers.reduce((sum, card) => sum + card.value, 0),
-      cards: [...threeCards, ...kickers],
-      description: `Three ${rank}s`,
-    };
+    // Kept apart from the turn timer, which every commit clears
+    this.scheduler
+      .schedule(
+        `poker:next-hand:${room.id}`,
+        "poker:next-hand",
+        { roomId: room.id },
+        Date.now() + countdownSeconds * 1000
+      )
+      .catch((error) =>
+        logger.error(`Error scheduling next hand in ${room.id}:`, error)
+      );
   }
 
-  checkTwoPair(cards) {
-    const groups = this.groupByRank(cards);
-    const pairs = Object.entries(groups).filter(
-      ([_, cards]) => cards.length >= 2
-    );
-
-    if (pairs.length < 2) return null;
+  async dealNextHand(roomId) {
+    return this.withRoomLock(roomId, async () => {
+      // Re-fetch room to check if enough players remain
+      const latestRoom = await this.getRoom(roomId);
+      if (latestRoom.status !== "waiting") return;
+
+      const stillEnough = this.engine.getPlayersToDeal(latestRoom).length >= 2;
+      if (stillEnough) {
+        await this.startHand(latestRoom);
+      } else {
+        this.ws.broadcastToRoom(roomId, {
+          type: "waiting_for_players",
+          room: latestRoom,
+        });
+      }
+    });
+  }
 
-    // Sort pairs by card value
-    pairs.sort((a, b) => b[1][0].value - a[1][0].value);
+  // Timers
 
-    const [highPairRank, highPairCards] = pairs[0];
-    const [lowPairRank, lowPairCards] = pairs[1];
-    const kicker = cards.find(
-      (card) =>
-        card.value !== highPairCards[0].value &&
-        card.value !== lowPairCards[0].value
-    );
+  // Deadlines for the pending decision: the action time, then the player's
+  // time bank. Stored in the room so clients can draw the countdown, and
+  // kept while the same decision is pending so other updates don't reset it.
+  updateTurnTimer(room) {
+    if (room.status !== "playing" || !room.currentTurn) {
+      room.turnTimer = null;
+      return;
+    }
 
-    const handCards = [
-      ...highPairCards.slice(0, 2),
-      ...lowPairCards.slice(0, 2),
-    ];
-    if (kicker) handCards.push(kicker);
+    const decision = `${room.handNumber}:${room.handLog?.actions.length}`;
+    if (
+      room.turnTimer?.playerId === room.currentTurn &&
+      room.turnTimer.decision === decision
+    ) {
+      return;
+    }
 
-    return {
-      name: "Two Pair",
-      score:
-        2000 +
-        highPairCards[0].value * 100 +
-        lowPairCards[0].value * 10 +
-        (kicker?.value || 0),
-      cards: handCards,
-      description: `${highPairRank}s and ${lowPairRank}s`,
+    // Players sitting out (tournaments deal them in) act straight away
+    const player = room.players.find((p) => p.id === room.currentTurn);
+    const actionTime = player.sittingOut ? 0 : room.timing.actionTime * 1000;
+    const timeBank = player.sittingOut ? 0 : player.timeBank * 1000;
+
+    const now = Date.now();
+    room.turnTimer = {
+      playerId: player.id,
+      decision,
+      startedAt: now,
+      actionEndsAt: now + actionTime,
+      timeBankEndsAt: now + actionTime + timeBank,
     };
   }
 
-  checkPair(cards) {
-    const groups = this.groupByRank(cards);
-    const pair = Object.entries(groups).find(([_, cards]) => cards.length >= 2);
+  // Seconds past the action time come out of the player's time bank
+  chargeTimeBank(room, playerId) {
+    const timer = room.turnTimer;
+    const overtime =
+      timer?.playerId === playerId ? Date.now() - timer.actionEndsAt : 0;
+    if (overtime <= 0) return room;
 
-    if (!pair) return null;
+    return this.engine.useTimeBank(room, playerId, Math.ceil(overtime / 1000))
+      .room;
+  }
 
-    const [rank, pairCards] = pair;
-    const kickers = cards
-      .filter((card) => card.value !== pairCards[0].value)
-      .slice(0, 3);
+  // A room waits on one decision at a time, so its timers share one job
+  scheduleTimer(roomId, type, data, duration) {
+    this.scheduler
+      .schedule(
+        `poker:timer:${roomId}`,
+        type,
+        data,
+        Date.now() + Math.max(duration, 0)
+      )
+      .catch((error) =>
+        logger.error(`Error scheduling ${type} in room ${roomId}:`, error)
+      );
+  }
 
-    return {
-      name: "Pair",
-      score:
-        1000 +
-        pairCards[0].value * 100 +
-        kickers.reduce(
-          (sum, card, index) => sum + card.value * Math.pow(10, 2 - index),
-          0
-        ),
-      cards: [...pairCards.slice(0, 2), ...kickers],
-      description: `Pair of ${rank}s`,
-    };
+  setPlayerTimeout(roomId, playerId, duration) {
+    this.scheduleTimer(roomId, "poker:timeout", { roomId, playerId }, duration);
   }
 
-  checkHighCard(cards) {
-    const bestCards = cards.slice(0, 5);
+  scheduleBotTurn(roomId, botId) {
+    this.scheduleTimer(roomId, "poker:bot", { roomId, botId }, this.botDelay);
+  }
 
-    return {
-      name: "High Card",
-      score: bestCards.reduce(
-        (sum, card, index) => sum + card.value * Math.pow(10, 4 - index),
-        0
-      ),
-      cards: bestCards,
-      description: `${bestCards[0].rank} high`,
-    };
+  // Runs the board once if not everyone agreed in time
+  setRunItTwiceTimeout(roomId, duration) {
+    this.scheduleTimer(roomId, "poker:run-it-twice", { roomId }, duration);
   }
 
-  groupByRank(cards) {
-    const groups = {};
-    for (const card of cards) {
-      if (!groups[card.rank]) {
-        groups[card.rank] = [];
-      }
-      groups[card.rank].push(card);
-    }
-    return groups;
+  async timeOutPlayer(roomId, playerId) {
+    return this.withRoomLock(roomId, async () => {
+      const room = await this.getRoom(roomId);
+      if (room.currentTurn !== playerId) return room;
+
+      const { room: updatedRoom, events } = this.engine.timeOut(room, playerId);
+      await this.commitRoom(updatedRoom, events);
+
+      console.log(`Player ${playerId} timed out in room ${roomId}`);
+      return updatedRoom;
+    });
   }
 
-  groupBySuit(cards) {
-    const groups = {};
-    for (const card of cards) {
-      if (!groups[card.suit]) {
-        groups[card.suit] = [];
-      }
-      groups[card.suit].push(card);
-    }
-    return groups;
+  clearRoomTimeouts(roomId) {
+    this.scheduler
+      .cancel(`poker:timer:${roomId}`)
+      .catch((error) =>
+        logger.error(`Error clearing timers in room ${roomId}:`, error)
+      );
   }
 
-  isConsecutive(values) {
-    for (let i = 1; i < values.length; i++) {
-      if (values[i] !== values[i - 1] - 1) {
-        return false;
-      }
+  // Helper methods
+
+  // Hands are dealt from seeded decks (fairness.shuffle); this is for draws
+  // outside a hand, like tournament seats, so it takes the system CSPRNG
+  shuffleDeck(deck) {
+    const shuffled = [...deck];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
-    return true;
+    return shuffled;
   }
 }
 
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import PokerGameEngine from "./PokerGameEngine.js";
+import rouletteBets from "./RouletteBets.js";
+
+/**
+ * Provably fair randomness - commit-reveal over an HMAC-SHA256 stream.
+ *
+ * The server commits to a secret seed by publishing its SHA-256 hash before
+ * a hand or spin. Players may add client seeds, which the server cannot know
+ * in advance. Every random draw comes from
+ * HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`), so once the
+ * seed is revealed anyone can recompute the result and check it against the
+ * published hash.
+ */
+class FairnessService {
+  constructor() {
+    this.SEED_BYTES = 32;
+
+    // Recomputes a game's outcome from the revealed seeds
+    this.games = {
+      poker: (seeds, { variant }) => ({
+        // The engine deals from the end of the array
+        deck: this.shuffle(new PokerGameEngine().createDeck(variant), seeds),
+      }),
+      roulette: (seeds, { wheel = "european" }) => ({
+        winningNumber: this.rouletteNumber(
+          seeds,
+          rouletteBets.getWheel(wheel).pockets
+        ),
+      }),
+    };
+  }
+
+  // A new secret seed and the hash that is published before it is used
+  createSeed() {
+    const serverSeed = crypto.randomBytes(this.SEED_BYTES).toString("hex");
+    return { serverSeed, serverSeedHash: this.hashSeed(serverSeed) };
+  }
+
+  hashSeed(serverSeed) {
+    return crypto.createHash("sha256").update(serverSeed).digest("hex");
+  }
+
+  // Per-player seeds as one string, ordered by player id so it does not
+  // depend on submission order
+  combineClientSeeds(clientSeeds = {}) {
+    return Object.keys(clientSeeds)
+      .sort()
+      .map((playerId) => `${playerId}:${clientSeeds[playerId]}`)
+      .join(",");
+  }
+
+  // Floats in [0, 1), four bytes each, 8 per HMAC block
+  *floats({ serverSeed, clientSeed = "", nonce = 0 }) {
+    for (let round = 0; ; round++) {
+      const block = crypto
+        .createHmac("sha256", serverSeed)
+        .update(`${clientSeed}:${nonce}:${round}`)
+        .digest();
+      for (let offset = 0; offset < block.length; offset += 4) {
+        yield block.readUInt32BE(offset) / 2 ** 32;
+      }
+    }
+  }
+
+  // Fisher-Yates driven by the seeded stream
+  shuffle(items, seeds) {
+    const shuffled = [...items];
+    const random = this.floats(seeds);
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next().value * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  rouletteNumber(seeds, pockets = 37) {
+    return Math.floor(this.floats(seeds).next().value * pockets);
+  }
+
+  // `options` carries game settings that change the outcome, e.g. the
+  // poker variant (short-deck uses a 36-card deck) or the roulette wheel
+  // (the American one has 38 pockets)
+  verify({
+    game,
+    serverSeed,
+    serverSeedHash,
+    clientSeed = "",
+    nonce = 0,
+    ...options
+  }) {
+    const compute = this.games[game];
+    if (!compute) {
+      throw new Error(`Unknown game: ${game}`);
+    }
+
+    const hash = this.hashSeed(serverSeed);
+    return {
+      game,
+      serverSeedHash: hash,
+      hashMatches: serverSeedHash ? hash === serverSeedHash : null,
+      clientSeed,
+      nonce,
+      ...compute({ serverSeed, clientSeed, nonce }, options),
+    };
+  }
+}
+
+export default new FairnessService();
@@ -11,6 +11,7 @@ import {
   ERROR_MESSAGES,
   CURRENCIES,
 } from "../utils/constants.js";
+import rouletteBets from "./RouletteBets.js";
 
 class GameService {
   constructor() {
@@ -107,7 +108,8 @@ class GameService {
     }
   }
 
-  async placeBet(gameId, userId, betAmount) {
+  // Roulette games also take the `bet` being staked
+  async placeBet(gameId, userId, betAmount, bet) {
     try {
       const game = await Game.getGame(gameId);
       if (!game) throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
@@ -116,6 +118,10 @@ class GameService {
         throw new Error("Game is not active");
       }
 
+      if (game.type === GAME_TYPES.ROULETTE) {
+        this.assertRouletteBet(bet);
+      }
+
       // Validate user has enough balance
       const user = await User.getUser(userId);
       if (user.chips_balance < betAmount) {
@@ -215,6 +221,9 @@ class GameService {
         if (typeof result.betAmount !== "number" || result.betAmount <= 0) {
           throw new Error("Each result must have a valid betAmount");
         }
+        if (game.type === GAME_TYPES.ROULETTE) {
+          this.assertRouletteBet(result.bet);
+        }
       }
 
       const processedResults = await gameLogic.call(this, results, game);
@@ -526,45 +535,30 @@ class GameService {
     });
   }
 
-  checkRouletteBet(bet, number) {
-    if (typeof bet === "number") {
-      return bet === number;
-    }
-
-    // Handle special bets
-    switch (bet) {
-      case "red":
-        return [
-          1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
-        ].includes(number);
-      case "black":
-        return [
-          2, 4, 6, 8, 10, 11, 13, 15, 17, 20, 22, 24, 26, 28, 29, 31, 33, 35,
-        ].includes(number);
-      case "even":
-        return number > 0 && number % 2 === 0;
-      case "odd":
-        return number % 2 === 1;
-      case "low":
-        return number >= 1 && number <= 18;
-      case "high":
-        return number >= 19 && number <= 36;
-      default:
-        return false;
-    }
+  // Bets come as a number (straight up), an even-money name ("red") or
+  // { type, value } from the shared catalogue (RouletteBets)
+  toRouletteBet(bet) {
+    if (typeof bet === "number") return { type: "straight", value: bet };
+    if (typeof bet === "string") return { type: bet };
+    return bet;
   }
 
-  getRouletteMultiplier(bet) {
-    if (typeof bet === "number") {
-      return 35; // Straight up bet
+  // Refuses a bet the catalogue doesn't know before any chips move, so
+  // settlement never meets one
+  assertRouletteBet(bet) {
+    if (bet === undefined || bet === null) {
+      throw new Error("A roulette bet is required");
     }
+    const { type, value } = this.toRouletteBet(bet);
+    rouletteBets.normalize(type, value);
+  }
 
-    // Even money bets
-    if (["red", "black", "even", "odd", "low", "high"].includes(bet)) {
-      return 1;
-    }
+  checkRouletteBet(bet, number) {
+    return rouletteBets.isWinner(this.toRouletteBet(bet), number);
+  }
 
-    return 1;
+  getRouletteMultiplier(bet) {
+    return rouletteBets.getPayout(this.toRouletteBet(bet).type);
   }
 
   async getAvailableRooms(gameType) {
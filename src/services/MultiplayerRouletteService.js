@@ -1,9 +1,22 @@
 import redisService from "./RedisService.js";
 import webSocketService from "./WebSocketService.js";
-import { GAME_STATUS, GAME_TYPES } from "../utils/constants.js";
+import {
+  GAME_STATUS,
+  GAME_TYPES,
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUS,
+  CURRENCIES,
+} from "../utils/constants.js";
 import { logger } from "../utils/logger.js";
 import { supabase } from "../db/supabase.js";
-
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import fairness from "./FairnessService.js";
+import rouletteBets from "./RouletteBets.js";
+import scheduler from "./PhaseScheduler.js";
+
+// Phase transitions run on the PhaseScheduler, so a round carries on after a
+// restart and only one server instance moves each game along
 class MultiplayerRouletteService {
   constructor() {
     this.gamePhases = {
@@ -20,26 +33,35 @@ class MultiplayerRouletteService {
       RESULTS: 5000, // 5 seconds to show results
     };
 
-    this.betTypes = {
-      NUMBER: "number",
-      RED: "red",
-      BLACK: "black",
-      EVEN: "even",
-      ODD: "odd",
-      LOW: "1-18",
-      HIGH: "19-36",
-    };
+    this.rounds = 3;
+    this.cleanupDelay = 60000; // ms finished games stay in Redis
+
+    scheduler.register("roulette:spin", ({ gameId }) =>
+      this.startSpinningPhase(gameId)
+    );
+    scheduler.register("roulette:reveal", ({ gameId }) =>
+      this.revealResults(gameId)
+    );
+    scheduler.register("roulette:next", ({ gameId }) =>
+      this.startNextRoundOrFinish(gameId)
+    );
+    scheduler.register("roulette:cleanup", ({ gameId }) =>
+      this.cleanupGame(gameId)
+    );
+  }
 
-    this.redNumbers = [
-      1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
-    ];
-    this.blackNumbers = [
-      2, 4, 6, 8, 10, 11, 13, 15, 17, 20, 22, 24, 26, 28, 29, 31, 33, 35,
-    ];
+  // Each game has one pending transition, kept under its id
+  schedulePhase(gameId, type, dueAt) {
+    return scheduler.schedule(
+      `roulette:phase:${gameId}`,
+      type,
+      { gameId },
+      dueAt
+    );
   }
 
   // Database Operations
-  async createGameInDatabase(creatorId, betAmount, maxPlayers) {
+  async createGameInDatabase(creatorId, betAmount, maxPlayers, table) {
     try {
       const { data: game, error } = await supabase
         .from("games")
@@ -56,6 +78,9 @@ class MultiplayerRouletteService {
             rounds: [],
             current_round: 0,
             phase: this.gamePhases.WAITING,
+            wheel: table.wheel,
+            zero_rule: table.zeroRule,
+            limits: table.limits,
           },
         })
         .select()
@@ -142,14 +167,65 @@ class MultiplayerRouletteService {
     }
   }
 
+  // La Partage halves and released En Prison bets go back to the player as
+  // refund transactions; process_game_results only pays out winning bets.
+  // A failed refund stays on the ledger as failed and doesn't stop the game.
+  async creditRefunds(gameId, results) {
+    for (const { userId, refund, bet } of results) {
+      if (!(refund > 0)) continue;
+
+      let transaction;
+      try {
+        transaction = await Transaction.createTransaction(
+          TRANSACTION_TYPES.REFUND,
+          refund,
+          userId,
+          gameId,
+          CURRENCIES.CHIPS,
+          { game: "roulette", bet }
+        );
+        await User.updateBalance(userId, { chipsDelta: refund });
+        await Transaction.updateTransactionStatus(
+          transaction.id,
+          TRANSACTION_STATUS.COMPLETED
+        );
+      } catch (error) {
+        logger.error(
+          `Error refunding ${refund} to ${userId} in ${gameId}:`,
+          error
+        );
+        if (transaction) {
+          await Transaction.updateTransactionStatus(
+            transaction.id,
+            TRANSACTION_STATUS.FAILED
+          ).catch(() => {});
+        }
+      }
+    }
+  }
+
   // Game Logic
-  async createMultiplayerGame(creatorId, betAmount, maxPlayers = 8) {
+  // `wheel` is european, american or french; French tables also pick
+  // `zeroRule` (la-partage by default, or en-prison). `betAmount` is the
+  // table minimum; `limits` may add maxBet, typeMax and maxExposure.
+  async createMultiplayerGame(
+    creatorId,
+    betAmount,
+    maxPlayers = 8,
+    { wheel, zeroRule, limits = {} } = {}
+  ) {
     try {
+      const table = {
+        ...rouletteBets.assertWheel(wheel, zeroRule),
+        limits: rouletteBets.resolveLimits({ ...limits, minBet: betAmount }),
+      };
+
       // Create game in database
       const game = await this.createGameInDatabase(
         creatorId,
         betAmount,
-        maxPlayers
+        maxPlayers,
+        table
       );
 
       // Initialize game state in Redis
@@ -160,10 +236,13 @@ class MultiplayerRouletteService {
         bets: {},
         currentRound: 0,
         winningNumber: null,
+        clientSeeds: {},
         phaseEndTime: null,
         createdAt: Date.now(),
         betAmount: betAmount,
         maxPlayers: maxPlayers,
+        ...table,
+        heldBets: {},
       };
 
       // Create game room first
@@ -175,7 +254,7 @@ class MultiplayerRouletteService {
           game_type: GAME_TYPES.ROULETTE,
           status: GAME_STATUS.WAITING,
           min_bet: betAmount,
-          max_bet: betAmount,
+          max_bet: table.limits.maxBet,
           current_players: 1,
           max_players: maxPlayers,
         })
@@ -275,6 +354,7 @@ class MultiplayerRouletteService {
             bets: gameData.bets || {},
             currentRound: gameData.current_round || 0,
             winningNumber: gameData.winning_number || null,
+            clientSeeds: {},
             phaseEndTime: gameData.phase_end_time || null,
             createdAt: new Date(activeGame.created_at).getTime(),
             betAmount: activeGame.bet_amount,
@@ -282,6 +362,12 @@ class MultiplayerRouletteService {
             roomId: roomId,
             game_type: GAME_TYPES.ROULETTE,
             status: activeGame.status,
+            wheel: gameData.wheel || "european",
+            zeroRule: gameData.zero_rule || null,
+            limits:
+              gameData.limits ||
+              rouletteBets.resolveLimits({ minBet: activeGame.bet_amount }),
+            heldBets: {},
           };
 
           // Set reconstructed state in Redis
@@ -363,6 +449,11 @@ class MultiplayerRouletteService {
         // No game_id in room, create new game
         console.log("No game found in room, creating new game");
 
+        const limits = rouletteBets.resolveLimits({
+          minBet: room.min_bet,
+          maxBet: room.max_bet || room.min_bet,
+        });
+
         // Create new game in database
         const { data: game, error: gameError } = await supabase
           .from("games")
@@ -380,6 +471,9 @@ class MultiplayerRouletteService {
               rounds: [],
               current_round: 0,
               phase: this.gamePhases.WAITING,
+              wheel: "european",
+              zero_rule: null,
+              limits,
             },
           })
           .select()
@@ -416,6 +510,7 @@ class MultiplayerRouletteService {
           bets: {},
           currentRound: 0,
           winningNumber: null,
+          clientSeeds: {},
           phaseEndTime: null,
           createdAt: Date.now(),
           betAmount: room.min_bet,
@@ -423,6 +518,10 @@ class MultiplayerRouletteService {
           roomId: roomId,
           game_type: GAME_TYPES.ROULETTE,
           status: GAME_STATUS.WAITING,
+          wheel: "european",
+          zeroRule: null,
+          limits,
+          heldBets: {},
         };
 
         await redisService.setGameState(gameId, gameState);
@@ -469,7 +568,19 @@ class MultiplayerRouletteService {
       gameState.phase = this.gamePhases.BETTING;
       gameState.phaseEndTime = Date.now() + this.phaseDurations.BETTING;
       gameState.currentRound += 1;
-      gameState.bets = {};
+      // En Prison bets from the last spin ride on this one
+      gameState.bets = gameState.heldBets || {};
+      gameState.heldBets = {};
+
+      // Commit to this spin's seed before any bet is taken
+      const { serverSeed, serverSeedHash } = fairness.createSeed();
+      await redisService.client.set(
+        `roulette:fairness:${gameId}`,
+        JSON.stringify({ serverSeed, serverSeedHash }),
+        "EX",
+        1800
+      );
+      gameState.serverSeedHash = serverSeedHash;
 
       await redisService.setGameState(gameId, gameState);
       await this.updateGameStatus(gameId, GAME_STATUS.ACTIVE);
@@ -481,12 +592,11 @@ class MultiplayerRouletteService {
           phaseEndTime: gameState.phaseEndTime,
           round: gameState.currentRound,
           duration: this.phaseDurations.BETTING,
+          serverSeedHash,
         },
       });
 
-      setTimeout(() => {
-        this.startSpinningPhase(gameId);
-      }, this.phaseDurations.BETTING);
+      await this.schedulePhase(gameId, "roulette:spin", gameState.phaseEndTime);
 
       console.log(`Betting phase started for game ${gameId}`);
     } catch (error) {
@@ -508,9 +618,17 @@ class MultiplayerRouletteService {
         throw new Error("Player not in game");
       }
 
-      if (betAmount !== gameState.betAmount) {
-        throw new Error(`Bet amount must be ${gameState.betAmount}`);
-      }
+      // Announced bets expand into their chips; other bets are one chip
+      // and are rejected unless their numbers sit together on the layout
+      const placed = rouletteBets.isAnnounced(betType)
+        ? rouletteBets.announce(betType, betValue, betAmount, gameState.wheel)
+        : {
+            ...rouletteBets.normalize(betType, betValue, gameState.wheel),
+            value: betValue,
+            amount: betAmount,
+          };
+
+      this.assertBetLimits(gameState, playerId, placed.chips || [placed]);
 
       await this.processBetTransaction(gameId, playerId, betAmount);
 
@@ -518,12 +636,7 @@ class MultiplayerRouletteService {
         gameState.bets[playerId] = [];
       }
 
-      const bet = {
-        type: betType,
-        value: betValue,
-        amount: betAmount,
-        timestamp: Date.now(),
-      };
+      const bet = { ...placed, timestamp: Date.now() };
 
       gameState.bets[playerId].push(bet);
       await redisService.setGameState(gameId, gameState);
@@ -544,14 +657,79 @@ class MultiplayerRouletteService {
     }
   }
 
+  // Checks new chips against the table limits and what the player already
+  // has on the layout this spin, held En Prison bets included
+  assertBetLimits(gameState, playerId, chips) {
+    const placed = (gameState.bets[playerId] || []).flatMap(
+      (bet) => bet.chips || [bet]
+    );
+    // Games started before tables had limits take only their bet amount
+    const limits =
+      gameState.limits ||
+      rouletteBets.resolveLimits({ minBet: gameState.betAmount });
+    rouletteBets.checkLimits(limits, placed, chips);
+  }
+
+  // Client seeds can change until the betting phase closes
+  async setClientSeed(gameId, playerId, clientSeed) {
+    try {
+      const gameState = await redisService.getGameState(gameId);
+      if (!gameState) throw new Error("Game not found");
+
+      if (!gameState.players.includes(playerId)) {
+        throw new Error("Player not in game");
+      }
+
+      if (gameState.phase === this.gamePhases.SPINNING) {
+        throw new Error("Client seeds are locked while the wheel spins");
+      }
+
+      if (
+        typeof clientSeed !== "string" ||
+        !clientSeed ||
+        clientSeed.length > 64
+      ) {
+        throw new Error("Client seed must be 1-64 characters");
+      }
+
+      gameState.clientSeeds[playerId] = clientSeed;
+      await redisService.setGameState(gameId, gameState);
+
+      webSocketService.broadcastToRoom(gameId, {
+        type: "client_seed_updated",
+        data: { playerId, clientSeeds: gameState.clientSeeds },
+      });
+
+      return gameState.clientSeeds;
+    } catch (error) {
+      logger.error("Error setting client seed:", error);
+      throw error;
+    }
+  }
+
   async startSpinningPhase(gameId) {
     try {
       const gameState = await redisService.getGameState(gameId);
       if (!gameState) throw new Error("Game not found");
+      if (gameState.phase !== this.gamePhases.BETTING) return;
+
+      const key = `roulette:fairness:${gameId}`;
+      const secret = JSON.parse(await redisService.client.get(key));
+      if (!secret) throw new Error("No server seed committed for this spin");
+
+      const seeds = {
+        ...secret,
+        clientSeed: fairness.combineClientSeeds(gameState.clientSeeds),
+        nonce: gameState.currentRound,
+      };
+      await redisService.client.set(key, JSON.stringify(seeds), "EX", 1800);
 
       gameState.phase = this.gamePhases.SPINNING;
       gameState.phaseEndTime = Date.now() + this.phaseDurations.SPINNING;
-      gameState.winningNumber = Math.floor(Math.random() * 37);
+      gameState.winningNumber = fairness.rouletteNumber(
+        seeds,
+        rouletteBets.getWheel(gameState.wheel).pockets
+      );
 
       await redisService.setGameState(gameId, gameState);
 
@@ -564,12 +742,14 @@ class MultiplayerRouletteService {
         },
       });
 
-      setTimeout(() => {
-        this.revealResults(gameId);
-      }, this.phaseDurations.SPINNING);
+      await this.schedulePhase(
+        gameId,
+        "roulette:reveal",
+        gameState.phaseEndTime
+      );
 
       console.log(
-        `Spinning phase started for game ${gameId}, winning number: ${gameState.winningNumber}`
+        `Spinning phase started for game ${gameId}, winning number: ${rouletteBets.label(gameState.winningNumber)}`
       );
     } catch (error) {
       logger.error("Error starting spinning phase:", error);
@@ -581,30 +761,64 @@ class MultiplayerRouletteService {
     try {
       const gameState = await redisService.getGameState(gameId);
       if (!gameState) throw new Error("Game not found");
+      if (gameState.phase !== this.gamePhases.SPINNING) return;
 
       gameState.phase = this.gamePhases.RESULTS;
       gameState.phaseEndTime = Date.now() + this.phaseDurations.RESULTS;
 
-      await redisService.setGameState(gameId, gameState);
+      const { serverSeed, serverSeedHash, clientSeed, nonce } = JSON.parse(
+        await redisService.client.get(`roulette:fairness:${gameId}`)
+      );
+      const revealedSeed = { serverSeed, serverSeedHash, clientSeed, nonce };
+
+      // A bet can't be held past the last spin, so En Prison falls back to
+      // returning half
+      const zeroRule =
+        gameState.zeroRule === "en-prison" &&
+        gameState.currentRound >= this.rounds
+          ? "la-partage"
+          : gameState.zeroRule;
+      const winningPocket = rouletteBets.label(gameState.winningNumber);
 
       const results = [];
+      gameState.heldBets = {};
       for (const [playerId, playerBets] of Object.entries(gameState.bets)) {
         for (const bet of playerBets) {
-          const result = this.calculateBetResult(bet, gameState.winningNumber);
+          const result = this.calculateBetResult(bet, gameState.winningNumber, {
+            wheel: gameState.wheel,
+            zeroRule,
+          });
           results.push({
             userId: playerId,
             bet: bet.type,
+            betName: bet.name,
             betValue: bet.value,
-            betAmount: bet.amount,
+            // Paid back with the winnings, so only the chips that won
+            betAmount: result.win ? result.stake : bet.amount,
+            stake: bet.amount,
             number: gameState.winningNumber,
+            winningPocket,
             win: result.win,
             amount: result.winAmount,
+            refund: result.refund,
+            imprisoned: result.imprisoned,
+            chips: result.chips,
           });
+
+          if (result.imprisoned) {
+            gameState.heldBets[playerId] = [
+              ...(gameState.heldBets[playerId] || []),
+              { ...bet, imprisoned: true },
+            ];
+          }
         }
       }
 
+      await redisService.setGameState(gameId, gameState);
+
       if (results.length > 0) {
         await this.processGameResults(gameId, results);
+        await this.creditRefunds(gameId, results);
       }
 
       webSocketService.broadcastToRoom(gameId, {
@@ -612,17 +826,19 @@ class MultiplayerRouletteService {
         data: {
           phase: gameState.phase,
           winningNumber: gameState.winningNumber,
+          winningPocket,
+          wheel: gameState.wheel,
+          zeroRule: gameState.zeroRule,
           results: results,
           phaseEndTime: gameState.phaseEndTime,
+          fairness: revealedSeed,
         },
       });
 
-      setTimeout(() => {
-        this.startNextRoundOrFinish(gameId);
-      }, this.phaseDurations.RESULTS);
+      await this.schedulePhase(gameId, "roulette:next", gameState.phaseEndTime);
 
       console.log(
-        `Results revealed for game ${gameId}, winning number: ${gameState.winningNumber}`
+        `Results revealed for game ${gameId}, winning number: ${winningPocket}`
       );
     } catch (error) {
       logger.error("Error revealing results:", error);
@@ -630,56 +846,18 @@ class MultiplayerRouletteService {
     }
   }
 
-  calculateBetResult(bet, winningNumber) {
-    let win = false;
-    let multiplier = 0;
-
-    switch (bet.type) {
-      case this.betTypes.NUMBER:
-        win = bet.value === winningNumber;
-        multiplier = win ? 35 : 0;
-        break;
-      case this.betTypes.RED:
-        win = this.redNumbers.includes(winningNumber);
-        multiplier = win ? 1 : 0;
-        break;
-      case this.betTypes.BLACK:
-        win = this.blackNumbers.includes(winningNumber);
-        multiplier = win ? 1 : 0;
-        break;
-      case this.betTypes.EVEN:
-        win = winningNumber > 0 && winningNumber % 2 === 0;
-        multiplier = win ? 1 : 0;
-        break;
-      case this.betTypes.ODD:
-        win = winningNumber % 2 === 1;
-        multiplier = win ? 1 : 0;
-        break;
-      case this.betTypes.LOW:
-        win = winningNumber >= 1 && winningNumber <= 18;
-        multiplier = win ? 1 : 0;
-        break;
-      case this.betTypes.HIGH:
-        win = winningNumber >= 19 && winningNumber <= 36;
-        multiplier = win ? 1 : 0;
-        break;
-      default:
-        win = false;
-        multiplier = 0;
-    }
-
-    return {
-      win,
-      winAmount: win ? bet.amount * multiplier : 0,
-    };
+  calculateBetResult(bet, winningNumber, table) {
+    const { win, winAmount, stake, refund, imprisoned, chips } =
+      rouletteBets.settle(bet, winningNumber, table);
+    return { win, winAmount, stake, refund, imprisoned, chips };
   }
 
   async startNextRoundOrFinish(gameId) {
     try {
       const gameState = await redisService.getGameState(gameId);
-      if (!gameState) return;
+      if (!gameState || gameState.phase !== this.gamePhases.RESULTS) return;
 
-      if (gameState.currentRound >= 3) {
+      if (gameState.currentRound >= this.rounds) {
         await this.finishGame(gameId);
       } else {
         await this.startBettingPhase(gameId);
@@ -728,10 +906,11 @@ class MultiplayerRouletteService {
       });
 
       // Clean up Redis data after some time
-      setTimeout(async () => {
-        await redisService.removeGameRoom(gameId);
-        await redisService.removeGameState(gameId);
-      }, 60000);
+      await this.schedulePhase(
+        gameId,
+        "roulette:cleanup",
+        Date.now() + this.cleanupDelay
+      );
 
       console.log(
         `Game ${gameId} finished after ${gameState.currentRound} rounds`
@@ -741,6 +920,12 @@ class MultiplayerRouletteService {
     }
   }
 
+  async cleanupGame(gameId) {
+    await redisService.removeGameRoom(gameId);
+    await redisService.client.del(`roulette:fairness:${gameId}`);
+    await redisService.removeGameState(gameId);
+  }
+
   async leaveGame(gameId, playerId) {
     try {
       const gameState = await redisService.getGameState(gameId);
@@ -753,6 +938,9 @@ class MultiplayerRouletteService {
       if (gameState.bets[playerId]) {
         delete gameState.bets[playerId];
       }
+      if (gameState.heldBets?.[playerId]) {
+        delete gameState.heldBets[playerId];
+      }
       await redisService.setGameState(gameId, gameState);
 
       // Update game in database
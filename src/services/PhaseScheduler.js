@@ -0,0 +1,143 @@
+import redisService from "./RedisService.js";
+import { logger } from "../utils/logger.js";
+
+// Leases every due job to the caller and returns [id, payload, ...]
+const CLAIM_SCRIPT = `
+local due = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, ARGV[3])
+local claimed = {}
+for _, id in ipairs(due) do
+  redis.call("ZADD", KEYS[1], ARGV[2], id)
+  table.insert(claimed, id)
+  table.insert(claimed, redis.call("HGET", KEYS[2], id) or "")
+end
+return claimed
+`;
+
+// Removes a finished job unless it was rescheduled while it ran
+const COMPLETE_SCRIPT = `
+local score = redis.call("ZSCORE", KEYS[1], ARGV[1])
+if score and tonumber(score) == tonumber(ARGV[2]) then
+  redis.call("ZREM", KEYS[1], ARGV[1])
+  redis.call("HDEL", KEYS[2], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Durable timers for game phases and turn deadlines. Jobs live in a Redis
+ * sorted set scored by their deadline, so a restart loses nothing: the
+ * first poll after startup runs everything that fell due while the server
+ * was down.
+ *
+ * Every server instance polls. A worker claims due jobs by leasing them in
+ * the same Lua call that finds them, so exactly one worker runs each job;
+ * if it dies mid-run the job comes due again once the lease runs out.
+ * Handlers should still check that the state they act on is the one the
+ * job was scheduled for.
+ */
+class PhaseScheduler {
+  constructor() {
+    this.redis = redisService;
+    this.handlers = new Map();
+    this.pollInterval = 250; // ms between looks for due jobs
+    this.leaseTime = 30000; // ms a claimed job is held before it is retried
+    this.batchSize = 20;
+    this.running = false;
+    this.timer = null;
+
+    this.JOBS_KEY = "scheduler:jobs";
+    this.PAYLOADS_KEY = "scheduler:payloads";
+  }
+
+  // One handler per job type. Services register theirs when constructed;
+  // state lives in Redis, so any instance's handler will do.
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Scheduling an id again moves its deadline and replaces its payload, so
+  // a game or room has at most one pending transition under its id
+  async schedule(id, type, data, dueAt) {
+    await this.redis.client
+      .multi()
+      .hset(this.PAYLOADS_KEY, id, JSON.stringify({ type, data }))
+      .zadd(this.JOBS_KEY, dueAt, id)
+      .exec();
+  }
+
+  async cancel(id) {
+    await this.redis.client
+      .multi()
+      .zrem(this.JOBS_KEY, id)
+      .hdel(this.PAYLOADS_KEY, id)
+      .exec();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const loop = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error("Error polling scheduled jobs:", error);
+      }
+      if (this.running) this.timer = setTimeout(loop, this.pollInterval);
+    };
+    loop();
+
+    console.log("Phase scheduler started");
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  // Claims and runs every job due by `now`; returns how many ran
+  async poll(now = Date.now()) {
+    const leaseUntil = now + this.leaseTime;
+    const claimed = await this.redis.client.eval(
+      CLAIM_SCRIPT,
+      2,
+      this.JOBS_KEY,
+      this.PAYLOADS_KEY,
+      now,
+      leaseUntil,
+      this.batchSize
+    );
+
+    const jobs = [];
+    for (let i = 0; i < claimed.length; i += 2) {
+      jobs.push(this.run(claimed[i], claimed[i + 1], leaseUntil));
+    }
+    await Promise.all(jobs);
+    return jobs.length;
+  }
+
+  async run(id, payload, leaseUntil) {
+    try {
+      const { type, data } = JSON.parse(payload);
+      const handler = this.handlers.get(type);
+      if (!handler) throw new Error(`No handler for ${type} jobs`);
+
+      await handler(data);
+    } catch (error) {
+      // A failed transition is not retried, as with an in-process timer
+      logger.error(`Error running scheduled job ${id}:`, error);
+    }
+
+    await this.redis.client.eval(
+      COMPLETE_SCRIPT,
+      2,
+      this.JOBS_KEY,
+      this.PAYLOADS_KEY,
+      id,
+      leaseUntil
+    );
+  }
+}
+
+export default new PhaseScheduler();
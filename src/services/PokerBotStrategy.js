@@ -0,0 +1,138 @@
+import handEvaluator from "./PokerHandEvaluator.js";
+import PokerGameEngine from "./PokerGameEngine.js";
+
+/**
+ * Poker bot decisions - picks an action for a bot seat from the room state.
+ *
+ * Every strategy starts from the same estimate: the bot's equity against
+ * random hands, by Monte Carlo. `strength` is that equity relative to a
+ * fair share of the pot (1 = average hand for this many opponents). The
+ * strategies differ in how strong a hand they call and raise with, how
+ * often they bluff and how much they care about the price.
+ *
+ * Pure apart from `random`, which tests can seed; the service layer sends
+ * the decision through playerAction like any other player's.
+ */
+class PokerBotStrategy {
+  constructor() {
+    this.engine = new PokerGameEngine();
+
+    this.STRATEGIES = {
+      // Plays few hands, calls rather than raises
+      "tight-passive": { call: 1.2, raise: 2.2, bluff: 0, size: 0, price: 1 },
+      // Plays many hands and bets them, with some bluffs
+      "loose-aggressive": {
+        call: 0.7,
+        raise: 1.3,
+        bluff: 0.25,
+        size: 0.75,
+        price: 0.7,
+      },
+      // Calls when the equity beats the pot odds, raises good hands
+      "pot-odds": { call: 0, raise: 1.5, bluff: 0, size: 0.5, price: 1 },
+    };
+
+    // Equity is estimated against at most this many opponents, to keep
+    // each decision cheap at full tables
+    this.MAX_OPPONENTS = 3;
+    this.SAMPLES = 200;
+  }
+
+  assertStrategy(strategy) {
+    if (!this.STRATEGIES[strategy]) {
+      throw new Error(
+        `Bot strategy must be one of: ${Object.keys(this.STRATEGIES).join(", ")}`
+      );
+    }
+  }
+
+  // Returns { action, amount } for applyAction
+  decide(
+    room,
+    playerId,
+    { random = Math.random, samples = this.SAMPLES } = {}
+  ) {
+    const player = this.engine.getSeatedPlayer(room, playerId);
+    this.assertStrategy(player.botStrategy);
+    const style = this.STRATEGIES[player.botStrategy];
+
+    const opponents = Math.min(
+      room.players.filter((p) => !p.folded && p.id !== playerId).length,
+      this.MAX_OPPONENTS
+    );
+    const equity = this.estimateEquity(room, player, opponents, {
+      random,
+      samples,
+    });
+    const strength = equity * (opponents + 1);
+
+    const { canCheck, toCall, wager } = this.engine.getLegalActions(
+      room,
+      playerId
+    );
+
+    if (wager && (strength >= style.raise || random() < style.bluff)) {
+      const size = Math.round((room.pot + toCall) * style.size);
+      return {
+        action: wager.action,
+        amount: Math.min(Math.max(size, wager.min), wager.max),
+      };
+    }
+
+    if (canCheck) {
+      return { action: "check", amount: 0 };
+    }
+
+    const potOdds = toCall / (room.pot + toCall);
+    if (strength >= style.call && equity >= potOdds * style.price) {
+      return { action: "call", amount: 0 };
+    }
+
+    return { action: "fold", amount: 0 };
+  }
+
+  // Share of the pot the hand wins against random hands, ties split
+  estimateEquity(room, player, opponents, { random, samples }) {
+    const key = (card) => `${card.rank}${card.suit}`;
+    const known = new Set([...player.hand, ...room.community].map(key));
+    const deck = this.engine
+      .createDeck(room.variant)
+      .filter((card) => !known.has(key(card)));
+
+    const holeCount = this.engine.getHoleCardCount(room.variant);
+    const boardNeeded = 5 - room.community.length;
+    const draw = opponents * holeCount + boardNeeded;
+
+    let won = 0;
+    for (let sample = 0; sample < samples; sample++) {
+      // Partial Fisher-Yates: the first `draw` cards are a random deal
+      for (let i = 0; i < draw; i++) {
+        const j = i + Math.floor(random() * (deck.length - i));
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+      }
+
+      const board = [...room.community, ...deck.slice(0, boardNeeded)];
+      const mine = handEvaluator.evaluateHand(player.hand, board, room.variant);
+
+      let tied = 1;
+      let beaten = false;
+      for (let o = 0; o < opponents && !beaten; o++) {
+        const start = boardNeeded + o * holeCount;
+        const theirs = handEvaluator.evaluateHand(
+          deck.slice(start, start + holeCount),
+          board,
+          room.variant
+        );
+        const result = handEvaluator.compareHands(mine, theirs);
+        if (result < 0) beaten = true;
+        if (result === 0) tied++;
+      }
+
+      if (!beaten) won += 1 / tied;
+    }
+
+    return won / samples;
+  }
+}
+
+export default new PokerBotStrategy();
@@ -0,0 +1,404 @@
+import handEvaluator from "./PokerHandEvaluator.js";
+import PokerGameEngine from "./PokerGameEngine.js";
+
+/**
+ * Poker equity calculator - win, tie and equity percentages for two or more
+ * hands or ranges, on an optional board with optional dead cards.
+ *
+ * Every matchup and runout is enumerated when that takes at most
+ * MAX_EVALUATIONS hand evaluations; otherwise the hands and runouts are
+ * sampled (Monte Carlo), with the samples capped to the same budget since
+ * the calculation runs on the event loop. Ranges use the usual shorthand:
+ * "QQ+", "TT-77", "AKs", "KQo", "A2s+", "K9o-K6o", "AhKd" or "random".
+ * Omaha hands must be exact cards.
+ */
+class PokerEquityService {
+  constructor() {
+    this.engine = new PokerGameEngine();
+    this.RANKS = "23456789TJQKA";
+    this.SUITS = { s: "spades", h: "hearts", d: "diamonds", c: "clubs" };
+
+    this.MAX_EVALUATIONS = 5000;
+    this.DEFAULT_SAMPLES = 1000;
+    this.MAX_SAMPLES = 2500;
+    this.MAX_DRAWS = 100; // matchup draws allowed per sample
+    this.MAX_PLAYERS = 10;
+  }
+
+  // `hands` are range strings or arrays of cards; cards are engine cards
+  // or strings like "Ah" / "10d"
+  calculate({
+    hands,
+    board = [],
+    dead = [],
+    variant = "holdem",
+    samples = this.DEFAULT_SAMPLES,
+    random = Math.random,
+  }) {
+    if (!this.engine.VARIANTS.includes(variant)) {
+      throw new Error(
+        `Variant must be one of: ${this.engine.VARIANTS.join(", ")}`
+      );
+    }
+
+    if (!Array.isArray(hands) || hands.length < 2) {
+      throw new Error("Need at least two hands or ranges");
+    }
+
+    if (hands.length > this.MAX_PLAYERS) {
+      throw new Error(`At most ${this.MAX_PLAYERS} hands or ranges`);
+    }
+
+    const boardCards = this.parseCards(board);
+    const deadCards = this.parseCards(dead);
+    if (![0, 3, 4, 5].includes(boardCards.length)) {
+      throw new Error("Board must have 0, 3, 4 or 5 cards");
+    }
+
+    const deck = this.engine.createDeck(variant);
+    const known = [...boardCards, ...deadCards];
+    this.assertDistinct(known, deck);
+
+    const taken = new Set(known.map((card) => this.key(card)));
+    const holeCount = this.engine.getHoleCardCount(variant);
+    const ranges = hands.map((hand) => {
+      const combos = this.parseRange(hand, holeCount, deck).filter((combo) =>
+        combo.every((card) => !taken.has(this.key(card)))
+      );
+      if (combos.length === 0) {
+        throw new Error(`No hands left in range: ${this.label(hand)}`);
+      }
+      return combos;
+    });
+
+    const stub = deck.filter((card) => !taken.has(this.key(card)));
+    const needed = 5 - boardCards.length;
+    const runouts = this.choose(stub.length - hands.length * holeCount, needed);
+    const matchups = ranges.reduce((total, combos) => total * combos.length, 1);
+    const exact = matchups * runouts * hands.length <= this.MAX_EVALUATIONS;
+
+    const tally = hands.map(() => ({ win: 0, tie: 0, equity: 0 }));
+    const settle = (holeCards, fullBoard) =>
+      this.settle(tally, holeCards, fullBoard, variant);
+
+    let counted = 0;
+    if (exact) {
+      this.forEachMatchup(ranges, (holeCards) => {
+        const used = new Set(holeCards.flat().map((card) => this.key(card)));
+        const rest = stub.filter((card) => !used.has(this.key(card)));
+        for (const runout of handEvaluator.combinations(rest, needed)) {
+          settle(holeCards, [...boardCards, ...runout]);
+          counted++;
+        }
+      });
+    } else {
+      const requested = Number.isFinite(samples)
+        ? Math.min(Math.max(Math.floor(samples), 1), this.MAX_SAMPLES)
+        : this.DEFAULT_SAMPLES;
+      // Every sample evaluates each hand once
+      const count = Math.min(
+        requested,
+        Math.floor(this.MAX_EVALUATIONS / hands.length)
+      );
+      let draws = 0;
+      while (counted < count && draws < count * this.MAX_DRAWS) {
+        draws++;
+        const holeCards = this.sampleMatchup(ranges, random);
+        if (!holeCards) continue;
+
+        const used = new Set(holeCards.flat().map((card) => this.key(card)));
+        const rest = stub.filter((card) => !used.has(this.key(card)));
+        settle(holeCards, [...boardCards, ...this.draw(rest, needed, random)]);
+        counted++;
+      }
+      if (counted > 0 && counted < count) {
+        throw new Error("The ranges overlap too much to sample");
+      }
+    }
+
+    if (counted === 0) {
+      throw new Error("The ranges leave no hands to deal");
+    }
+
+    const percent = (value) => Math.round((value / counted) * 10000) / 100;
+    return {
+      method: exact ? "exact" : "monte-carlo",
+      runouts: counted,
+      variant,
+      board: boardCards,
+      dead: deadCards,
+      players: hands.map((hand, index) => ({
+        hand: this.label(hand),
+        combos: ranges[index].length,
+        win: percent(tally[index].win),
+        tie: percent(tally[index].tie),
+        equity: percent(tally[index].equity),
+      })),
+    };
+  }
+
+  // Adds one dealt-out board to the tally; a split counts as a tie for
+  // everyone in it and gives each an equal share
+  settle(tally, holeCards, board, variant) {
+    const values = holeCards.map((cards) =>
+      handEvaluator.evaluateHand(cards, board, variant)
+    );
+    const best = values.reduce((top, value) =>
+      handEvaluator.compareHands(value, top) > 0 ? value : top
+    );
+    const winners = values
+      .map((value, index) =>
+        handEvaluator.compareHands(value, best) === 0 ? index : -1
+      )
+      .filter((index) => index !== -1);
+
+    for (const index of winners) {
+      if (winners.length === 1) {
+        tally[index].win++;
+      } else {
+        tally[index].tie++;
+      }
+      tally[index].equity += 1 / winners.length;
+    }
+  }
+
+  // Every way to deal one hand from each range without sharing a card
+  forEachMatchup(ranges, visit, chosen = [], used = new Set()) {
+    if (chosen.length === ranges.length) {
+      visit(chosen);
+      return;
+    }
+
+    for (const combo of ranges[chosen.length]) {
+      const keys = combo.map((card) => this.key(card));
+      if (keys.some((key) => used.has(key))) continue;
+
+      keys.forEach((key) => used.add(key));
+      this.forEachMatchup(ranges, visit, [...chosen, combo], used);
+      keys.forEach((key) => used.delete(key));
+    }
+  }
+
+  // One random hand per range; null when two of them share a card, so the
+  // caller draws again
+  sampleMatchup(ranges, random) {
+    const used = new Set();
+    const chosen = [];
+    for (const combos of ranges) {
+      const combo = combos[Math.floor(random() * combos.length)];
+      const keys = combo.map((card) => this.key(card));
+      if (keys.some((key) => used.has(key))) return null;
+
+      keys.forEach((key) => used.add(key));
+      chosen.push(combo);
+    }
+    return chosen;
+  }
+
+  draw(cards, count, random) {
+    const pool = [...cards];
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+  }
+
+  // Ranges
+
+  parseRange(hand, holeCount, deck) {
+    if (Array.isArray(hand)) {
+      return [this.parseExactHand(hand, holeCount, deck)];
+    }
+
+    const combos = [];
+    const seen = new Set();
+    for (const token of String(hand).split(",")) {
+      for (const combo of this.parseToken(token.trim(), holeCount, deck)) {
+        const id = combo
+          .map((card) => this.key(card))
+          .sort()
+          .join("");
+        if (!seen.has(id)) {
+          seen.add(id);
+          combos.push(combo);
+        }
+      }
+    }
+    return combos;
+  }
+
+  parseToken(token, holeCount, deck) {
+    if (/^(10|[2-9tjqka])[shdc]/i.test(token)) {
+      return [this.parseExactHand(token, holeCount, deck)];
+    }
+
+    if (holeCount !== 2) {
+      throw new Error(`Ranges are only for two-card hands, not: ${token}`);
+    }
+
+    if (/^(random|any)$/i.test(token)) {
+      return handEvaluator.combinations(deck, 2);
+    }
+
+    const match = token
+      .toUpperCase()
+      .match(
+        /^([2-9TJQKA])([2-9TJQKA])([SO]?)(\+|-([2-9TJQKA])([2-9TJQKA])\3)?$/
+      );
+    if (!match) {
+      throw new Error(`Invalid hand range: ${token}`);
+    }
+
+    const [, first, second, suited, modifier, toFirst, toSecond] = match;
+    const high = this.RANKS.indexOf(first);
+    const low = this.RANKS.indexOf(second);
+    const kind = suited.toLowerCase();
+
+    if (high === low) {
+      if (kind) throw new Error(`Invalid hand range: ${token}`);
+      // QQ, QQ+ (up to aces), TT-77
+      let top = high;
+      let bottom = high;
+      if (modifier === "+") top = this.RANKS.length - 1;
+      if (toFirst) {
+        if (toFirst !== toSecond) {
+          throw new Error(`Invalid hand range: ${token}`);
+        }
+        bottom = this.RANKS.indexOf(toFirst);
+        [top, bottom] = [Math.max(top, bottom), Math.min(top, bottom)];
+      }
+      const combos = [];
+      for (let rank = bottom; rank <= top; rank++) {
+        combos.push(...this.rankCombos(rank, rank, "", deck));
+      }
+      return combos;
+    }
+
+    if (high < low) {
+      throw new Error(`Put the higher rank first: ${token}`);
+    }
+
+    // AKs, A2s+ (kicker up to one below the top card), K9o-K6o
+    let top = low;
+    let bottom = low;
+    if (modifier === "+") top = high - 1;
+    if (toFirst) {
+      if (toFirst !== first) {
+        throw new Error(`Invalid hand range: ${token}`);
+      }
+      bottom = this.RANKS.indexOf(toSecond);
+      [top, bottom] = [Math.max(top, bottom), Math.min(top, bottom)];
+    }
+    const combos = [];
+    for (let kicker = bottom; kicker <= top; kicker++) {
+      combos.push(...this.rankCombos(high, kicker, kind, deck));
+    }
+    return combos;
+  }
+
+  // All two-card combos of two ranks: "s" suited, "o" offsuit, "" both
+  rankCombos(firstRank, secondRank, kind, deck) {
+    const rankOf = (card) => this.RANKS.indexOf(this.shortRank(card.rank));
+    const firsts = deck.filter((card) => rankOf(card) === firstRank);
+    const seconds = deck.filter((card) => rankOf(card) === secondRank);
+
+    const combos = [];
+    for (const a of firsts) {
+      for (const b of seconds) {
+        if (a === b) continue;
+        if (firstRank === secondRank && firsts.indexOf(b) < firsts.indexOf(a)) {
+          continue;
+        }
+        if (kind === "s" && a.suit !== b.suit) continue;
+        if (kind === "o" && a.suit === b.suit) continue;
+        combos.push([a, b]);
+      }
+    }
+    return combos;
+  }
+
+  parseExactHand(hand, holeCount, deck) {
+    const cards = this.parseCards(hand);
+    if (cards.length !== holeCount) {
+      throw new Error(
+        `A hand has ${holeCount} cards, got ${cards.length}: ${this.label(hand)}`
+      );
+    }
+    this.assertDistinct(cards, deck);
+    return cards;
+  }
+
+  // Cards
+
+  // "AhKd", "Ah Kd", ["Ah", "Kd"] or engine cards
+  parseCards(cards) {
+    const list = Array.isArray(cards)
+      ? cards
+      : String(cards).match(/(10|[2-9TJQKA])[SHDC]|\S+/gi) || [];
+
+    return list.map((card) => {
+      if (typeof card === "object" && card) {
+        return { rank: card.rank, suit: card.suit };
+      }
+
+      const match = String(card).match(/^(10|[2-9TJQKA])([SHDC])$/i);
+      if (!match) {
+        throw new Error(`Invalid card: ${card}`);
+      }
+      const rank = match[1].toUpperCase();
+      return {
+        rank: rank === "T" ? "10" : rank,
+        suit: this.SUITS[match[2].toLowerCase()],
+      };
+    });
+  }
+
+  // No card twice, and (given a deck) only cards the deck has
+  assertDistinct(cards, deck = null) {
+    const seen = new Set();
+    const inDeck = deck && new Set(deck.map((card) => this.key(card)));
+
+    for (const card of cards) {
+      const key = this.key(card);
+      if (seen.has(key)) {
+        throw new Error(`Duplicate card: ${this.formatCard(card)}`);
+      }
+      if (inDeck && !inDeck.has(key)) {
+        throw new Error(`Card not in the deck: ${this.formatCard(card)}`);
+      }
+      seen.add(key);
+    }
+  }
+
+  key(card) {
+    return `${card.rank}${card.suit}`;
+  }
+
+  shortRank(rank) {
+    return rank === "10" ? "T" : rank;
+  }
+
+  formatCard(card) {
+    return `${this.shortRank(card.rank)}${card.suit[0]}`;
+  }
+
+  label(hand) {
+    return Array.isArray(hand)
+      ? this.parseCards(hand)
+          .map((card) => this.formatCard(card))
+          .join("")
+      : String(hand);
+  }
+
+  choose(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+      result = (result * (n - k + i)) / i;
+    }
+    return Math.round(result);
+  }
+}
+
+export default new PokerEquityService();
@@ -1,161 +1,756 @@
+import handEvaluator from "./PokerHandEvaluator.js";
+
 /**
- * Core poker game engine - handles pure game logic
- * Separated from service layer for better testing and modularity
+ * Core poker game engine - the single home of the poker rules.
+ *
+ * Every public transition takes a room state and returns `{ room, events }`:
+ * a new state (the input is never mutated) and the events it produced, in
+ * order. The engine does no I/O and uses no randomness - the caller supplies
+ * the shuffled deck - so the service layer owns persistence, timers and
+ * broadcasting, and the same inputs always give the same hand.
  */
 class PokerGameEngine {
   constructor() {
-    this.HAND_RANKINGS = {
-      ROYAL_FLUSH: 9,
-      STRAIGHT_FLUSH: 8,
-      FOUR_OF_A_KIND: 7,
-      FULL_HOUSE: 6,
-      FLUSH: 5,
-      STRAIGHT: 4,
-      THREE_OF_A_KIND: 3,
-      TWO_PAIR: 2,
-      PAIR: 1,
-      HIGH_CARD: 0,
-    };
+    this.HAND_RANKINGS = handEvaluator.HAND_RANKINGS;
+    this.BETTING_STRUCTURES = ["no-limit", "pot-limit", "fixed-limit"];
+    this.VARIANTS = Object.keys(handEvaluator.VARIANT_RANKINGS);
+    this.FORCED_BETS = ["ante", "small_blind", "big_blind", "straddle"];
   }
 
-  // Game State Management
-  createInitialGameState(roomOptions) {
+  // Room State
+  createRoomState(options) {
     const {
+      id,
       name,
       creatorId,
       maxPlayers = 6,
       minBet = 10,
+      bigBlind = minBet,
+      smallBlind = Math.floor(bigBlind / 2),
+      ante = 0,
+      bigBlindAnte = false,
+      straddle = false,
+      blindSchedule = null,
       maxBet = 1000,
-    } = roomOptions;
+      minBuyIn = bigBlind * 20,
+      maxBuyIn = bigBlind * 100,
+      rakePercent = 0,
+      rakeCap = 0,
+      noFlopNoDrop = true,
+      tournamentId = null,
+      spectatorDelay = 0,
+      actionTime = 30,
+      timeBank = 30,
+      timeBankRefill = 5,
+      maxTimeouts = 2,
+      runItTwice = false,
+      runItTwiceTime = 10,
+      variant = "holdem",
+      bettingStructure = variant === "omaha" ? "pot-limit" : "no-limit",
+      raiseCap = 4,
+      practice = false,
+      allowBots = practice,
+      isPrivate = false,
+    } = options;
+
+    this.assertBlindLevel({ smallBlind, bigBlind, ante });
+
+    if (bigBlindAnte && !(ante > 0)) {
+      throw new Error("A big blind ante needs an ante amount");
+    }
 
-    const roomId = `poker_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (blindSchedule) {
+      const { levels = [], levelMinutes } = blindSchedule;
+      if (!levels.length || !(levelMinutes > 0)) {
+        throw new Error("Blind schedule needs at least one timed level");
+      }
+      levels.forEach((level) => this.assertBlindLevel(level));
+    }
 
-    return {
-      id: roomId,
+    if (minBuyIn < bigBlind || minBuyIn > maxBuyIn) {
+      throw new Error(
+        `Buy-in limits must satisfy ${bigBlind} <= minBuyIn <= maxBuyIn`
+      );
+    }
+
+    if (rakePercent < 0 || rakePercent > 100 || rakeCap < 0) {
+      throw new Error("Rake must be 0-100 percent with a non-negative cap");
+    }
+
+    if (practice && rakePercent > 0) {
+      throw new Error("Practice tables are not raked");
+    }
+
+    if (!(spectatorDelay >= 0 && spectatorDelay <= 300)) {
+      throw new Error("Spectator delay must be 0-300 seconds");
+    }
+
+    if (!(actionTime > 0 && timeBank >= 0 && timeBankRefill >= 0)) {
+      throw new Error(
+        "Action time must be positive and time banks non-negative"
+      );
+    }
+
+    if (!(runItTwiceTime > 0)) {
+      throw new Error("Run-it-twice decisions need a positive time window");
+    }
+
+    if (!(maxTimeouts >= 1)) {
+      throw new Error("Players must be allowed at least one timeout");
+    }
+
+    if (!this.VARIANTS.includes(variant)) {
+      throw new Error(`Variant must be one of: ${this.VARIANTS.join(", ")}`);
+    }
+
+    if (!this.BETTING_STRUCTURES.includes(bettingStructure)) {
+      throw new Error(
+        `Betting structure must be one of: ${this.BETTING_STRUCTURES.join(", ")}`
+      );
+    }
+
+    if (!(Number.isInteger(raiseCap) && raiseCap >= 2)) {
+      throw new Error("Raise cap must be at least 2 bets per round");
+    }
+
+    if (straddle && bettingStructure === "fixed-limit") {
+      throw new Error("Straddles are only played in no-limit and pot-limit");
+    }
+
+    const room = {
+      id,
       name,
       creator: { id: creatorId },
       players: [],
       maxPlayers,
-      minBet,
+      minBet: bigBlind, // The big blind, also the smallest bet
+      // Forced bets besides the big blind. With `bigBlindAnte` the big blind
+      // posts one ante for the whole table; `straddle` has under the gun
+      // post a live two big blinds.
+      blinds: { small: smallBlind, ante, bigBlindAnte, straddle },
+      // Home-game blind levels on a clock, started by the first hand
+      blindSchedule: blindSchedule && {
+        levels: blindSchedule.levels.map((level) => ({
+          smallBlind: level.smallBlind,
+          bigBlind: level.bigBlind,
+          ante: level.ante || 0,
+        })),
+        levelDuration: blindSchedule.levelMinutes * 60 * 1000,
+        level: 0,
+        startedAt: null,
+      },
       maxBet,
-
-      // Game State
-      status: "waiting", // waiting, playing, finished
-      phase: "waiting", // waiting, preflop, flop, turn, river, showdown
+      minBuyIn,
+      maxBuyIn,
+      rake: { percent: rakePercent, cap: rakeCap, noFlopNoDrop },
+      tournamentId,
+      spectatorDelay, // Seconds spectators lag behind the table
+      // Seconds per decision, the time bank on top (refilled every hand),
+      // how many timeouts in a row sit a player out and seconds to agree to
+      // run it twice
+      timing: {
+        actionTime,
+        timeBank,
+        timeBankRefill,
+        maxTimeouts,
+        runItTwiceTime,
+      },
+      variant, // holdem, omaha or short-deck
+      bettingStructure,
+      raiseCap, // Fixed-limit: bets and raises allowed per betting round
+      runItTwice, // Offer all-in players two boards, half the pot each
+      practice, // Play chips only, nothing touches the chips balance
+      allowBots, // Real-chip tables only take bots when an admin allows it
+      private: isPrivate, // Kept out of the lobby, joined by password or invite
+      locked: false, // The host stopped new players from sitting down
+      bannedIds: [],
+      status: "waiting",
+      state: "waiting",
       pot: 0,
-      currentBet: 0,
+      sidePots: [],
+      community: [],
       currentTurn: null,
-      lastRaiser: null,
-
-      // Cards
+      currentBet: 0,
       deck: [],
-      communityCards: [],
-
-      // Dealer & Blinds
+      phase: "waiting", // waiting, preflop, flop, turn, river, showdown
+      lastRaiser: null,
+      lastRaiseSize: 0, // Size of the last full bet or raise this round
+      betsThisRound: 0, // Bets and raises this round, the big blind included
       dealerIndex: 0,
       smallBlind: null,
       bigBlind: null,
+      straddler: null,
+      runItTwiceVote: null, // { playerIds, accepted } while all-in players decide
+      boards: null, // Both boards of a hand run twice
+      playersActedThisRound: [], // Track who has acted this round
+      handNumber: 0,
+      handLog: null, // Seats and actions of the hand in progress
+    };
 
-      // Round tracking
-      playersActedThisRound: [],
+    // A schedule's first level replaces the fixed blinds
+    if (room.blindSchedule) {
+      this.setBlindLevel(room, room.blindSchedule.levels[0]);
+    }
 
-      // Metadata
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+    return room;
   }
 
-  // Player Management
-  addPlayerToRoom(room, playerData) {
-    const { id, username } = playerData;
+  addPlayer(state, playerData) {
+    const room = this.cloneState(state);
+    const { id, username, chips, botStrategy = null } = playerData;
 
-    if (room.players.find((p) => p.id === id)) {
-      throw new Error("Player already in room");
+    if (room.status !== "waiting") {
+      throw new Error("Room is not accepting players");
     }
 
     if (room.players.length >= room.maxPlayers) {
       throw new Error("Room is full");
     }
 
-    const player = {
+    if (room.players.some((p) => p.id === id)) {
+      throw new Error("Player already in room");
+    }
+
+    if (botStrategy && !room.allowBots) {
+      throw new Error("Bots are not allowed at this table");
+    }
+
+    if (room.locked) {
+      throw new Error("Table is locked");
+    }
+
+    if (room.bannedIds.includes(id)) {
+      throw new Error("Banned from this table");
+    }
+
+    // Tournament stacks move between tables and ignore cash buy-in limits
+    if (
+      !room.tournamentId &&
+      !(chips >= room.minBuyIn && chips <= room.maxBuyIn)
+    ) {
+      throw new Error(
+        `Buy-in must be between ${room.minBuyIn} and ${room.maxBuyIn} chips`
+      );
+    }
+
+    const player = this.createPlayer({
+      id,
+      username,
+      chips,
+      timeBank: room.timing.timeBank,
+      botStrategy,
+    });
+    room.players.push(player);
+
+    return { room, events: [{ type: "player_joined", player }] };
+  }
+
+  createPlayer({ id, username, chips, timeBank = 0, botStrategy = null }) {
+    return {
       id,
       username,
-      chips: 1000, // Starting chips
+      chips,
+      isBot: !!botStrategy,
+      botStrategy, // Played by the server, see PokerBotStrategy
       bet: 0,
+      totalBet: 0,
       status: "active",
       hand: [],
       folded: false,
       allIn: false,
-      connected: true,
-      lastSeen: Date.now(),
+      timeBank, // Seconds left on top of the table's action time
+      timeouts: 0, // In a row; reset by any action the player takes
+      sittingOut: false,
+      sitOutNextHand: false,
+      missedBlind: false, // The big blind passed while sitting out
     };
+  }
 
-    room.players.push(player);
-    room.updatedAt = new Date().toISOString();
+  // Sits out at once between hands or after folding, otherwise from the
+  // next hand
+  sitOut(state, playerId) {
+    const room = this.cloneState(state);
+    const player = this.getSeatedPlayer(room, playerId);
 
-    return room;
+    if (player.sittingOut || player.sitOutNextHand) {
+      throw new Error("Player is already sitting out");
+    }
+
+    const inHand = room.status === "playing" && !player.folded;
+    if (inHand) {
+      player.sitOutNextHand = true;
+    } else {
+      player.sittingOut = true;
+    }
+
+    const events = [{ type: "player_sitting_out", playerId, nextHand: inHand }];
+    return { room, events };
+  }
+
+  // "I'm back": dealt in from the next hand, posting a big blind if one
+  // went past while the player was away
+  sitIn(state, playerId) {
+    const room = this.cloneState(state);
+    const player = this.getSeatedPlayer(room, playerId);
+
+    if (!player.sittingOut && !player.sitOutNextHand) {
+      throw new Error("Player is not sitting out");
+    }
+
+    player.sittingOut = false;
+    player.sitOutNextHand = false;
+    player.timeouts = 0;
+
+    const events = [
+      { type: "player_back", playerId, missedBlind: player.missedBlind },
+    ];
+    return { room, events };
+  }
+
+  // The player let their action time and time bank run out: check if
+  // possible, otherwise fold. Enough timeouts in a row sit them out.
+  timeOut(state, playerId) {
+    const current = state.players.find((p) => p.id === playerId);
+    if (!current || state.currentTurn !== playerId) {
+      throw new Error("Not your turn");
+    }
+
+    const action = state.currentBet > current.bet ? "fold" : "check";
+    const { room, events } = this.applyAction(state, playerId, action);
+    const player = room.players.find((p) => p.id === playerId);
+
+    events.unshift({ type: "player_timed_out", playerId, action });
+
+    // Already away: just keep the hand moving
+    if (current.sittingOut) {
+      player.timeouts = current.timeouts;
+      return { room, events };
+    }
+
+    player.timeBank = 0;
+    player.timeouts = current.timeouts + 1;
+
+    if (player.timeouts >= room.timing.maxTimeouts) {
+      player.sittingOut = true;
+      events.push({
+        type: "player_sitting_out",
+        playerId,
+        nextHand: false,
+        reason: "timeout",
+      });
+    }
+
+    return { room, events };
+  }
+
+  // Charges the seconds a player took beyond the action time
+  useTimeBank(state, playerId, seconds) {
+    const room = this.cloneState(state);
+    const player = this.getSeatedPlayer(room, playerId);
+
+    player.timeBank = Math.max(player.timeBank - seconds, 0);
+
+    return { room, events: [] };
+  }
+
+  getSeatedPlayer(room, playerId) {
+    const player = room.players.find((p) => p.id === playerId);
+    if (!player) {
+      throw new Error("Player not in room");
+    }
+    return player;
   }
 
-  removePlayerFromRoom(room, playerId) {
+  // Players dealt into the next hand. Tournament players who sit out are
+  // still dealt in and blinded off; cash players are skipped.
+  getPlayersToDeal(room) {
+    return room.players.filter(
+      (p) =>
+        p.chips > 0 &&
+        (room.tournamentId || !(p.sittingOut || p.sitOutNextHand))
+    );
+  }
+
+  removePlayer(state, playerId) {
+    const room = this.cloneState(state);
+
     const playerIndex = room.players.findIndex((p) => p.id === playerId);
     if (playerIndex === -1) {
       throw new Error("Player not in room");
     }
 
-    room.players.splice(playerIndex, 1);
-    room.updatedAt = new Date().toISOString();
+    const player = room.players[playerIndex];
 
-    return room;
+    // The stack behind leaves with the player; `chips` is what to cash out
+    const events = [{ type: "player_left", playerId, chips: player.chips }];
+    player.chips = 0;
+
+    // A leaving host hands the table to the next player staying on
+    if (room.creator.id === playerId) {
+      const next = room.players.find(
+        (p) => p.id !== playerId && !p.isBot && !p.leaving
+      );
+      if (next) {
+        room.creator = { id: next.id };
+        events.push({ type: "host_changed", hostId: next.id });
+      }
+    }
+
+    if (room.status !== "playing") {
+      room.players.splice(playerIndex, 1);
+      return { room, events };
+    }
+
+    // Mid-hand the seat stays until the hand ends, so the chips the player
+    // already put in keep counting towards the pots
+    player.leaving = true;
+    if (!player.folded) {
+      const wasTheirTurn = room.currentTurn === playerId;
+      player.folded = true;
+      this.logAction(room, player, "fold", 0, { left: true });
+
+      if (wasTheirTurn) {
+        this.progressHand(room, events);
+      } else if (room.players.filter((p) => !p.folded).length === 1) {
+        this.settleHand(room, events);
+      } else if (room.runItTwiceVote) {
+        this.checkRunItTwiceVote(room, events);
+      }
+    }
+
+    return { room, events };
+  }
+
+  // The host removes a player; a ban also keeps them from sitting back down
+  kickPlayer(state, playerId, { ban = false } = {}) {
+    if (state.creator.id === playerId) {
+      throw new Error("The host cannot kick themselves");
+    }
+
+    const { room, events } = this.removePlayer(state, playerId);
+    if (ban && !room.bannedIds.includes(playerId)) {
+      room.bannedIds.push(playerId);
+    }
+
+    events.unshift({ type: "player_kicked", playerId, banned: ban });
+    return { room, events };
+  }
+
+  unbanPlayer(state, playerId) {
+    const room = this.cloneState(state);
+    room.bannedIds = room.bannedIds.filter((id) => id !== playerId);
+    return { room, events: [{ type: "player_unbanned", playerId }] };
+  }
+
+  // A locked table takes no new players; those seated play on
+  setLocked(state, locked) {
+    const room = this.cloneState(state);
+    room.locked = !!locked;
+    return {
+      room,
+      events: [{ type: room.locked ? "table_locked" : "table_unlocked" }],
+    };
+  }
+
+  transferHost(state, playerId) {
+    const room = this.cloneState(state);
+    const player = this.getSeatedPlayer(room, playerId);
+
+    if (player.isBot || player.leaving) {
+      throw new Error("Host must be a player staying at the table");
+    }
+
+    room.creator = { id: playerId };
+    return { room, events: [{ type: "host_changed", hostId: playerId }] };
   }
 
   // Game Flow
-  startNewHand(room) {
-    if (room.players.length < 2) {
+  startHand(state, deck) {
+    const room = this.cloneState(state);
+
+    const dealtIn = this.getPlayersToDeal(room);
+    if (dealtIn.length < 2) {
       throw new Error("Need at least 2 players to start");
     }
 
-    // Reset game state
     room.status = "playing";
+    room.state = "playing";
     room.phase = "preflop";
     room.pot = 0;
-    room.communityCards = [];
+    room.sidePots = [];
+    room.community = [];
     room.currentBet = 0;
     room.lastRaiser = null;
     room.playersActedThisRound = [];
+    room.deck = [...deck];
+    room.handNumber = (room.handNumber || 0) + 1;
 
-    // Reset player states
-    room.players.forEach((player) => {
+    const { timeBank, timeBankRefill } = room.timing;
+    for (const player of room.players) {
       player.hand = [];
       player.bet = 0;
+      player.totalBet = 0;
       player.folded = false;
       player.allIn = false;
       player.status = "active";
-    });
 
-    // Create and shuffle deck
-    room.deck = this.createDeck();
-    room.deck = this.shuffleDeck(room.deck);
+      if (player.sitOutNextHand) {
+        player.sittingOut = true;
+        player.sitOutNextHand = false;
+      }
 
-    // Set dealer and blinds
-    this.assignDealerAndBlinds(room);
+      // Seats that are not dealt in count as folded for the whole hand
+      if (!dealtIn.includes(player)) {
+        player.folded = true;
+        player.status = "sitting_out";
+      } else {
+        player.timeBank = Math.min(player.timeBank + timeBankRefill, timeBank);
+      }
+    }
 
-    // Deal hole cards
+    const events = [{ type: "game_started" }];
+
+    room.handLog = {
+      seats: room.players.map((player, index) => ({
+        seat: index + 1,
+        playerId: player.id,
+        username: player.username,
+        stack: player.chips,
+        ...(player.folded && { sittingOut: true }),
+        ...(player.missedBlind && { missedBlind: true }),
+        ...(player.isBot && { isBot: true }),
+      })),
+      actions: [],
+    };
+
+    this.assignDealerAndBlinds(room);
     this.dealHoleCards(room);
 
-    // Set first player to act
-    this.setFirstPlayerToAct(room);
+    // Blinds can leave nobody able to act (e.g. both players all-in)
+    if (this.isRoundComplete(room)) {
+      this.completeBettingRound(room, events);
+    } else {
+      this.setFirstPlayerPreflop(room);
+    }
 
-    room.updatedAt = new Date().toISOString();
-    return room;
+    return { room, events };
+  }
+
+  applyAction(state, playerId, action, amount = 0) {
+    const room = this.cloneState(state);
+
+    const player = room.players.find((p) => p.id === playerId);
+    if (!player) {
+      throw new Error("Player not found");
+    }
+
+    if (room.currentTurn !== playerId) {
+      throw new Error("Not your turn");
+    }
+
+    if (player.folded) {
+      throw new Error("Player has folded");
+    }
+
+    if (player.allIn && action !== "fold") {
+      throw new Error("Player is already all-in");
+    }
+
+    const committedBefore = player.totalBet;
+    this.processAction(room, player, action, amount);
+    this.logAction(room, player, action, player.totalBet - committedBefore);
+    player.timeouts = 0;
+
+    if (!room.playersActedThisRound.includes(player.id)) {
+      room.playersActedThisRound.push(player.id);
+    }
+
+    const events = [{ type: "player_action", playerId, action, amount }];
+    this.progressHand(room, events);
+
+    return { room, events };
+  }
+
+  // Deals the next street without waiting for the betting round (testing aid)
+  advancePhase(state) {
+    const room = this.cloneState(state);
+
+    if (room.status !== "playing") {
+      throw new Error("Game is not in progress");
+    }
+
+    const events = [];
+    this.dealNextStreet(room, events);
+    return { room, events };
+  }
+
+  // Settles the hand with whatever cards are out, e.g. when a game is ended
+  showdown(state) {
+    const room = this.cloneState(state);
+    const events = [];
+
+    if (room.status === "playing") {
+      this.settleHand(room, events);
+    }
+
+    return { room, events };
+  }
+
+  // Ends the game: settles any hand in progress and cashes out every stack
+  closeTable(state) {
+    const { room, events } = this.showdown(state);
+
+    for (const player of room.players) {
+      events.push({
+        type: "player_cashed_out",
+        playerId: player.id,
+        chips: player.chips,
+      });
+      player.chips = 0;
+    }
+
+    room.status = "finished";
+    room.state = "finished";
+    events.push({ type: "game_ended" });
+
+    return { room, events };
+  }
+
+  // Calls a hand off and gives every player back what they put in, e.g. a
+  // hand cut short by a server restart. The button stays where it was.
+  abortHand(state) {
+    const room = this.cloneState(state);
+    if (room.status !== "playing") {
+      return { room, events: [] };
+    }
+
+    const dealerId = room.players[room.dealerIndex]?.id;
+    const events = [
+      {
+        type: "hand_aborted",
+        handNumber: room.handNumber,
+        refunds: room.players
+          .filter((p) => p.totalBet > 0)
+          .map((p) => ({ playerId: p.id, amount: p.totalBet })),
+      },
+    ];
+
+    for (const player of room.players) {
+      player.chips += player.totalBet;
+
+      // Players who left mid-hand are paid their share straight away
+      if (player.leaving && player.chips > 0) {
+        events.push({
+          type: "player_cashed_out",
+          playerId: player.id,
+          chips: player.chips,
+        });
+        player.chips = 0;
+      }
+    }
+
+    this.resetGameState(room, events);
+    const dealerIndex = room.players.findIndex((p) => p.id === dealerId);
+    if (dealerIndex !== -1) {
+      room.dealerIndex = dealerIndex;
+    }
+
+    return { room, events };
+  }
+
+  // Moves a scheduled game to the blind level on the clock. The clock starts
+  // with the first hand and levels only change between hands.
+  updateBlindLevel(state, now) {
+    const room = this.cloneState(state);
+    const events = [];
+
+    const schedule = room.blindSchedule;
+    if (!schedule || room.status === "playing") {
+      return { room, events };
+    }
+
+    if (schedule.startedAt === null) {
+      schedule.startedAt = now;
+    }
+
+    const { level, nextLevelAt } = this.getBlindLevel(room, now);
+    if (level !== schedule.level) {
+      schedule.level = level;
+      this.setBlindLevel(room, schedule.levels[level]);
+      events.push({
+        type: "blind_level_up",
+        level,
+        ...schedule.levels[level],
+        nextLevelAt,
+      });
+    }
+
+    return { room, events };
   }
 
-  processPlayerAction(room, playerId, action, amount = 0) {
+  // A player in the all-in hand agrees to run it twice, or declines and the
+  // board is run once
+  voteRunItTwice(state, playerId, accept) {
+    const room = this.cloneState(state);
+    const vote = room.runItTwiceVote;
+
+    if (!vote) {
+      throw new Error("No run-it-twice decision pending");
+    }
+
     const player = room.players.find((p) => p.id === playerId);
-    if (!player) throw new Error("Player not found");
-    if (room.currentTurn !== playerId) throw new Error("Not your turn");
-    if (player.folded) throw new Error("Player has folded");
+    if (!vote.playerIds.includes(playerId) || player.folded) {
+      throw new Error("Only players still in the hand can decide");
+    }
+
+    if (vote.accepted.includes(playerId)) {
+      throw new Error("Already agreed to run it twice");
+    }
+
+    const events = [];
+    if (accept) {
+      vote.accepted.push(playerId);
+      events.push({ type: "run_it_twice_accepted", playerId });
+      this.checkRunItTwiceVote(room, events);
+    } else {
+      events.push({ type: "run_it_twice_declined", playerId });
+      this.runOut(room, 1, events);
+    }
+
+    return { room, events };
+  }
+
+  // The decision window ran out without everyone agreeing
+  expireRunItTwice(state) {
+    const room = this.cloneState(state);
+    const events = [];
+
+    if (room.runItTwiceVote) {
+      events.push({ type: "run_it_twice_declined", playerId: null });
+      this.runOut(room, 1, events);
+    }
+
+    return { room, events };
+  }
+
+  // Blind level on the clock, plus when the next one starts
+  getBlindLevel(room, now) {
+    const { levels, levelDuration, startedAt } = room.blindSchedule;
+    const elapsed = Math.max(now - startedAt, 0);
+    const level = Math.min(
+      Math.floor(elapsed / levelDuration),
+      levels.length - 1
+    );
+    const nextLevelAt =
+      level < levels.length - 1
+        ? startedAt + (level + 1) * levelDuration
+        : null;
+
+    return { level, nextLevelAt };
+  }
 
-    // Process the action
+  // Action Processing
+  processAction(room, player, action, amount) {
     switch (action) {
       case "fold":
         player.folded = true;
@@ -186,52 +781,26 @@ class PokerGameEngine {
       default:
         throw new Error("Invalid action");
     }
-
-    // Add player to acted list
-    if (!room.playersActedThisRound.includes(playerId)) {
-      room.playersActedThisRound.push(playerId);
-    }
-
-    room.updatedAt = new Date().toISOString();
-    return room;
   }
 
-  // Action Processing
   processCall(room, player) {
     const callAmount = room.currentBet - player.bet;
     if (callAmount <= 0) return;
 
-    const actualCall = Math.min(callAmount, player.chips);
-    player.chips -= actualCall;
-    player.bet += actualCall;
-    room.pot += actualCall;
-
-    if (player.chips === 0) {
-      player.allIn = true;
-    }
+    this.commitChips(room, player, Math.min(callAmount, player.chips));
   }
 
   processBet(room, player, amount) {
     if (room.currentBet > 0) {
-      throw new Error("Cannot bet when there is already a bet");
-    }
-    if (amount < room.minBet) {
-      throw new Error(`Bet must be at least ${room.minBet}`);
+      throw new Error("Cannot bet when there is already a bet to call");
     }
     if (amount > player.chips) {
       throw new Error("Not enough chips");
     }
+    this.checkWagerSize(room, player, amount, "bet");
 
-    player.chips -= amount;
-    player.bet = amount;
-    room.pot += amount;
-    room.currentBet = amount;
-    room.lastRaiser = player.id;
-    room.playersActedThisRound = [player.id];
-
-    if (player.chips === 0) {
-      player.allIn = true;
-    }
+    this.commitChips(room, player, amount);
+    this.recordWager(room, player, amount);
   }
 
   processRaise(room, player, raiseAmount) {
@@ -239,21 +808,10 @@ class PokerGameEngine {
     if (totalBet > player.chips + player.bet) {
       throw new Error("Not enough chips");
     }
-    if (raiseAmount < room.minBet) {
-      throw new Error(`Raise must be at least ${room.minBet}`);
-    }
+    this.checkWagerSize(room, player, raiseAmount, "raise");
 
-    const additionalAmount = totalBet - player.bet;
-    player.chips -= additionalAmount;
-    player.bet = totalBet;
-    room.pot += additionalAmount;
-    room.currentBet = totalBet;
-    room.lastRaiser = player.id;
-    room.playersActedThisRound = [player.id];
-
-    if (player.chips === 0) {
-      player.allIn = true;
-    }
+    this.commitChips(room, player, totalBet - player.bet);
+    this.recordWager(room, player, raiseAmount);
   }
 
   processAllIn(room, player) {
@@ -261,591 +819,1057 @@ class PokerGameEngine {
       throw new Error("No chips to go all-in with");
     }
 
-    const allInAmount = player.chips;
-    room.pot += allInAmount;
-    player.bet += allInAmount;
-    player.chips = 0;
-    player.allIn = true;
+    const raiseBy = player.bet + player.chips - room.currentBet;
+    if (raiseBy > 0) {
+      this.checkWagerSize(room, player, raiseBy, "all-in");
+    }
+
+    this.commitChips(room, player, player.chips);
 
-    if (player.bet > room.currentBet) {
+    if (raiseBy <= 0) return;
+    if (raiseBy >= this.getMinRaise(room)) {
+      this.recordWager(room, player, raiseBy);
+    } else {
+      // An all-in short of a full raise must be called but does not reopen
+      // the betting or change the minimum raise
       room.currentBet = player.bet;
-      room.lastRaiser = player.id;
-      room.playersActedThisRound = [player.id];
     }
   }
 
-  // Game Flow Helpers
-  assignDealerAndBlinds(room) {
-    const activePlayers = room.players.filter((p) => p.chips > 0);
-    if (activePlayers.length < 2) return;
-
-    // Move dealer button
-    room.dealerIndex = room.dealerIndex % activePlayers.length;
-
-    // Assign blinds
-    if (activePlayers.length === 2) {
-      // Heads-up: dealer is small blind
-      room.smallBlind = activePlayers[room.dealerIndex].id;
-      room.bigBlind =
-        activePlayers[(room.dealerIndex + 1) % activePlayers.length].id;
-    } else {
-      // Multi-way: small blind is left of dealer
-      room.smallBlind =
-        activePlayers[(room.dealerIndex + 1) % activePlayers.length].id;
-      room.bigBlind =
-        activePlayers[(room.dealerIndex + 2) % activePlayers.length].id;
-    }
-
-    // Post blinds
-    this.postBlinds(room);
+  // A full bet or raise: sets the new price and reopens the action
+  recordWager(room, player, raiseBy) {
+    room.currentBet = player.bet;
+    room.lastRaiser = player.id;
+    room.lastRaiseSize = raiseBy;
+    room.betsThisRound += 1;
+    room.playersActedThisRound = [player.id]; // New bet reopens the action
   }
 
-  postBlinds(room) {
-    const sbPlayer = room.players.find((p) => p.id === room.smallBlind);
-    const bbPlayer = room.players.find((p) => p.id === room.bigBlind);
+  // Betting Structures
 
-    const sbAmount = Math.floor(room.minBet / 2);
-    const bbAmount = room.minBet;
-
-    // Post small blind
-    const sbPost = Math.min(sbAmount, sbPlayer.chips);
-    sbPlayer.chips -= sbPost;
-    sbPlayer.bet = sbPost;
-    room.pot += sbPost;
-    if (sbPlayer.chips === 0) sbPlayer.allIn = true;
+  // `raiseBy` is what the wager adds on top of the current bet (the whole
+  // amount for an opening bet). All-ins may fall short of the minimum.
+  checkWagerSize(room, player, raiseBy, kind) {
+    if (room.bettingStructure === "fixed-limit") {
+      const size = this.getLimitBetSize(room);
+      if (room.betsThisRound >= room.raiseCap) {
+        throw new Error(
+          `Fixed-limit betting is capped at ${room.raiseCap} bets per round`
+        );
+      }
+      if (kind === "all-in" ? raiseBy > size : raiseBy !== size) {
+        throw new Error(
+          `Fixed-limit ${kind === "bet" ? "bets" : "raises"} on the ${room.phase} are ${size}`
+        );
+      }
+      return;
+    }
 
-    // Post big blind
-    const bbPost = Math.min(bbAmount, bbPlayer.chips);
-    bbPlayer.chips -= bbPost;
-    bbPlayer.bet = bbPost;
-    room.pot += bbPost;
-    if (bbPlayer.chips === 0) bbPlayer.allIn = true;
+    if (room.bettingStructure === "pot-limit") {
+      const maxRaise = this.getPotLimitRaise(room, player);
+      if (raiseBy > maxRaise) {
+        throw new Error(
+          kind === "bet"
+            ? `Pot-limit bet cannot exceed the pot of ${maxRaise}`
+            : `Pot-limit ${kind} cannot raise by more than ${maxRaise}, the pot after calling`
+        );
+      }
+    }
 
-    room.currentBet = bbPlayer.bet;
-    room.lastRaiser = room.bigBlind;
+    const minRaise = this.getMinRaise(room);
+    if (kind !== "all-in" && raiseBy < minRaise) {
+      throw new Error(
+        kind === "bet"
+          ? `Bet must be at least the big blind of ${minRaise}`
+          : `Raise must be at least ${minRaise}, the size of the last bet or raise`
+      );
+    }
   }
 
-  dealHoleCards(room) {
-    // Deal 2 cards to each player
-    for (let i = 0; i < 2; i++) {
-      for (const player of room.players) {
-        if (room.deck.length > 0) {
-          player.hand.push(room.deck.pop());
-        }
+  // What the player may do: check or call `toCall`, and the sizes a bet or
+  // raise may take, as the amount applyAction expects
+  getLegalActions(room, playerId) {
+    const player = this.getSeatedPlayer(room, playerId);
+    const toCall = Math.max(
+      Math.min(room.currentBet - player.bet, player.chips),
+      0
+    );
+    const behind = player.chips - toCall;
+    const action = room.currentBet > 0 ? "raise" : "bet";
+
+    let wager = null;
+    if (room.bettingStructure === "fixed-limit") {
+      const size = this.getLimitBetSize(room);
+      if (room.betsThisRound < room.raiseCap && behind >= size) {
+        wager = { action, min: size, max: size };
+      }
+    } else {
+      const min = this.getMinRaise(room);
+      const max =
+        room.bettingStructure === "pot-limit"
+          ? Math.min(behind, this.getPotLimitRaise(room, player))
+          : behind;
+      if (max >= min) {
+        wager = { action, min, max };
       }
     }
+
+    return { canCheck: toCall === 0, toCall, wager };
   }
 
-  setFirstPlayerToAct(room) {
-    const activePlayers = room.players.filter((p) => !p.folded && !p.allIn);
-    if (activePlayers.length === 0) return;
+  // At least the big blind, and at least the last full bet or raise
+  getMinRaise(room) {
+    return Math.max(room.minBet, room.lastRaiseSize || 0);
+  }
 
-    // First to act is left of big blind in preflop
-    const bbIndex = room.players.findIndex((p) => p.id === room.bigBlind);
-    const firstPlayerIndex = (bbIndex + 1) % room.players.length;
+  // Pot-limit: the pot as it would be after the player calls
+  getPotLimitRaise(room, player) {
+    return room.pot + (room.currentBet - player.bet);
+  }
 
-    // Find next active player
-    let currentIndex = firstPlayerIndex;
-    while (
-      room.players[currentIndex].folded ||
-      room.players[currentIndex].allIn
-    ) {
-      currentIndex = (currentIndex + 1) % room.players.length;
-      if (currentIndex === firstPlayerIndex) break; // Prevent infinite loop
-    }
+  // Fixed-limit: the small bet (big blind) preflop and on the flop, the big
+  // bet (twice that) on the turn and river
+  getLimitBetSize(room) {
+    return ["turn", "river"].includes(room.phase)
+      ? room.minBet * 2
+      : room.minBet;
+  }
+
+  // Moves chips from a stack into the pot, tracking the hand contribution
+  commitChips(room, player, amount) {
+    player.chips -= amount;
+    player.bet += amount;
+    player.totalBet += amount;
+    room.pot += amount;
 
-    room.currentTurn = room.players[currentIndex].id;
+    if (player.chips === 0) {
+      player.allIn = true;
+    }
   }
 
-  // Round Management
-  isRoundComplete(room) {
+  // Game Flow Helpers
+  progressHand(room, events) {
     const activePlayers = room.players.filter((p) => !p.folded);
+    if (activePlayers.length === 1) {
+      this.settleHand(room, events);
+      return;
+    }
+
+    if (this.isRoundComplete(room)) {
+      this.completeBettingRound(room, events);
+    } else {
+      this.moveToNextPlayer(room);
+    }
+  }
 
-    // Only one player left
-    if (activePlayers.length <= 1) return true;
+  completeBettingRound(room, events) {
+    // With fewer than two players able to bet, the hands are tabled and the
+    // board is run out
+    const canAct = room.players.filter((p) => !p.folded && !p.allIn);
+    if (canAct.length <= 1) {
+      if (room.community.length < 5) {
+        events.push({
+          type: "hands_tabled",
+          community: [...room.community],
+          hands: room.players
+            .filter((p) => !p.folded)
+            .map((p) => ({ playerId: p.id, hand: [...p.hand] })),
+        });
+      }
 
-    // All active players are all-in
-    const playingPlayers = activePlayers.filter((p) => !p.allIn);
-    if (playingPlayers.length <= 1) return true;
+      if (this.canRunItTwice(room)) {
+        this.offerRunItTwice(room, events);
+        return;
+      }
 
-    // Check if all playing players have acted and matched the current bet
-    const playersNeedingAction = playingPlayers.filter((p) => {
-      const hasActed = room.playersActedThisRound.includes(p.id);
-      const needsToMatchBet = room.currentBet > 0 && p.bet < room.currentBet;
-      return !hasActed || needsToMatchBet;
-    });
+      this.dealRemainingCommunityCards(room);
+      this.settleHand(room, events);
+      return;
+    }
 
-    return playersNeedingAction.length === 0;
+    this.dealNextStreet(room, events);
   }
 
-  moveToNextPhase(room) {
+  dealNextStreet(room, events) {
     switch (room.phase) {
       case "preflop":
-        this.dealFlop(room);
+        this.dealCommunityCards(room, 3);
         room.phase = "flop";
         break;
+
       case "flop":
-        this.dealTurn(room);
+        this.dealCommunityCards(room, 1);
         room.phase = "turn";
         break;
+
       case "turn":
-        this.dealRiver(room);
+        this.dealCommunityCards(room, 1);
         room.phase = "river";
         break;
+
       case "river":
         room.phase = "showdown";
-        return this.processShowdown(room);
+        this.settleHand(room, events);
+        return;
     }
 
     // Reset for new betting round
     room.currentBet = 0;
     room.lastRaiser = null;
+    room.lastRaiseSize = 0;
+    room.betsThisRound = 0;
     room.playersActedThisRound = [];
+    for (const player of room.players) {
+      player.bet = 0;
+    }
 
-    // Reset player bets
-    room.players.forEach((p) => (p.bet = 0));
-
-    // Set first player to act (left of dealer)
     this.setFirstPlayerPostFlop(room);
 
-    return room;
+    events.push({
+      type: "phase_change",
+      phase: room.phase,
+      community: [...room.community],
+    });
   }
 
-  dealFlop(room) {
-    if (room.deck.length >= 4) {
-      room.deck.pop(); // Burn card
-      room.communityCards.push(
-        room.deck.pop(),
-        room.deck.pop(),
-        room.deck.pop()
-      );
+  // Run it twice: only with a board to come and cards for two of them
+  canRunItTwice(room) {
+    if (!room.runItTwice || room.community.length >= 5) return false;
+
+    const burns = { 0: 3, 3: 2, 4: 1 }[room.community.length];
+    const cardsPerRun = 5 - room.community.length + burns;
+    return room.deck.length >= cardsPerRun * 2;
+  }
+
+  // Bots always agree
+  offerRunItTwice(room, events) {
+    const inHand = room.players.filter((p) => !p.folded);
+    room.currentTurn = null;
+    room.runItTwiceVote = {
+      playerIds: inHand.map((p) => p.id),
+      accepted: inHand.filter((p) => p.isBot).map((p) => p.id),
+    };
+
+    events.push({
+      type: "run_it_twice_offered",
+      playerIds: room.runItTwiceVote.playerIds,
+    });
+    this.checkRunItTwiceVote(room, events);
+  }
+
+  // Runs twice once everyone still in the hand has agreed
+  checkRunItTwiceVote(room, events) {
+    const vote = room.runItTwiceVote;
+    const deciding = room.players.filter(
+      (p) => !p.folded && vote.playerIds.includes(p.id)
+    );
+
+    if (deciding.every((p) => vote.accepted.includes(p.id))) {
+      this.runOut(room, 2, events);
     }
   }
 
-  dealTurn(room) {
-    if (room.deck.length >= 2) {
-      room.deck.pop(); // Burn card
-      room.communityCards.push(room.deck.pop());
+  // Deals the rest of the board once or twice and settles. The second board
+  // shares the cards already out and is dealt from the rest of the deck.
+  runOut(room, times, events) {
+    room.runItTwiceVote = null;
+
+    if (times === 2) {
+      const shared = [...room.community];
+      this.dealRemainingCommunityCards(room);
+      const first = [...room.community];
+
+      room.community = [...shared];
+      this.dealRemainingCommunityCards(room);
+      room.boards = [first, [...room.community]];
+      room.community = first;
+
+      events.push({ type: "run_it_twice", boards: room.boards });
+    } else {
+      this.dealRemainingCommunityCards(room);
     }
+
+    this.settleHand(room, events);
   }
 
-  dealRiver(room) {
-    if (room.deck.length >= 2) {
-      room.deck.pop(); // Burn card
-      room.communityCards.push(room.deck.pop());
+  dealCommunityCards(room, count) {
+    if (room.deck.length < count + 1) return;
+
+    room.deck.pop(); // Burn card
+    for (let i = 0; i < count; i++) {
+      room.community.push(room.deck.pop());
     }
   }
 
-  setFirstPlayerPostFlop(room) {
-    const activePlayers = room.players.filter((p) => !p.folded && !p.allIn);
-    if (activePlayers.length === 0) return;
+  dealRemainingCommunityCards(room) {
+    if (room.community.length === 0) {
+      this.dealCommunityCards(room, 3);
+    }
+    while (room.community.length < 5 && room.deck.length > 1) {
+      this.dealCommunityCards(room, 1);
+    }
+
+    room.phase = "showdown";
+  }
 
-    // First to act post-flop is left of dealer
-    const dealerIndex = room.dealerIndex;
-    let currentIndex = (dealerIndex + 1) % room.players.length;
+  // Blinds
 
-    // Find next active player
-    while (
-      room.players[currentIndex].folded ||
-      room.players[currentIndex].allIn
-    ) {
-      currentIndex = (currentIndex + 1) % room.players.length;
-      if (currentIndex === (dealerIndex + 1) % room.players.length) break;
+  assertBlindLevel({ smallBlind, bigBlind, ante = 0 }) {
+    if (!(bigBlind > 0 && smallBlind > 0 && smallBlind <= bigBlind)) {
+      throw new Error(
+        "Blinds must be positive with the small blind no bigger than the big blind"
+      );
     }
 
-    room.currentTurn = room.players[currentIndex].id;
+    if (!(ante >= 0)) {
+      throw new Error("Ante cannot be negative");
+    }
   }
 
-  // Showdown
-  processShowdown(room) {
-    const activePlayers = room.players.filter((p) => !p.folded);
+  setBlindLevel(room, { smallBlind, bigBlind, ante }) {
+    room.minBet = bigBlind;
+    room.blinds.small = smallBlind;
+    if (ante !== undefined) room.blinds.ante = ante;
+  }
 
-    if (activePlayers.length === 1) {
-      // Only one player left - they win
-      const winner = activePlayers[0];
-      winner.chips += room.pot;
+  // Positions only go to players dealt in; sitting-out seats are skipped.
+  // Heads-up the dealer posts the small blind and acts first preflop.
+  assignDealerAndBlinds(room) {
+    if (!room.players.length) return;
 
-      return {
-        type: "single_winner",
-        winner: winner.id,
-        winAmount: room.pot,
-        results: [],
-      };
+    const count = room.players.length;
+    const nextInHand = (fromIndex) => {
+      for (let step = 1; step <= count; step++) {
+        const index = (fromIndex + step) % count;
+        if (!room.players[index].folded) return index;
+      }
+      return fromIndex;
+    };
+
+    room.dealerIndex = room.dealerIndex % count;
+    if (room.players[room.dealerIndex].folded) {
+      room.dealerIndex = nextInHand(room.dealerIndex);
     }
 
-    // Evaluate all hands
-    const results = activePlayers.map((player) => {
-      const handValue = this.evaluateHand(player.hand, room.communityCards);
-      return {
-        playerId: player.id,
-        hand: player.hand,
-        handValue,
-        score: handValue.score,
-      };
-    });
+    const inHand = room.players.filter((p) => !p.folded).length;
+    const sbIndex =
+      inHand === 2 ? room.dealerIndex : nextInHand(room.dealerIndex);
+    const bbIndex = nextInHand(sbIndex);
 
-    // Sort by score (highest wins)
-    results.sort((a, b) => b.score - a.score);
+    room.smallBlind = room.players[sbIndex].id;
+    room.bigBlind = room.players[bbIndex].id;
+    room.straddler = null;
 
-    // Find winners (players with highest score)
-    const winners = results.filter((r) => r.score === results[0].score);
+    // Anyone sitting out between the blinds just missed the big blind
+    for (let i = (sbIndex + 1) % count; i !== bbIndex; i = (i + 1) % count) {
+      room.players[i].missedBlind = true;
+    }
 
-    // Distribute pot
-    const winAmount = Math.floor(room.pot / winners.length);
-    const remainder = room.pot % winners.length;
+    const { small, ante, bigBlindAnte, straddle } = room.blinds;
+    const sbPlayer = room.players[sbIndex];
+    const bbPlayer = room.players[bbIndex];
 
-    const winnersWithAmount = winners.map((winner, index) => {
-      const player = room.players.find((p) => p.id === winner.playerId);
-      const amount = winAmount + (index < remainder ? 1 : 0);
-      player.chips += amount;
+    // Antes are dead money: they go in the pot but not towards the bet
+    if (ante > 0 && !bigBlindAnte) {
+      for (const player of room.players) {
+        if (!player.folded) this.postAnte(room, player, ante);
+      }
+    }
 
-      return {
-        playerId: winner.playerId,
-        winAmount: amount,
-      };
-    });
+    this.postBlind(room, sbPlayer, "small_blind", small);
+    this.postBlind(room, bbPlayer, "big_blind", room.minBet);
+    bbPlayer.missedBlind = false;
 
-    return {
-      type: "showdown",
-      results,
-      winners: winnersWithAmount,
-    };
+    // The big blind covers the table's ante after the blind itself
+    if (ante > 0 && bigBlindAnte) {
+      this.postAnte(room, bbPlayer, ante);
+    }
+
+    // Under the gun may straddle for two big blinds (not heads-up, where
+    // that seat is the small blind)
+    const utgIndex = nextInHand(bbIndex);
+    if (straddle && inHand > 2) {
+      const straddler = room.players[utgIndex];
+      this.postBlind(room, straddler, "straddle", room.minBet * 2);
+      room.straddler = straddler.id;
+    }
+
+    // Players back from sitting out post a live big blind to be dealt in
+    for (const player of room.players) {
+      if (player.folded || !player.missedBlind) continue;
+
+      const owed = Math.min(room.minBet - player.bet, player.chips);
+      if (owed > 0) {
+        this.commitChips(room, player, owed);
+        this.logAction(room, player, "big_blind", owed);
+      }
+      player.missedBlind = false;
+    }
+
+    // Current bet starts at the biggest blind, whose poster still gets an
+    // option. A straddle plays like a bigger big blind: raises are at least
+    // its size.
+    room.currentBet = Math.max(...room.players.map((p) => p.bet));
+    room.lastRaiser = room.straddler || room.bigBlind;
+    room.lastRaiseSize = room.straddler ? room.minBet * 2 : room.minBet;
+    room.betsThisRound = room.straddler ? 2 : 1;
   }
 
-  // Utility Methods
-  createDeck() {
-    const suits = ["hearts", "diamonds", "clubs", "spades"];
-    const ranks = [
-      "2",
-      "3",
-      "4",
-      "5",
-      "6",
-      "7",
-      "8",
-      "9",
-      "10",
-      "J",
-      "Q",
-      "K",
-      "A",
-    ];
-    const deck = [];
+  // Short stacks post what they have and are all-in
+  postBlind(room, player, action, amount) {
+    const posted = Math.min(amount, player.chips);
+    this.commitChips(room, player, posted);
+    this.logAction(room, player, action, posted);
+  }
 
-    for (const suit of suits) {
-      for (const rank of ranks) {
-        deck.push({ suit, rank });
+  postAnte(room, player, amount) {
+    const posted = Math.min(amount, player.chips);
+    player.chips -= posted;
+    player.totalBet += posted;
+    room.pot += posted;
+    if (player.chips === 0) {
+      player.allIn = true;
+    }
+    this.logAction(room, player, "ante", posted);
+  }
+
+  // Hand history: `amount` is what the action put in, `to` the street total
+  logAction(room, player, action, amount, extra = {}) {
+    if (!room.handLog) return;
+
+    room.handLog.actions.push({
+      phase: room.phase,
+      playerId: player.id,
+      action,
+      amount,
+      to: player.bet,
+      allIn: player.allIn,
+      ...extra,
+    });
+  }
+
+  dealHoleCards(room) {
+    for (let i = 0; i < this.getHoleCardCount(room.variant); i++) {
+      for (const player of room.players) {
+        if (!player.folded && room.deck.length > 0) {
+          player.hand.push(room.deck.pop());
+        }
       }
     }
+  }
 
-    return deck;
+  setFirstPlayerPreflop(room) {
+    // First to act is left of the big blind (the dealer when heads-up), or
+    // left of the straddle
+    const lastBlind = room.straddler || room.bigBlind;
+    const index = room.players.findIndex((p) => p.id === lastBlind);
+    room.currentTurn = this.findNextToAct(room, index);
   }
 
-  shuffleDeck(deck) {
-    const shuffled = [...deck];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  setFirstPlayerPostFlop(room) {
+    // First to act post-flop is left of the dealer
+    room.currentTurn = this.findNextToAct(room, room.dealerIndex);
+  }
+
+  moveToNextPlayer(room) {
+    const currentIndex = room.players.findIndex(
+      (p) => p.id === room.currentTurn
+    );
+    room.currentTurn = this.findNextToAct(room, currentIndex);
+  }
+
+  // Next seat after fromIndex that can still act, wrapping around the table
+  findNextToAct(room, fromIndex) {
+    const count = room.players.length;
+    for (let step = 1; step <= count; step++) {
+      const player = room.players[(fromIndex + step + count) % count];
+      if (!player.folded && !player.allIn) {
+        return player.id;
+      }
     }
-    return shuffled;
+    return null;
   }
 
-  // Hand Evaluation (keeping your existing implementation)
-  evaluateHand(playerHand, communityCards) {
-    const allCards = [...playerHand, ...communityCards];
-    if (allCards.length < 5) {
-      return { name: "Incomplete Hand", score: 0 };
+  // Round Management
+  isRoundComplete(room) {
+    const activePlayers = room.players.filter((p) => !p.folded);
+
+    // Only one player remains
+    if (activePlayers.length <= 1) {
+      return true;
     }
 
-    const cards = allCards.map((card) => ({
-      rank: card.rank,
-      suit: card.suit,
-      value: this.getRankValue(card.rank),
-    }));
+    const playingPlayers = activePlayers.filter((p) => !p.allIn);
 
-    const sortedCards = cards.sort((a, b) => b.value - a.value);
-
-    // Check hands in order of strength
-    return (
-      this.checkRoyalFlush(sortedCards) ||
-      this.checkStraightFlush(sortedCards) ||
-      this.checkFourOfAKind(sortedCards) ||
-      this.checkFullHouse(sortedCards) ||
-      this.checkFlush(sortedCards) ||
-      this.checkStraight(sortedCards) ||
-      this.checkThreeOfAKind(sortedCards) ||
-      this.checkTwoPair(sortedCards) ||
-      this.checkPair(sortedCards) ||
-      this.checkHighCard(sortedCards)
+    // Everyone left is all-in
+    if (playingPlayers.length === 0) {
+      return true;
+    }
+
+    // A single player with chips left only has to match the bet
+    if (playingPlayers.length === 1) {
+      return playingPlayers[0].bet >= room.currentBet;
+    }
+
+    const playersActed = room.playersActedThisRound || [];
+    return playingPlayers.every(
+      (p) => playersActed.includes(p.id) && p.bet >= room.currentBet
     );
   }
 
-  getRankValue(rank) {
-    const values = {
-      2: 2,
-      3: 3,
-      4: 4,
-      5: 5,
-      6: 6,
-      7: 7,
-      8: 8,
-      9: 9,
-      10: 10,
-      J: 11,
-      Q: 12,
-      K: 13,
-      A: 14,
-    };
-    return values[rank] || 0;
+  // Showdown
+  settleHand(room, events) {
+    const activePlayers = room.players.filter((p) => !p.folded);
+
+    let results;
+    let pots;
+    let rake;
+    let runs = null;
+
+    if (activePlayers.length === 1) {
+      // Everyone else folded, the last player takes the whole pot
+      const winner = activePlayers[0];
+      const pot = { amount: room.pot, eligiblePlayers: [winner.id] };
+      rake = this.takeRake(room, [pot]);
+      winner.chips += pot.amount;
+
+      results = [
+        {
+          playerId: winner.id,
+          hand: winner.hand,
+          handValue: { name: "Winner by default", score: 0 },
+          score: 0,
+        },
+      ];
+      pots = [
+        { ...pot, winners: [{ playerId: winner.id, winAmount: pot.amount }] },
+      ];
+    } else if (room.boards) {
+      // Run twice: every pot is raked once, then split in half between the
+      // boards. The first board gets the odd chip and carries the rake.
+      this.createSidePots(room);
+      rake = this.takeRake(room, room.sidePots);
+
+      runs = room.boards.map((board) => ({
+        board,
+        results: this.rankHands(room, activePlayers, board),
+      }));
+      results = runs[0].results;
+
+      pots = runs.flatMap((run, index) => {
+        const halves = room.sidePots.map((pot) => ({
+          amount:
+            index === 0
+              ? Math.ceil(pot.amount / 2)
+              : Math.floor(pot.amount / 2),
+          eligiblePlayers: pot.eligiblePlayers,
+          rake: index === 0 ? pot.rake || 0 : 0,
+        }));
+        return this.distributePots(room, run.results, halves).map((pot) => ({
+          ...pot,
+          run: index + 1,
+        }));
+      });
+    } else {
+      results = this.rankHands(room, activePlayers, room.community);
+
+      this.createSidePots(room);
+      rake = this.takeRake(room, room.sidePots);
+      pots = this.distributePots(room, results);
+    }
+
+    // Total winnings per player across all pots
+    const winners = [];
+    for (const pot of pots) {
+      for (const potWinner of pot.winners) {
+        const existing = winners.find((w) => w.playerId === potWinner.playerId);
+        if (existing) {
+          existing.winAmount += potWinner.winAmount;
+        } else {
+          winners.push({ ...potWinner });
+        }
+      }
+    }
+
+    events.push({
+      type: "showdown",
+      results,
+      winners,
+      pots,
+      rake,
+      community: [...room.community],
+      ...(runs && { runs }),
+      history: this.buildHandHistory(room, results, pots, rake, runs),
+    });
+
+    this.resetGameState(room, events);
   }
 
-  // Hand evaluation methods (keeping your existing implementation)
-  checkRoyalFlush(cards) {
-    const straightFlush = this.checkStraightFlush(cards);
-    if (straightFlush && straightFlush.cards[0].value === 14) {
+  // Hands on a board, best first; category, then kickers
+  rankHands(room, players, board) {
+    const results = players.map((player) => {
+      const handValue = this.evaluateHand(player.hand, board, room.variant);
       return {
-        name: "Royal Flush",
-        score: 9000 + straightFlush.cards[0].value,
-        cards: straightFlush.cards,
+        playerId: player.id,
+        hand: player.hand,
+        handValue,
+        score: handValue.score,
       };
-    }
-    return null;
+    });
+
+    return results.sort((a, b) => this.compareHands(b.handValue, a.handValue));
   }
 
-  checkStraightFlush(cards) {
-    const flush = this.checkFlush(cards);
-    if (!flush) return null;
+  // Takes the house rake out of each pot before it is awarded and returns
+  // the total. No flop, no drop: hands that end preflop are not raked. The
+  // uncalled part of the biggest bet is never raked, and the total for the
+  // hand stops at the cap.
+  takeRake(room, pots) {
+    const { percent = 0, cap = 0, noFlopNoDrop = true } = room.rake || {};
+    if (percent <= 0 || (noFlopNoDrop && room.community.length === 0)) {
+      return 0;
+    }
 
-    const straight = this.checkStraight(flush.cards);
-    if (!straight) return null;
+    const bets = room.players.map((p) => p.totalBet).sort((a, b) => b - a);
+    const uncalled = bets[0] - (bets[1] || 0);
 
-    return {
-      name: "Straight Flush",
-      score: 8000 + straight.cards[0].value,
-      cards: straight.cards,
-    };
-  }
+    let remaining = cap > 0 ? cap : Infinity;
+    let total = 0;
 
-  checkFourOfAKind(cards) {
-    const groups = this.groupByRank(cards);
-    const fourOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 4
-    );
+    pots.forEach((pot, index) => {
+      const rakeable =
+        index === pots.length - 1
+          ? Math.max(pot.amount - uncalled, 0)
+          : pot.amount;
+      const rake = Math.min(Math.floor((rakeable * percent) / 100), remaining);
 
-    if (!fourOfAKind) return null;
+      pot.amount -= rake;
+      pot.rake = rake;
+      remaining -= rake;
+      total += rake;
+    });
+
+    return total;
+  }
 
-    const [rank, fourCards] = fourOfAKind;
-    const kicker = cards.find((card) => card.value !== fourCards[0].value);
+  // Everything needed to replay or export the hand once the table moves on
+  buildHandHistory(room, results, pots, rake, runs = null) {
+    const log = room.handLog || { seats: [], actions: [] };
+    const wentToShowdown = results.length > 1;
 
     return {
-      name: "Four of a Kind",
-      score: 7000 + fourCards[0].value,
-      cards: kicker ? [...fourCards, kicker] : fourCards,
+      handNumber: room.handNumber,
+      roomId: room.id,
+      tableName: room.name,
+      maxPlayers: room.maxPlayers,
+      tournamentId: room.tournamentId || null,
+      startedAt: log.startedAt || null, // Stamped by the service layer
+      smallBlind: room.blinds.small,
+      bigBlind: room.minBet,
+      ante: room.blinds.ante,
+      settings: {
+        maxBet: room.maxBet,
+        bigBlindAnte: room.blinds.bigBlindAnte,
+        straddle: room.blinds.straddle,
+        rake: room.rake,
+        variant: room.variant,
+        bettingStructure: room.bettingStructure,
+        raiseCap: room.raiseCap,
+        runItTwice: room.runItTwice,
+      },
+      dealerId: room.players[room.dealerIndex]?.id || null,
+      seats: log.seats,
+      actions: log.actions,
+      holeCards: room.players
+        .filter((p) => p.hand.length > 0)
+        .map((p) => ({ playerId: p.id, cards: [...p.hand] })),
+      board: [...room.community],
+      shownDown: wentToShowdown ? results.map((r) => r.playerId) : [],
+      results: this.formatResults(results),
+      // Both boards and their results when the hand was run twice
+      runs: runs
+        ? runs.map((run) => ({
+            board: [...run.board],
+            results: this.formatResults(run.results),
+          }))
+        : null,
+      pots: pots.map((pot) => ({
+        amount: pot.amount,
+        rake: pot.rake || 0,
+        winners: pot.winners,
+        ...(pot.run && { run: pot.run }),
+      })),
+      rake,
     };
   }
 
-  checkFullHouse(cards) {
-    const groups = this.groupByRank(cards);
-    const threeOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 3
+  formatResults(results) {
+    return results.map((r) => ({
+      playerId: r.playerId,
+      name: r.handValue.name,
+      description: r.handValue.description || null,
+    }));
+  }
+
+  // Replays a recorded hand through the same transitions as live play.
+  // Returns the state after the blinds (index 0) and after every action.
+  replayHand(history) {
+    const room = this.createRoomState({
+      id: history.roomId,
+      name: history.tableName,
+      creatorId: null,
+      maxPlayers: history.maxPlayers,
+      bigBlind: history.bigBlind,
+      smallBlind: history.smallBlind,
+      ante: history.ante,
+      bigBlindAnte: history.settings?.bigBlindAnte,
+      straddle: history.settings?.straddle,
+      maxBet: history.settings?.maxBet,
+      variant: history.settings?.variant,
+      bettingStructure: history.settings?.bettingStructure,
+      raiseCap: history.settings?.raiseCap,
+      runItTwice: history.settings?.runItTwice,
+      tournamentId: history.tournamentId,
+    });
+    if (history.settings?.rake) room.rake = history.settings.rake;
+
+    room.handNumber = history.handNumber - 1;
+    room.players = history.seats.map((seat) => ({
+      ...this.createPlayer({
+        id: seat.playerId,
+        username: seat.username,
+        chips: seat.stack,
+      }),
+      sittingOut: !!seat.sittingOut,
+      missedBlind: !!seat.missedBlind,
+    }));
+    room.dealerIndex = Math.max(
+      history.seats.findIndex((seat) => seat.playerId === history.dealerId),
+      0
     );
-    const pair = Object.entries(groups).find(
-      ([_, cards]) => cards.length >= 2 && cards !== threeOfAKind?.[1]
+
+    let { room: state, events } = this.startHand(
+      room,
+      this.buildReplayDeck(history)
     );
+    const steps = [{ index: 0, action: null, room: state, events }];
+
+    for (const action of history.actions) {
+      if (this.FORCED_BETS.includes(action.action)) continue;
+
+      ({ room: state, events } = action.left
+        ? this.removePlayer(state, action.playerId)
+        : this.applyAction(
+            state,
+            action.playerId,
+            action.action,
+            action.action === "raise"
+              ? action.to - state.currentBet
+              : action.amount
+          ));
+      steps.push({ index: steps.length, action, room: state, events });
+    }
 
-    if (!threeOfAKind || !pair) return null;
+    // The all-in players' run-it-twice decision is not in the action log
+    while (state.runItTwiceVote) {
+      const { accepted } = state.runItTwiceVote;
+      const deciding = state.players.find(
+        (p) => !p.folded && !accepted.includes(p.id)
+      );
 
-    const [threeRank, threeCards] = threeOfAKind;
-    const [pairRank, pairCards] = pair;
+      ({ room: state, events } = history.runs
+        ? this.voteRunItTwice(state, deciding.id, true)
+        : this.expireRunItTwice(state));
+      steps.push({ index: steps.length, action: null, room: state, events });
+    }
 
-    return {
-      name: "Full House",
-      score: 6000 + threeCards[0].value * 100 + pairCards[0].value,
-      cards: [...threeCards, ...pairCards.slice(0, 2)],
-    };
+    return steps;
   }
 
-  checkFlush(cards) {
-    const suitGroups = this.groupBySuit(cards);
-    const flushSuit = Object.entries(suitGroups).find(
-      ([_, cards]) => cards.length >= 5
+  // A deck that deals the recorded hole cards and board in live order
+  // (hole cards round by round, a burn before each street). Burns and
+  // undealt cards are filled from the rest of the deck.
+  buildReplayDeck(history) {
+    const dealt = [];
+    const holeCards = history.seats
+      .filter((seat) => !seat.sittingOut)
+      .map(
+        (seat) =>
+          history.holeCards.find((h) => h.playerId === seat.playerId)?.cards ||
+          []
+      );
+
+    const variant = history.settings?.variant;
+    for (let i = 0; i < this.getHoleCardCount(variant); i++) {
+      holeCards.forEach((cards) => dealt.push(cards[i] || null));
+    }
+
+    const board = history.board;
+    dealt.push(
+      null,
+      board[0],
+      board[1],
+      board[2],
+      null,
+      board[3],
+      null,
+      board[4]
     );
 
-    if (!flushSuit) return null;
+    // The second board of a hand run twice is dealt after the first, a burn
+    // before each street it does not share
+    if (history.runs) {
+      const second = history.runs[1].board;
+      const shared = second.findIndex(
+        (card, i) => card.rank !== board[i].rank || card.suit !== board[i].suit
+      );
+      for (const [from, to] of [
+        [0, 3],
+        [3, 4],
+        [4, 5],
+      ]) {
+        if (from >= shared) dealt.push(null, ...second.slice(from, to));
+      }
+    }
 
-    const [suit, flushCards] = flushSuit;
-    const bestFlushCards = flushCards.slice(0, 5);
+    const key = (card) => `${card.rank}${card.suit}`;
+    const used = new Set(dealt.filter(Boolean).map(key));
+    const filler = this.createDeck(variant).filter(
+      (card) => !used.has(key(card))
+    );
 
-    return {
-      name: "Flush",
-      score:
-        5000 +
-        bestFlushCards.reduce(
-          (sum, card, index) => sum + card.value * Math.pow(10, 4 - index),
-          0
-        ),
-      cards: bestFlushCards,
-    };
+    const ordered = dealt.map((card) => card || filler.pop());
+    return [...filler, ...ordered.reverse()];
   }
 
-  checkStraight(cards) {
-    const uniqueValues = [...new Set(cards.map((card) => card.value))].sort(
-      (a, b) => b - a
-    );
+  // Split the hand's contributions into a main pot and side pots. Each pot
+  // level is capped at a non-folded player's total contribution, so an
+  // all-in player is only eligible for the chips they could match.
+  createSidePots(room) {
+    const contributors = room.players.filter((p) => p.totalBet > 0);
+    const levels = [
+      ...new Set(contributors.filter((p) => !p.folded).map((p) => p.totalBet)),
+    ].sort((a, b) => a - b);
+
+    const sidePots = [];
+    let previousLevel = 0;
+
+    for (const level of levels) {
+      const amount = contributors.reduce(
+        (sum, p) =>
+          sum +
+          Math.min(p.totalBet, level) -
+          Math.min(p.totalBet, previousLevel),
+        0
+      );
+      const eligiblePlayers = contributors
+        .filter((p) => !p.folded && p.totalBet >= level)
+        .map((p) => p.id);
 
-    // Check for regular straight
-    for (let i = 0; i <= uniqueValues.length - 5; i++) {
-      const sequence = uniqueValues.slice(i, i + 5);
-      if (this.isConsecutive(sequence)) {
-        const straightCards = sequence.map((value) =>
-          cards.find((card) => card.value === value)
-        );
-        return {
-          name: "Straight",
-          score: 4000 + sequence[0],
-          cards: straightCards,
-        };
+      if (amount > 0) {
+        sidePots.push({ amount, eligiblePlayers });
       }
+      previousLevel = level;
     }
 
-    // Check for A-2-3-4-5 straight (wheel)
-    if (
-      uniqueValues.includes(14) &&
-      uniqueValues.includes(5) &&
-      uniqueValues.includes(4) &&
-      uniqueValues.includes(3) &&
-      uniqueValues.includes(2)
-    ) {
-      const wheelCards = [5, 4, 3, 2, 14].map((value) =>
-        cards.find((card) => card.value === value)
-      );
-      return {
-        name: "Straight",
-        score: 4000 + 5,
-        cards: wheelCards,
-      };
+    // Chips folded players put in above the highest live contribution
+    const overflow = contributors.reduce(
+      (sum, p) => sum + Math.max(p.totalBet - previousLevel, 0),
+      0
+    );
+    if (overflow > 0 && sidePots.length > 0) {
+      sidePots[sidePots.length - 1].amount += overflow;
     }
 
-    return null;
+    room.sidePots = sidePots;
+    return sidePots;
   }
 
-  checkThreeOfAKind(cards) {
-    const groups = this.groupByRank(cards);
-    const threeOfAKind = Object.entries(groups).find(
-      ([_, cards]) => cards.length === 3
-    );
+  // Award each pot among the best hands of the players eligible for it
+  distributePots(room, results, sidePots = room.sidePots) {
+    const pots = [];
 
-    if (!threeOfAKind) return null;
+    for (const pot of sidePots) {
+      const contenders = results.filter((r) =>
+        pot.eligiblePlayers.includes(r.playerId)
+      );
+      if (contenders.length === 0) continue;
 
-    const [rank, threeCards] = threeOfAKind;
-    const kickers = cards
-      .filter((card) => card.value !== threeCards[0].value)
-      .slice(0, 2);
+      const best = contenders.reduce((top, r) =>
+        this.compareHands(r.handValue, top.handValue) > 0 ? r : top
+      );
+      const potWinners = contenders.filter(
+        (r) => this.compareHands(r.handValue, best.handValue) === 0
+      );
 
-    return {
-      name: "Three of a Kind",
-      score:
-        3000 +
-        threeCards[0].value * 100 +
-        kickers.reduce((sum, card) => sum + card.value, 0),
-      cards: [...threeCards, ...kickers],
-    };
-  }
+      const winAmount = Math.floor(pot.amount / potWinners.length);
+      const remainder = pot.amount % potWinners.length;
 
-  checkTwoPair(cards) {
-    const groups = this.groupByRank(cards);
-    const pairs = Object.entries(groups).filter(
-      ([_, cards]) => cards.length >= 2
-    );
+      const winnersWithAmount = [];
+      for (let i = 0; i < potWinners.length; i++) {
+        const player = room.players.find(
+          (p) => p.id === potWinners[i].playerId
+        );
+        if (!player) continue;
 
-    if (pairs.length < 2) return null;
+        // First winner(s) get any remainder chips
+        const amount = winAmount + (i < remainder ? 1 : 0);
+        player.chips += amount;
+        winnersWithAmount.push({ playerId: player.id, winAmount: amount });
+      }
 
-    pairs.sort((a, b) => b[1][0].value - a[1][0].value);
+      pots.push({
+        amount: pot.amount,
+        eligiblePlayers: pot.eligiblePlayers,
+        winners: winnersWithAmount,
+        rake: pot.rake || 0,
+      });
+    }
 
-    const [highPairRank, highPairCards] = pairs[0];
-    const [lowPairRank, lowPairCards] = pairs[1];
-    const kicker = cards.find(
-      (card) =>
-        card.value !== highPairCards[0].value &&
-        card.value !== lowPairCards[0].value
-    );
+    return pots;
+  }
 
-    const handCards = [
-      ...highPairCards.slice(0, 2),
-      ...lowPairCards.slice(0, 2),
-    ];
-    if (kicker) handCards.push(kicker);
+  resetGameState(room, events = []) {
+    room.status = "waiting";
+    room.state = "waiting";
+    room.phase = "waiting";
+    room.pot = 0;
+    room.sidePots = [];
+    room.community = [];
+    room.currentBet = 0;
+    room.currentTurn = null;
+    room.lastRaiser = null;
+    room.lastRaiseSize = 0;
+    room.betsThisRound = 0;
+    room.playersActedThisRound = [];
+    room.runItTwiceVote = null;
+    room.boards = null;
+    room.handLog = null;
+
+    // The button moves to the next seat that stays at the table. It is kept
+    // by player, as dropping busted seats below shifts the indexes.
+    const staying = (p) => p.chips > 0 && !p.leaving;
+    let nextDealer = null;
+    if (room.players.filter((p) => p.chips > 0).length >= 2) {
+      for (let step = 1; step <= room.players.length; step++) {
+        const player =
+          room.players[(room.dealerIndex + step) % room.players.length];
+        if (staying(player)) {
+          nextDealer = player;
+          break;
+        }
+      }
+    }
 
-    return {
-      name: "Two Pair",
-      score:
-        2000 +
-        highPairCards[0].value * 100 +
-        lowPairCards[0].value * 10 +
-        (kicker?.value || 0),
-      cards: handCards,
-    };
+    // Drop busted players and anyone who left during the hand. `handStack`
+    // is what a busted player started the hand with (tournament placings)
+    for (const player of room.players) {
+      if (player.chips === 0 && !player.leaving) {
+        events.push({
+          type: "player_busted",
+          playerId: player.id,
+          chips: 0,
+          handStack: player.totalBet,
+        });
+      }
+    }
+
+    for (const player of room.players) {
+      player.hand = [];
+      player.bet = 0;
+      player.totalBet = 0;
+      player.folded = false;
+      player.allIn = false;
+    }
+    room.players = room.players.filter(staying);
+    if (nextDealer) {
+      room.dealerIndex = room.players.indexOf(nextDealer);
+    }
   }
 
-  checkPair(cards) {
-    const groups = this.groupByRank(cards);
-    const pair = Object.entries(groups).find(([_, cards]) => cards.length >= 2);
+  // Utility Methods
 
-    if (!pair) return null;
+  // Short-deck plays without the 2s to 5s (36 cards)
+  createDeck(variant = "holdem") {
+    const suits = ["hearts", "diamonds", "clubs", "spades"];
+    const ranks = [
+      "2",
+      "3",
+      "4",
+      "5",
+      "6",
+      "7",
+      "8",
+      "9",
+      "10",
+      "J",
+      "Q",
+      "K",
+      "A",
+    ];
+    const deck = [];
 
-    const [rank, pairCards] = pair;
-    const kickers = cards
-      .filter((card) => card.value !== pairCards[0].value)
-      .slice(0, 3);
+    const playing = variant === "short-deck" ? ranks.slice(4) : ranks;
 
-    return {
-      name: "Pair",
-      score:
-        1000 +
-        pairCards[0].value * 100 +
-        kickers.reduce(
-          (sum, card, index) => sum + card.value * Math.pow(10, 2 - index),
-          0
-        ),
-      cards: [...pairCards.slice(0, 2), ...kickers],
-    };
+    for (const suit of suits) {
+      for (const rank of playing) {
+        deck.push({ suit, rank });
+      }
+    }
+
+    return deck;
   }
 
-  checkHighCard(cards) {
-    const bestCards = cards.slice(0, 5);
-    return {
-      name: "High Card",
-      score: bestCards.reduce(
-        (sum, card, index) => sum + card.value * Math.pow(10, 4 - index),
-        0
-      ),
-      cards: bestCards,
-    };
+  // Table as a spectator sees it: no deck and no hole cards. Cards shown
+  // down reach spectators through the showdown event instead.
+  createSpectatorView(state) {
+    const { deck: _deck, ...room } = this.cloneState(state);
+    room.players = room.players.map((player) => ({
+      ...player,
+      hand: player.hand.map(() => ({ hidden: true })),
+    }));
+    return room;
   }
 
-  groupByRank(cards) {
-    const groups = {};
-    for (const card of cards) {
-      if (!groups[card.rank]) groups[card.rank] = [];
-      groups[card.rank].push(card);
-    }
-    return groups;
+  // Table as one seated player sees it: their own hole cards, nobody
+  // else's and never the deck
+  createPlayerView(state, playerId) {
+    const room = this.createSpectatorView(state);
+    room.players = room.players.map((player, index) =>
+      player.id === playerId
+        ? { ...player, hand: this.cloneState(state.players[index].hand) }
+        : player
+    );
+    return room;
   }
 
-  groupBySuit(cards) {
-    const groups = {};
-    for (const card of cards) {
-      if (!groups[card.suit]) groups[card.suit] = [];
-      groups[card.suit].push(card);
+  // Event as a spectator sees it. A pot won without a showdown keeps the
+  // winner's cards private; the full hand history never leaves the server.
+  createSpectatorEvent(event) {
+    const { history: _history, ...spectatorEvent } = event;
+    if (event.type === "showdown" && event.results.length === 1) {
+      spectatorEvent.results = event.results.map(
+        ({ hand: _hand, ...result }) => result
+      );
     }
-    return groups;
+    return spectatorEvent;
   }
 
-  isConsecutive(values) {
-    for (let i = 1; i < values.length; i++) {
-      if (values[i] !== values[i - 1] - 1) return false;
-    }
-    return true;
+  cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  getHoleCardCount(variant) {
+    return variant === "omaha" ? 4 : 2;
+  }
+
+  // Hand evaluation
+  evaluateHand(playerHand, communityCards, variant) {
+    return handEvaluator.evaluateHand(playerHand, communityCards, variant);
+  }
+
+  compareHands(a, b) {
+    return handEvaluator.compareHands(a, b);
   }
 }
 
@@ -0,0 +1,287 @@
+/**
+ * Poker hand evaluator - finds the best five-card hand out of up to seven
+ * cards and gives every hand a total ordering: category first, then the
+ * ranked tie-break values (pair/trips ranks followed by kickers).
+ *
+ * Variants: "holdem" (any five cards), "omaha" (exactly two hole cards and
+ * three from the board) and "short-deck" (no 2-5, a flush beats a full
+ * house and A-6-7-8-9 is the lowest straight).
+ */
+class PokerHandEvaluator {
+  constructor() {
+    this.HAND_RANKINGS = {
+      ROYAL_FLUSH: 9,
+      STRAIGHT_FLUSH: 8,
+      FOUR_OF_A_KIND: 7,
+      FULL_HOUSE: 6,
+      FLUSH: 5,
+      STRAIGHT: 4,
+      THREE_OF_A_KIND: 3,
+      TWO_PAIR: 2,
+      PAIR: 1,
+      HIGH_CARD: 0,
+    };
+
+    this.HAND_NAMES = {
+      9: "Royal Flush",
+      8: "Straight Flush",
+      7: "Four of a Kind",
+      6: "Full House",
+      5: "Flush",
+      4: "Straight",
+      3: "Three of a Kind",
+      2: "Two Pair",
+      1: "Pair",
+      0: "High Card",
+    };
+
+    // Category order per variant (rank compared by compareHands)
+    this.VARIANT_RANKINGS = {
+      holdem: this.HAND_RANKINGS,
+      omaha: this.HAND_RANKINGS,
+      "short-deck": {
+        ...this.HAND_RANKINGS,
+        FLUSH: this.HAND_RANKINGS.FULL_HOUSE,
+        FULL_HOUSE: this.HAND_RANKINGS.FLUSH,
+      },
+    };
+
+    // The ace-low straight of each deck, highest card first
+    this.LOW_STRAIGHTS = {
+      holdem: [5, 4, 3, 2, 14],
+      omaha: [5, 4, 3, 2, 14],
+      "short-deck": [9, 8, 7, 6, 14],
+    };
+  }
+
+  evaluateHand(playerHand, communityCards, variant = "holdem") {
+    if (!this.VARIANT_RANKINGS[variant]) {
+      throw new Error(`Unknown poker variant: ${variant}`);
+    }
+
+    const toCards = (list) =>
+      list.map((card) => ({
+        rank: card.rank,
+        suit: card.suit,
+        value: this.getRankValue(card.rank),
+      }));
+    const hole = toCards(playerHand);
+    const board = toCards(communityCards);
+
+    // Omaha plays exactly two hole cards with exactly three from the board
+    const candidates =
+      variant === "omaha"
+        ? this.combinations(hole, 2).flatMap((pair) =>
+            this.combinations(board, 3).map((three) => [...pair, ...three])
+          )
+        : this.combinations([...hole, ...board], 5);
+
+    if (candidates.length === 0) {
+      return { name: "Incomplete Hand", rank: -1, values: [], score: 0 };
+    }
+
+    let best = null;
+    for (const combination of candidates) {
+      const hand = this.evaluateFiveCards(combination, variant);
+      if (!best || this.compareHands(hand, best) > 0) {
+        best = hand;
+      }
+    }
+
+    return best;
+  }
+
+  // Positive when a beats b, negative when b beats a, 0 for a split
+  compareHands(a, b) {
+    if (a.rank !== b.rank) {
+      return a.rank - b.rank;
+    }
+
+    for (let i = 0; i < Math.max(a.values.length, b.values.length); i++) {
+      const diff = (a.values[i] || 0) - (b.values[i] || 0);
+      if (diff !== 0) return diff;
+    }
+
+    return 0;
+  }
+
+  evaluateFiveCards(fiveCards, variant = "holdem") {
+    const cards = [...fiveCards].sort((a, b) => b.value - a.value);
+    const lowStraight = this.LOW_STRAIGHTS[variant];
+
+    const isFlush = cards.every((card) => card.suit === cards[0].suit);
+    const straightHigh = this.getStraightHigh(cards, lowStraight);
+
+    // Groups ordered by size, then by rank: [[value, count], ...]
+    const counts = {};
+    for (const card of cards) {
+      counts[card.value] = (counts[card.value] || 0) + 1;
+    }
+    const groups = Object.entries(counts)
+      .map(([value, count]) => [Number(value), count])
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+    const groupValues = groups.map(([value]) => value);
+
+    let rank;
+    let values;
+
+    if (isFlush && straightHigh) {
+      rank =
+        straightHigh === 14
+          ? this.HAND_RANKINGS.ROYAL_FLUSH
+          : this.HAND_RANKINGS.STRAIGHT_FLUSH;
+      values = [straightHigh];
+    } else if (groups[0][1] === 4) {
+      rank = this.HAND_RANKINGS.FOUR_OF_A_KIND;
+      values = groupValues;
+    } else if (groups[0][1] === 3 && groups[1][1] === 2) {
+      rank = this.HAND_RANKINGS.FULL_HOUSE;
+      values = groupValues;
+    } else if (isFlush) {
+      rank = this.HAND_RANKINGS.FLUSH;
+      values = cards.map((card) => card.value);
+    } else if (straightHigh) {
+      rank = this.HAND_RANKINGS.STRAIGHT;
+      values = [straightHigh];
+    } else if (groups[0][1] === 3) {
+      rank = this.HAND_RANKINGS.THREE_OF_A_KIND;
+      values = groupValues;
+    } else if (groups[0][1] === 2 && groups[1][1] === 2) {
+      rank = this.HAND_RANKINGS.TWO_PAIR;
+      values = groupValues;
+    } else if (groups[0][1] === 2) {
+      rank = this.HAND_RANKINGS.PAIR;
+      values = groupValues;
+    } else {
+      rank = this.HAND_RANKINGS.HIGH_CARD;
+      values = cards.map((card) => card.value);
+    }
+
+    // `rank` follows the variant's order; names stay those of the category
+    const category = rank;
+    rank = this.rankInVariant(category, variant);
+
+    return {
+      name: this.HAND_NAMES[category],
+      rank,
+      values,
+      score: this.getScore(rank, values),
+      cards: this.orderCards(cards, groupValues, straightHigh, lowStraight),
+      description: this.describe(category, values, cards[0].suit),
+    };
+  }
+
+  rankInVariant(category, variant) {
+    const key = Object.keys(this.HAND_RANKINGS).find(
+      (name) => this.HAND_RANKINGS[name] === category
+    );
+    return this.VARIANT_RANKINGS[variant][key];
+  }
+
+  // Returns the high card of a five-card straight (the ace-low straight
+  // counts with its top card, e.g. 5 for the wheel), else null
+  getStraightHigh(sortedCards, lowStraight = this.LOW_STRAIGHTS.holdem) {
+    const values = [...new Set(sortedCards.map((card) => card.value))];
+    if (values.length !== 5) return null;
+
+    if (values[0] - values[4] === 4) {
+      return values[0];
+    }
+
+    // Ace plays low: A-2-3-4-5, or A-6-7-8-9 without the small cards
+    const aceLow = [14, ...lowStraight.slice(0, 4)];
+    if (values.join(",") === aceLow.join(",")) {
+      return lowStraight[0];
+    }
+
+    return null;
+  }
+
+  // Single number with the same ordering as compareHands (base 15 digits)
+  getScore(rank, values) {
+    const padded = [...values, 0, 0, 0, 0, 0].slice(0, 5);
+    return padded.reduce((score, value) => score * 15 + value, rank);
+  }
+
+  orderCards(sortedCards, groupValues, straightHigh, lowStraight) {
+    if (lowStraight && straightHigh === lowStraight[0]) {
+      return lowStraight.map((value) =>
+        sortedCards.find((card) => card.value === value)
+      );
+    }
+
+    return groupValues.flatMap((value) =>
+      sortedCards.filter((card) => card.value === value)
+    );
+  }
+
+  describe(rank, values, suit) {
+    const name = (value) => this.getRankName(value);
+
+    switch (rank) {
+      case this.HAND_RANKINGS.ROYAL_FLUSH:
+        return `Royal Flush in ${suit}`;
+      case this.HAND_RANKINGS.STRAIGHT_FLUSH:
+        return `Straight Flush, ${name(values[0])} high`;
+      case this.HAND_RANKINGS.FOUR_OF_A_KIND:
+        return `Four ${name(values[0])}s`;
+      case this.HAND_RANKINGS.FULL_HOUSE:
+        return `${name(values[0])}s full of ${name(values[1])}s`;
+      case this.HAND_RANKINGS.FLUSH:
+        return `${suit} flush, ${name(values[0])} high`;
+      case this.HAND_RANKINGS.STRAIGHT:
+        return `Straight, ${name(values[0])} high`;
+      case this.HAND_RANKINGS.THREE_OF_A_KIND:
+        return `Three ${name(values[0])}s`;
+      case this.HAND_RANKINGS.TWO_PAIR:
+        return `${name(values[0])}s and ${name(values[1])}s, ${name(values[2])} kicker`;
+      case this.HAND_RANKINGS.PAIR:
+        return `Pair of ${name(values[0])}s`;
+      default:
+        return `${name(values[0])} high`;
+    }
+  }
+
+  combinations(cards, size) {
+    const result = [];
+    const pick = (start, chosen) => {
+      if (chosen.length === size) {
+        result.push([...chosen]);
+        return;
+      }
+      for (let i = start; i <= cards.length - (size - chosen.length); i++) {
+        chosen.push(cards[i]);
+        pick(i + 1, chosen);
+        chosen.pop();
+      }
+    };
+    pick(0, []);
+    return result;
+  }
+
+  getRankValue(rank) {
+    const values = {
+      2: 2,
+      3: 3,
+      4: 4,
+      5: 5,
+      6: 6,
+      7: 7,
+      8: 8,
+      9: 9,
+      10: 10,
+      J: 11,
+      Q: 12,
+      K: 13,
+      A: 14,
+    };
+    return values[rank] || 0;
+  }
+
+  getRankName(value) {
+    const names = { 11: "J", 12: "Q", 13: "K", 14: "A" };
+    return names[value] || String(value);
+  }
+}
+
+export default new PokerHandEvaluator();
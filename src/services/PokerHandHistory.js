@@ -0,0 +1,309 @@
+/**
+ * Hand history views - hides hole cards the viewer never saw and renders a
+ * hand in the PokerStars text format that tracking tools import.
+ */
+class PokerHandHistory {
+  constructor() {
+    this.SUITS = { hearts: "h", diamonds: "d", clubs: "c", spades: "s" };
+    this.VARIANTS = {
+      holdem: "Hold'em",
+      omaha: "Omaha",
+      "short-deck": "6+ Hold'em",
+    };
+    this.GAMES = {
+      "no-limit": "No Limit",
+      "pot-limit": "Pot Limit",
+      "fixed-limit": "Limit",
+    };
+    this.FORCED_BETS = {
+      ante: "the ante",
+      small_blind: "small blind",
+      big_blind: "big blind",
+      straddle: "straddle",
+    };
+    this.STREETS = [
+      { phase: "preflop" },
+      { phase: "flop", header: "*** FLOP ***", cards: 3 },
+      { phase: "turn", header: "*** TURN ***", cards: 4 },
+      { phase: "river", header: "*** RIVER ***", cards: 5 },
+    ];
+    this.RUNS = ["FIRST", "SECOND"];
+  }
+
+  // Hole cards are visible to their owner, or to everyone once shown down
+  forViewer(history, viewerId) {
+    return {
+      ...history,
+      holeCards: history.holeCards.filter(
+        (h) => h.playerId === viewerId || history.shownDown.includes(h.playerId)
+      ),
+    };
+  }
+
+  toPokerStars(handId, fullHistory, viewerId) {
+    const history = this.forViewer(fullHistory, viewerId);
+    const names = Object.fromEntries(
+      history.seats.map((s) => [s.playerId, s.username || s.playerId])
+    );
+    const cardsOf = (playerId) =>
+      history.holeCards.find((h) => h.playerId === playerId)?.cards;
+    const blindOf = (action) =>
+      history.actions.find((a) => a.action === action)?.playerId;
+
+    const dealerSeat = history.seats.find(
+      (s) => s.playerId === history.dealerId
+    )?.seat;
+
+    // Limit games are labelled with the small and big bet, not the blinds
+    const variant = this.VARIANTS[history.settings?.variant || "holdem"];
+    const structure = history.settings?.bettingStructure || "no-limit";
+    const stakes =
+      structure === "fixed-limit"
+        ? `${history.bigBlind}/${history.bigBlind * 2}`
+        : `${history.smallBlind}/${history.bigBlind}`;
+
+    const lines = [
+      `PokerStars Hand #${handId}: ${variant} ${this.GAMES[structure]} (${stakes}) - ${this.formatDate(history.startedAt || history.endedAt)}`,
+      `Table '${history.tableName}' ${history.maxPlayers}-max Seat #${dealerSeat} is the button`,
+      ...history.seats.map(
+        (s) =>
+          `Seat ${s.seat}: ${names[s.playerId]} (${s.stack} in chips)${s.sittingOut ? " is sitting out" : ""}`
+      ),
+    ];
+
+    const isBlind = (a) => a.action in this.FORCED_BETS;
+    let currentBet = 0;
+
+    for (const blind of history.actions.filter(isBlind)) {
+      const label = this.FORCED_BETS[blind.action];
+      lines.push(`${names[blind.playerId]}: posts ${label} ${blind.amount}`);
+      currentBet = Math.max(currentBet, blind.to);
+    }
+
+    lines.push("*** HOLE CARDS ***");
+    if (cardsOf(viewerId)) {
+      lines.push(
+        `Dealt to ${names[viewerId]} ${this.formatCards(cardsOf(viewerId))}`
+      );
+    }
+
+    // Street by street; the board is printed even when it was run out. A
+    // hand run twice prints the streets the boards share once, then each
+    // board's own streets.
+    const runs = history.runs || [];
+    const shared = runs.length ? this.sharedCards(runs) : 5;
+    const foldedOn = {};
+
+    for (const street of this.STREETS) {
+      if (street.cards) {
+        if (history.board.length < street.cards || street.cards > shared) {
+          break;
+        }
+        lines.push(
+          `${street.header} ${this.boardFor(history.board, street.cards)}`
+        );
+        currentBet = 0;
+      }
+
+      for (const action of history.actions) {
+        if (action.phase !== street.phase || isBlind(action)) continue;
+
+        if (action.action === "fold") foldedOn[action.playerId] = street.phase;
+        lines.push(
+          `${names[action.playerId]}: ${this.describeAction(action, currentBet)}`
+        );
+        currentBet = Math.max(currentBet, action.to);
+      }
+    }
+
+    const won = {};
+    for (const pot of history.pots) {
+      for (const winner of pot.winners) {
+        won[winner.playerId] = (won[winner.playerId] || 0) + winner.winAmount;
+      }
+    }
+
+    runs.forEach((run, index) => {
+      for (const street of this.STREETS) {
+        if (street.cards > shared) {
+          lines.push(
+            `*** ${this.RUNS[index]} ${street.header.slice(4)} ${this.boardFor(run.board, street.cards)}`
+          );
+        }
+      }
+    });
+
+    if (runs.length > 0) {
+      runs.forEach((run, index) => {
+        lines.push(`*** ${this.RUNS[index]} SHOW DOWN ***`);
+        this.pushShowdown(lines, history, run.results, names, cardsOf);
+        this.pushCollected(
+          lines,
+          history.pots.filter((pot) => pot.run === index + 1),
+          names
+        );
+      });
+    } else {
+      if (history.shownDown.length > 0) {
+        lines.push("*** SHOW DOWN ***");
+        this.pushShowdown(lines, history, history.results, names, cardsOf);
+      }
+      this.pushCollected(lines, history.pots, names);
+    }
+
+    // Summary; pots of a hand run twice are totalled across both boards
+    const potTotals = [];
+    for (const pot of history.pots) {
+      const index = pot.run
+        ? history.pots.filter((p) => p.run === pot.run).indexOf(pot)
+        : potTotals.length;
+      potTotals[index] = (potTotals[index] || 0) + pot.amount + pot.rake;
+    }
+    const total = potTotals.reduce((sum, amount) => sum + amount, 0);
+    const breakdown =
+      potTotals.length > 1
+        ? " " +
+          potTotals
+            .map((amount, i) =>
+              i === 0 ? `Main pot ${amount}.` : `Side pot-${i} ${amount}.`
+            )
+            .join(" ")
+        : "";
+
+    lines.push("*** SUMMARY ***");
+    lines.push(`Total pot ${total}${breakdown} | Rake ${history.rake || 0}`);
+    if (runs.length > 0) {
+      lines.push("Hand was run twice");
+      runs.forEach((run, index) => {
+        lines.push(`${this.RUNS[index]} Board ${this.formatCards(run.board)}`);
+      });
+    } else if (history.board.length > 0) {
+      lines.push(`Board ${this.formatCards(history.board)}`);
+    }
+
+    for (const seat of history.seats) {
+      if (seat.sittingOut) continue;
+
+      const roles = [];
+      if (seat.playerId === history.dealerId) roles.push("button");
+      if (seat.playerId === blindOf("small_blind")) roles.push("small blind");
+      if (seat.playerId === blindOf("big_blind")) roles.push("big blind");
+      const role = roles.length ? ` (${roles.join(", ")})` : "";
+
+      lines.push(
+        `Seat ${seat.seat}: ${names[seat.playerId]}${role} ${this.describeOutcome(history, seat.playerId, foldedOn, won, cardsOf)}`
+      );
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  pushShowdown(lines, history, results, names, cardsOf) {
+    for (const playerId of history.shownDown) {
+      const result = results.find((r) => r.playerId === playerId);
+      lines.push(
+        `${names[playerId]}: shows ${this.formatCards(cardsOf(playerId))} (${result.description || result.name})`
+      );
+    }
+  }
+
+  pushCollected(lines, pots, names) {
+    pots.forEach((pot, index) => {
+      const label =
+        pots.length === 1
+          ? "pot"
+          : index === 0
+            ? "main pot"
+            : `side pot-${index}`;
+      for (const winner of pot.winners) {
+        lines.push(
+          `${names[winner.playerId]} collected ${winner.winAmount} from ${label}`
+        );
+      }
+    });
+  }
+
+  // How many board cards both runs share (0, 3 or 4)
+  sharedCards(runs) {
+    const [first, second] = runs.map((run) => run.board);
+    const differs = first.findIndex(
+      (card, i) => card.rank !== second[i].rank || card.suit !== second[i].suit
+    );
+    return differs === -1 ? first.length : differs;
+  }
+
+  describeAction(action, currentBet) {
+    const allIn = action.allIn ? " and is all-in" : "";
+
+    switch (action.action) {
+      case "fold":
+        return "folds";
+      case "check":
+        return "checks";
+      case "call":
+        return `calls ${action.amount}${allIn}`;
+      case "bet":
+        return `bets ${action.amount}${allIn}`;
+      case "raise":
+        return `raises ${action.to - currentBet} to ${action.to}${allIn}`;
+      case "allin":
+        if (action.to <= currentBet) return `calls ${action.amount}${allIn}`;
+        if (currentBet === 0) return `bets ${action.amount}${allIn}`;
+        return `raises ${action.to - currentBet} to ${action.to}${allIn}`;
+      default:
+        return action.action;
+    }
+  }
+
+  describeOutcome(history, playerId, foldedOn, won, cardsOf) {
+    const fold = {
+      preflop: "before Flop",
+      flop: "on the Flop",
+      turn: "on the Turn",
+      river: "on the River",
+    };
+
+    if (foldedOn[playerId]) {
+      return `folded ${fold[foldedOn[playerId]]}`;
+    }
+
+    if (history.shownDown.includes(playerId)) {
+      const result = history.results.find((r) => r.playerId === playerId);
+      const shown = `showed ${this.formatCards(cardsOf(playerId))}`;
+      const hand = result.description || result.name;
+      return won[playerId]
+        ? `${shown} and won (${won[playerId]}) with ${hand}`
+        : `${shown} and lost with ${hand}`;
+    }
+
+    return won[playerId] ? `collected (${won[playerId]})` : "mucked";
+  }
+
+  boardFor(board, count) {
+    if (count === 3) return this.formatCards(board.slice(0, 3));
+    return `${this.formatCards(board.slice(0, count - 1))} ${this.formatCards([board[count - 1]])}`;
+  }
+
+  formatCards(cards = []) {
+    return `[${cards.map((card) => this.formatCard(card)).join(" ")}]`;
+  }
+
+  formatCard(card) {
+    const rank = card.rank === "10" ? "T" : card.rank;
+    return `${rank}${this.SUITS[card.suit]}`;
+  }
+
+  // PokerStars style: 2024/01/31 18:05:00 UTC
+  formatDate(isoDate) {
+    const date = isoDate ? new Date(isoDate) : new Date(0);
+    return (
+      date
+        .toISOString()
+        .replace("T", " ")
+        .replace(/\.\d+Z$/, "")
+        .replace(/-/g, "/") + " UTC"
+    );
+  }
+}
+
+export default new PokerHandHistory();
@@ -0,0 +1,125 @@
+/**
+ * Player statistics from recorded hand histories - the numbers tracking
+ * tools show: VPIP, PFR, 3-bet, aggression factor, went to showdown and won
+ * at showdown. Only hands the player was dealt into count.
+ */
+class PokerPlayerStats {
+  constructor() {
+    this.FORCED_BETS = ["ante", "small_blind", "big_blind", "straddle"];
+    this.AGGRESSIVE = ["bet", "raise"];
+  }
+
+  compute(histories, playerId) {
+    const counts = {
+      hands: 0,
+      vpip: 0,
+      pfr: 0,
+      threeBetChances: 0,
+      threeBets: 0,
+      postflopBets: 0, // Bets and raises
+      postflopCalls: 0,
+      sawFlop: 0,
+      showdowns: 0,
+      showdownsWon: 0,
+    };
+
+    for (const history of histories) {
+      const seat = history.seats.find((s) => s.playerId === playerId);
+      if (!seat || seat.sittingOut) continue;
+
+      counts.hands++;
+      this.countHand(counts, history, playerId);
+    }
+
+    const percent = (part, whole) =>
+      whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+
+    return {
+      hands: counts.hands,
+      vpip: percent(counts.vpip, counts.hands),
+      pfr: percent(counts.pfr, counts.hands),
+      threeBet: percent(counts.threeBets, counts.threeBetChances),
+      aggressionFactor:
+        counts.postflopCalls > 0
+          ? Math.round((counts.postflopBets / counts.postflopCalls) * 100) / 100
+          : null,
+      wentToShowdown: percent(counts.showdowns, counts.sawFlop),
+      wonAtShowdown: percent(counts.showdownsWon, counts.showdowns),
+      counts,
+    };
+  }
+
+  countHand(counts, history, playerId) {
+    let voluntary = false;
+    let raisedPreflop = false;
+    let foldedPreflop = false;
+    let preflopRaises = 0;
+
+    for (const { action, kind } of this.classifyActions(history.actions)) {
+      if (action.phase === "preflop") {
+        const isRaise = kind === "raise";
+
+        if (action.playerId === playerId && kind) {
+          // Facing exactly one raise is a chance to 3-bet
+          if (preflopRaises === 1) {
+            counts.threeBetChances++;
+            if (isRaise) counts.threeBets++;
+          }
+          if (kind === "call" || isRaise) voluntary = true;
+          if (isRaise) raisedPreflop = true;
+          if (kind === "fold") foldedPreflop = true;
+        }
+
+        if (isRaise) preflopRaises++;
+      } else if (action.playerId === playerId) {
+        if (this.AGGRESSIVE.includes(kind)) counts.postflopBets++;
+        if (kind === "call") counts.postflopCalls++;
+      }
+    }
+
+    if (voluntary) counts.vpip++;
+    if (raisedPreflop) counts.pfr++;
+
+    if (!foldedPreflop && history.board.length >= 3) {
+      counts.sawFlop++;
+
+      if (history.shownDown.includes(playerId)) {
+        counts.showdowns++;
+        const won = history.pots.some((pot) =>
+          pot.winners.some((w) => w.playerId === playerId && w.winAmount > 0)
+        );
+        if (won) counts.showdownsWon++;
+      }
+    }
+  }
+
+  // What each action did at the price it faced: fold, check, call, bet or
+  // raise (all-ins included). Forced bets set the price but have no kind.
+  classifyActions(actions) {
+    let phase = null;
+    let currentBet = 0;
+
+    return actions.map((action) => {
+      if (action.phase !== phase) {
+        phase = action.phase;
+        currentBet = 0;
+      }
+
+      let kind = null;
+      if (!this.FORCED_BETS.includes(action.action)) {
+        kind = this.classify(action, currentBet);
+      }
+      currentBet = Math.max(currentBet, action.to);
+
+      return { action, kind };
+    });
+  }
+
+  classify(action, currentBet) {
+    if (action.action !== "allin") return action.action;
+    if (action.to <= currentBet) return "call";
+    return currentBet === 0 ? "bet" : "raise";
+  }
+}
+
+export default new PokerPlayerStats();
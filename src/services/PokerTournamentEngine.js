@@ -0,0 +1,404 @@
+/**
+ * Poker tournament rules - registration, the blind clock, seating and table
+ * balancing, elimination order and payouts. Pure like PokerGameEngine: each
+ * transition clones its input and returns { tournament, events }. The tables
+ * themselves are ordinary engine rooms driven by the service layer.
+ */
+class PokerTournamentEngine {
+  constructor() {
+    // Big blind per level; the small blind is half (see PokerGameEngine)
+    this.DEFAULT_BLIND_LEVELS = [
+      20, 30, 40, 60, 80, 100, 150, 200, 300, 400, 500, 600, 800, 1000, 1500,
+      2000, 3000, 4000, 6000, 8000, 10000,
+    ];
+
+    // Percent of the prize pool per finishing position, by field size
+    this.DEFAULT_PAYOUTS = [
+      { maxEntrants: 4, percents: [100] },
+      { maxEntrants: 9, percents: [65, 35] },
+      { maxEntrants: 18, percents: [50, 30, 20] },
+      { maxEntrants: 45, percents: [40, 25, 17, 10, 8] },
+      { maxEntrants: Infinity, percents: [30, 20, 14, 10, 8, 6, 5, 4, 3] },
+    ];
+  }
+
+  createTournament(options) {
+    const {
+      id,
+      name,
+      creatorId,
+      type = "sng",
+      buyIn = 0,
+      startingStack = 1500,
+      maxPlayers = type === "sng" ? 6 : 100,
+      minPlayers = 2,
+      tableSize = 6,
+      levelMinutes = 10,
+      blindLevels = this.DEFAULT_BLIND_LEVELS,
+      payouts = null,
+      startTime = null,
+    } = options;
+
+    if (!["sng", "mtt"].includes(type)) {
+      throw new Error("Tournament type must be 'sng' or 'mtt'");
+    }
+
+    if (buyIn < 0 || startingStack <= 0) {
+      throw new Error("Buy-in and starting stack must be positive");
+    }
+
+    if (tableSize < 2 || tableSize > 10) {
+      throw new Error("Table size must be between 2 and 10");
+    }
+
+    if (minPlayers < 2 || maxPlayers < minPlayers) {
+      throw new Error("Tournament needs room for at least 2 players");
+    }
+
+    if (type === "sng" && maxPlayers > tableSize) {
+      throw new Error("A Sit & Go is played at a single table");
+    }
+
+    if (type === "mtt" && !startTime) {
+      throw new Error("A scheduled tournament needs a start time");
+    }
+
+    if (!blindLevels.length || levelMinutes <= 0) {
+      throw new Error("Blind schedule needs at least one timed level");
+    }
+
+    if (payouts && payouts.reduce((sum, pct) => sum + pct, 0) !== 100) {
+      throw new Error("Payout percentages must add up to 100");
+    }
+
+    return {
+      id,
+      name,
+      type,
+      creator: { id: creatorId },
+      status: "registering", // registering, running, finished, cancelled
+      buyIn,
+      startingStack,
+      maxPlayers,
+      minPlayers,
+      tableSize,
+      levelDuration: levelMinutes * 60 * 1000,
+      blindLevels,
+      payouts,
+      startTime,
+      players: [], // { id, username, status, tableId, position }
+      tables: [],
+      pendingSeats: {}, // tableId -> players waiting for the hand to end
+      eliminations: [], // First out first
+      level: 0,
+      startedAt: null,
+      finishedAt: null,
+      prizes: [],
+    };
+  }
+
+  register(state, { id, username }) {
+    const tournament = this.cloneState(state);
+
+    if (tournament.status !== "registering") {
+      throw new Error("Tournament is not open for registration");
+    }
+
+    if (tournament.players.length >= tournament.maxPlayers) {
+      throw new Error("Tournament is full");
+    }
+
+    if (tournament.players.some((p) => p.id === id)) {
+      throw new Error("Player already registered");
+    }
+
+    tournament.players.push({
+      id,
+      username,
+      status: "registered",
+      tableId: null,
+      position: null,
+    });
+
+    const events = [{ type: "tournament_registered", playerId: id }];
+    return { tournament, events };
+  }
+
+  unregister(state, playerId) {
+    const tournament = this.cloneState(state);
+
+    if (tournament.status !== "registering") {
+      throw new Error("Registration is closed");
+    }
+
+    const index = tournament.players.findIndex((p) => p.id === playerId);
+    if (index === -1) {
+      throw new Error("Player not registered");
+    }
+
+    tournament.players.splice(index, 1);
+
+    const events = [
+      { type: "tournament_unregistered", playerId, refund: tournament.buyIn },
+    ];
+    return { tournament, events };
+  }
+
+  cancel(state) {
+    const tournament = this.cloneState(state);
+
+    if (tournament.status !== "registering") {
+      throw new Error(
+        "Only a tournament that has not started can be cancelled"
+      );
+    }
+
+    tournament.status = "cancelled";
+
+    const events = [
+      {
+        type: "tournament_cancelled",
+        refunds: tournament.players.map((p) => ({
+          playerId: p.id,
+          amount: tournament.buyIn,
+        })),
+      },
+    ];
+    return { tournament, events };
+  }
+
+  // Seats players round-robin in the order given (the caller shuffles)
+  start(state, { tableIds, seatOrder, now }) {
+    const tournament = this.cloneState(state);
+    this.assertCanStart(tournament);
+
+    const tableCount = this.getTableCount(tournament);
+    if (tableIds.length < tableCount) {
+      throw new Error(`Need ${tableCount} tables to seat every player`);
+    }
+
+    const order = seatOrder || tournament.players.map((p) => p.id);
+    const tables = tableIds
+      .slice(0, tableCount)
+      .map((tableId) => ({ tableId, playerIds: [] }));
+
+    order.forEach((playerId, index) => {
+      const table = tables[index % tableCount];
+      const player = tournament.players.find((p) => p.id === playerId);
+      player.status = "playing";
+      player.tableId = table.tableId;
+      table.playerIds.push(playerId);
+    });
+
+    tournament.status = "running";
+    tournament.startedAt = now;
+    tournament.level = 0;
+    tournament.tables = tables.map((t) => t.tableId);
+    tournament.pendingSeats = {};
+
+    const events = [
+      { type: "tournament_started", tables, ...this.getLevel(tournament, now) },
+    ];
+    return { tournament, events };
+  }
+
+  assertCanStart(tournament) {
+    if (tournament.status !== "registering") {
+      throw new Error("Tournament has already started");
+    }
+
+    if (tournament.players.length < tournament.minPlayers) {
+      throw new Error(
+        `Need at least ${tournament.minPlayers} players to start`
+      );
+    }
+  }
+
+  getTableCount(tournament) {
+    const remaining = tournament.players.filter(
+      (p) => p.status !== "eliminated"
+    ).length;
+    return Math.max(Math.ceil(remaining / tournament.tableSize), 1);
+  }
+
+  // Blind level on the clock, plus when the next one starts
+  getLevel(tournament, now) {
+    const levels = tournament.blindLevels;
+    const elapsed = Math.max(now - tournament.startedAt, 0);
+    const level = Math.min(
+      Math.floor(elapsed / tournament.levelDuration),
+      levels.length - 1
+    );
+    const nextLevelAt =
+      level < levels.length - 1
+        ? tournament.startedAt + (level + 1) * tournament.levelDuration
+        : null;
+
+    return {
+      level,
+      smallBlind: Math.floor(levels[level] / 2),
+      bigBlind: levels[level],
+      nextLevelAt,
+    };
+  }
+
+  updateLevel(state, now) {
+    const tournament = this.cloneState(state);
+    const events = [];
+
+    const current = this.getLevel(tournament, now);
+    if (tournament.status === "running" && current.level !== tournament.level) {
+      tournament.level = current.level;
+      events.push({ type: "tournament_level_up", ...current });
+    }
+
+    return { tournament, events };
+  }
+
+  // Players busted in the same hand are placed by the stack they started it
+  // with, so the bigger stack finishes higher
+  eliminate(state, busted, now) {
+    const tournament = this.cloneState(state);
+    const events = [];
+
+    const ordered = [...busted].sort((a, b) => a.handStack - b.handStack);
+
+    for (const { playerId } of ordered) {
+      const player = tournament.players.find((p) => p.id === playerId);
+      if (!player || player.status !== "playing") continue;
+
+      const position = tournament.players.filter(
+        (p) => p.status === "playing"
+      ).length;
+
+      player.status = "eliminated";
+      player.position = position;
+      player.tableId = null;
+      tournament.eliminations.push({ playerId, position, eliminatedAt: now });
+      events.push({ type: "tournament_player_eliminated", playerId, position });
+    }
+
+    const remaining = tournament.players.filter((p) => p.status === "playing");
+    if (remaining.length === 1) {
+      this.finish(tournament, remaining[0], now, events);
+    }
+
+    return { tournament, events };
+  }
+
+  finish(tournament, winner, now, events) {
+    winner.status = "winner";
+    winner.position = 1;
+    winner.tableId = null;
+
+    tournament.status = "finished";
+    tournament.finishedAt = now;
+    tournament.tables = [];
+    tournament.pendingSeats = {};
+    tournament.prizes = this.calculatePrizes(tournament);
+
+    events.push({
+      type: "tournament_finished",
+      standings: this.getStandings(tournament),
+      prizes: tournament.prizes,
+    });
+  }
+
+  getStandings(tournament) {
+    return tournament.players
+      .filter((p) => p.position)
+      .sort((a, b) => a.position - b.position)
+      .map((p) => ({
+        position: p.position,
+        playerId: p.id,
+        username: p.username,
+      }));
+  }
+
+  getPrizePool(tournament) {
+    return tournament.buyIn * tournament.players.length;
+  }
+
+  getPayoutPercents(tournament) {
+    if (tournament.payouts) return tournament.payouts;
+
+    const entrants = tournament.players.length;
+    return this.DEFAULT_PAYOUTS.find((p) => entrants <= p.maxEntrants).percents;
+  }
+
+  // Whole chips per paid place; rounding leftovers go to the winner
+  calculatePrizes(tournament) {
+    const pool = this.getPrizePool(tournament);
+    const percents = this.getPayoutPercents(tournament).slice(
+      0,
+      tournament.players.length
+    );
+    const paidTotal = percents.reduce((sum, pct) => sum + pct, 0);
+
+    const prizes = percents.map((pct, index) => {
+      const position = index + 1;
+      const player = tournament.players.find((p) => p.position === position);
+      return {
+        position,
+        playerId: player ? player.id : null,
+        amount: Math.floor((pool * pct) / paidTotal),
+      };
+    });
+
+    const paid = prizes.reduce((sum, prize) => sum + prize.amount, 0);
+    if (prizes.length > 0) {
+      prizes[0].amount += pool - paid;
+    }
+
+    return prizes.filter((prize) => prize.amount > 0);
+  }
+
+  // Moves that bring the tables to as few as possible, then to within one
+  // player of each other. `tableCounts` maps tableId -> seated + pending.
+  // Returns single-player moves and the tables that end up broken.
+  planBalancing(tournament, tableCounts) {
+    const counts = { ...tableCounts };
+    const moves = [];
+    const brokenTables = [];
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const needed = Math.max(Math.ceil(total / tournament.tableSize), 1);
+
+    const byCount = () =>
+      Object.keys(counts).sort((a, b) => counts[a] - counts[b]);
+
+    // Keep the fullest tables and break the rest
+    const kept = byCount().reverse().slice(0, needed);
+    for (const broken of byCount().filter((id) => !kept.includes(id))) {
+      for (let i = 0; i < counts[broken]; i++) {
+        const to = kept.reduce((min, id) =>
+          counts[id] < counts[min] ? id : min
+        );
+        moves.push({ from: broken, to });
+        counts[to]++;
+      }
+      delete counts[broken];
+      brokenTables.push(broken);
+    }
+
+    // Then even out the rest
+    for (;;) {
+      const order = byCount();
+      const smallest = order[0];
+      const largest = order[order.length - 1];
+      if (counts[largest] - counts[smallest] <= 1) break;
+
+      moves.push({ from: largest, to: smallest });
+      counts[largest]--;
+      counts[smallest]++;
+    }
+
+    return { moves, brokenTables };
+  }
+
+  cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+}
+
+export default PokerTournamentEngine;
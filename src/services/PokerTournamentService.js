@@ -0,0 +1,625 @@
+import RedisService from "./RedisService.js";
+import WebSocketService from "./WebSocketService.js";
+import { logger } from "../utils/logger.js";
+import User from "../models/User.js";
+import EnhancedPokerService from "./EnhancedPokerService.js";
+import PokerTournamentEngine from "./PokerTournamentEngine.js";
+import scheduler from "./PhaseScheduler.js";
+import { TRANSACTION_TYPES, ERROR_MESSAGES } from "../utils/constants.js";
+
+/**
+ * Tournament service layer - Redis persistence, buy-ins and prizes, the
+ * blind clock and moving players between tables. Rules live in
+ * PokerTournamentEngine; every table is a regular poker room played through
+ * EnhancedPokerService, which hands each finished hand back to us. The
+ * start and level clocks and the pause between hands run on the
+ * PhaseScheduler, so they survive a restart.
+ */
+class PokerTournamentService {
+  constructor(pokerService = new EnhancedPokerService()) {
+    this.redis = RedisService;
+    this.ws = WebSocketService;
+    this.poker = pokerService;
+    this.engine = new PokerTournamentEngine();
+    this.scheduler = scheduler;
+    this.queues = new Map(); // tournamentId -> pending work
+
+    this.nextHandDelay = 5000;
+
+    this.scheduler.register("tournament:start", ({ tournamentId }) =>
+      this.runExclusive(tournamentId, () => this.startOnClock(tournamentId))
+    );
+    this.scheduler.register("tournament:level", ({ tournamentId }) =>
+      this.runExclusive(tournamentId, () => this.levelUp(tournamentId))
+    );
+    this.scheduler.register("tournament:hand", ({ tournamentId, tableId }) =>
+      this.runExclusive(tournamentId, () =>
+        this.dealNextHand(tournamentId, tableId)
+      )
+    );
+
+    EnhancedPokerService.onTournamentHand((room, events) =>
+      this.runExclusive(room.tournamentId, () =>
+        this.afterHand(room.tournamentId, room.id, events)
+      )
+    );
+  }
+
+  // Tournament Management
+  async createTournament(options) {
+    const tournamentId = `tournament_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const tournament = this.engine.createTournament({
+      ...options,
+      id: tournamentId,
+    });
+    tournament.createdAt = new Date().toISOString();
+
+    await this.saveTournament(tournament);
+    await this.redis.client.sadd("poker:tournaments", tournamentId);
+
+    if (tournament.type === "mtt") {
+      this.armStartClock(tournament);
+    }
+
+    console.log(
+      `Poker tournament created: ${tournamentId} by user ${options.creatorId}`
+    );
+    return tournament;
+  }
+
+  async getTournament(tournamentId) {
+    const data = await this.redis.client.get(
+      `poker:tournament:${tournamentId}`
+    );
+    if (!data) {
+      throw new Error("Tournament not found");
+    }
+    return JSON.parse(data);
+  }
+
+  async saveTournament(tournament) {
+    tournament.updatedAt = new Date().toISOString();
+    await this.redis.client.set(
+      `poker:tournament:${tournament.id}`,
+      JSON.stringify(tournament)
+    );
+  }
+
+  async getTournaments() {
+    const tournamentIds = await this.redis.client.smembers("poker:tournaments");
+    const tournaments = [];
+
+    for (const tournamentId of tournamentIds) {
+      try {
+        const tournament = await this.getTournament(tournamentId);
+        tournaments.push({
+          id: tournament.id,
+          name: tournament.name,
+          type: tournament.type,
+          status: tournament.status,
+          buyIn: tournament.buyIn,
+          startingStack: tournament.startingStack,
+          startTime: tournament.startTime,
+          registered: tournament.players.length,
+          maxPlayers: tournament.maxPlayers,
+          prizePool: this.engine.getPrizePool(tournament),
+          createdAt: tournament.createdAt,
+        });
+      } catch (error) {
+        logger.error(`Error getting tournament ${tournamentId}:`, error);
+      }
+    }
+
+    return tournaments.sort(
+      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+    );
+  }
+
+  // Registration
+  async register(tournamentId, playerId) {
+    return this.runExclusive(tournamentId, async () => {
+      const user = await User.getUser(playerId);
+
+      let { tournament, events } = this.engine.register(
+        await this.getTournament(tournamentId),
+        { id: playerId, username: user.username }
+      );
+
+      if (tournament.buyIn > 0) {
+        if (Number(user.chips_balance) < tournament.buyIn) {
+          throw new Error(ERROR_MESSAGES.INSUFFICIENT_BALANCE);
+        }
+        await this.poker.transferChips(
+          playerId,
+          TRANSACTION_TYPES.TOURNAMENT_BUY_IN,
+          -tournament.buyIn,
+          { tournamentId }
+        );
+      }
+
+      await this.saveTournament(tournament);
+      this.broadcast(tournament, events);
+
+      // A Sit & Go starts as soon as the table is full
+      if (
+        tournament.type === "sng" &&
+        tournament.players.length === tournament.maxPlayers
+      ) {
+        tournament = await this.launch(tournament);
+      }
+
+      console.log(
+        `Player ${playerId} registered for tournament ${tournamentId}`
+      );
+      return tournament;
+    });
+  }
+
+  async unregister(tournamentId, playerId) {
+    return this.runExclusive(tournamentId, async () => {
+      const { tournament, events } = this.engine.unregister(
+        await this.getTournament(tournamentId),
+        playerId
+      );
+
+      await this.refund(tournament, [{ playerId, amount: tournament.buyIn }]);
+      await this.saveTournament(tournament);
+      this.broadcast(tournament, events);
+
+      console.log(
+        `Player ${playerId} unregistered from tournament ${tournamentId}`
+      );
+      return tournament;
+    });
+  }
+
+  async cancelTournament(tournamentId, playerId) {
+    return this.runExclusive(tournamentId, async () => {
+      const current = await this.getTournament(tournamentId);
+      if (current.creator.id !== playerId) {
+        throw new Error("Only the tournament creator can cancel it");
+      }
+
+      return this.cancel(current);
+    });
+  }
+
+  async cancel(current) {
+    const { tournament, events } = this.engine.cancel(current);
+
+    await this.refund(tournament, events[0].refunds);
+    this.clearClock(tournament.id);
+    await this.saveTournament(tournament);
+    this.broadcast(tournament, events);
+
+    console.log(`Poker tournament ${tournament.id} cancelled`);
+    return tournament;
+  }
+
+  async refund(tournament, refunds) {
+    if (tournament.buyIn <= 0) return;
+
+    for (const { playerId, amount } of refunds) {
+      await this.poker.transferChips(
+        playerId,
+        TRANSACTION_TYPES.REFUND,
+        amount,
+        { tournamentId: tournament.id }
+      );
+    }
+  }
+
+  // Tournament Flow
+  async startTournament(tournamentId, playerId) {
+    return this.runExclusive(tournamentId, async () => {
+      const tournament = await this.getTournament(tournamentId);
+      if (tournament.creator.id !== playerId) {
+        throw new Error("Only the tournament creator can start it");
+      }
+
+      return this.launch(tournament);
+    });
+  }
+
+  // Opens the tables, seats everyone with the starting stack and deals
+  async launch(current) {
+    this.engine.assertCanStart(current);
+    const tableCount = this.engine.getTableCount(current);
+
+    const tableIds = [];
+    for (let i = 0; i < tableCount; i++) {
+      const room = await this.poker.createRoom({
+        name: `${current.name} - Table ${i + 1}`,
+        creatorId: current.creator.id,
+        maxPlayers: current.tableSize,
+        minBet: current.blindLevels[0],
+        maxBet: current.startingStack * current.players.length,
+        tournamentId: current.id,
+      });
+      tableIds.push(room.id);
+    }
+
+    const seatOrder = this.poker.shuffleDeck(current.players.map((p) => p.id));
+    const { tournament, events } = this.engine.start(current, {
+      tableIds,
+      seatOrder,
+      now: Date.now(),
+    });
+
+    await this.saveTournament(tournament);
+    this.broadcast(tournament, events);
+
+    for (const { tableId, playerIds } of events[0].tables) {
+      await this.poker.withRoomLock(tableId, async () => {
+        let room = await this.poker.getRoom(tableId);
+        for (const playerId of playerIds) {
+          const player = tournament.players.find((p) => p.id === playerId);
+          ({ room } = this.poker.engine.addPlayer(room, {
+            id: player.id,
+            username: player.username,
+            chips: tournament.startingStack,
+          }));
+        }
+        await this.poker.startHand(room);
+      });
+    }
+
+    this.clearClock(tournament.id);
+    this.armLevelClock(tournament);
+
+    console.log(`Poker tournament ${tournament.id} started`);
+    return tournament;
+  }
+
+  // Runs between hands on a table: eliminations, balancing, next hand
+  async afterHand(tournamentId, tableId, handEvents) {
+    let tournament = await this.getTournament(tournamentId);
+    if (tournament.status !== "running") return;
+
+    const tableIds = [...tournament.tables];
+    const busted = handEvents.filter((e) => e.type === "player_busted");
+
+    if (busted.length > 0) {
+      let events;
+      ({ tournament, events } = this.engine.eliminate(
+        tournament,
+        busted,
+        Date.now()
+      ));
+      this.broadcast(tournament, events, tableIds);
+
+      if (tournament.status === "finished") {
+        await this.finish(tournament, tableIds);
+        return;
+      }
+    }
+
+    await this.seatPending(tournament, tableId);
+    // Moves change two tables at once
+    const touched = await this.poker.withRoomLocks(tournament.tables, () =>
+      this.balanceTables(tournament)
+    );
+    await this.saveTournament(tournament);
+
+    for (const id of new Set([tableId, ...touched])) {
+      if (tournament.tables.includes(id)) {
+        this.scheduleNextHand(tournament.id, id);
+      }
+    }
+  }
+
+  // Seats players who were moved here while this table was mid-hand
+  async seatPending(tournament, tableId) {
+    const pending = tournament.pendingSeats[tableId] || [];
+    if (pending.length === 0) return;
+
+    await this.poker.withRoomLock(tableId, async () => {
+      let room = await this.poker.getRoom(tableId);
+      const events = [];
+      for (const seat of pending) {
+        let joined;
+        ({ room, events: joined } = this.poker.engine.addPlayer(room, seat));
+        events.push(...joined);
+      }
+      delete tournament.pendingSeats[tableId];
+
+      await this.poker.commitRoom(room, events);
+    });
+  }
+
+  // Applies the balancing plan to every table that is between hands. Tables
+  // still mid-hand are picked up when their hand ends. Callers hold the
+  // locks of every table.
+  async balanceTables(tournament) {
+    const rooms = {};
+    for (const tableId of tournament.tables) {
+      rooms[tableId] = await this.poker.getRoom(tableId);
+    }
+
+    const counts = {};
+    for (const tableId of tournament.tables) {
+      const pending = tournament.pendingSeats[tableId] || [];
+      counts[tableId] = rooms[tableId].players.length + pending.length;
+    }
+
+    const { moves, brokenTables } = this.engine.planBalancing(
+      tournament,
+      counts
+    );
+
+    const roomEvents = {};
+    const touched = new Set();
+
+    for (const { from, to } of moves) {
+      if (rooms[from].status !== "waiting") continue;
+
+      // The most recently seated player is the one who moves
+      const player = rooms[from].players[rooms[from].players.length - 1];
+      const { room, events } = this.poker.engine.removePlayer(
+        rooms[from],
+        player.id
+      );
+      rooms[from] = room;
+      (roomEvents[from] = roomEvents[from] || []).push(...events);
+
+      const seat = {
+        id: player.id,
+        username: player.username,
+        chips: events[0].chips,
+      };
+
+      if (rooms[to].status === "waiting") {
+        const { room: seated, events: joined } = this.poker.engine.addPlayer(
+          rooms[to],
+          seat
+        );
+        rooms[to] = seated;
+        (roomEvents[to] = roomEvents[to] || []).push(...joined);
+      } else {
+        (tournament.pendingSeats[to] = tournament.pendingSeats[to] || []).push(
+          seat
+        );
+      }
+
+      tournament.players.find((p) => p.id === player.id).tableId = to;
+      touched.add(from);
+      touched.add(to);
+      this.broadcast(tournament, [
+        { type: "tournament_player_moved", playerId: player.id, from, to },
+      ]);
+    }
+
+    for (const tableId of touched) {
+      if (
+        brokenTables.includes(tableId) &&
+        rooms[tableId].players.length === 0
+      ) {
+        await this.poker.deleteRoom(tableId);
+        this.poker.clearRoomTimeouts(tableId);
+        this.clearHandTimer(tableId);
+        tournament.tables = tournament.tables.filter((id) => id !== tableId);
+        delete tournament.pendingSeats[tableId];
+        this.broadcast(tournament, [
+          { type: "tournament_table_broken", tableId },
+        ]);
+      } else {
+        await this.poker.commitRoom(rooms[tableId], roomEvents[tableId]);
+      }
+    }
+
+    return [...touched];
+  }
+
+  // Deals the next hand at the current blind level after a short pause
+  scheduleNextHand(tournamentId, tableId) {
+    this.scheduler
+      .schedule(
+        `tournament:hand:${tableId}`,
+        "tournament:hand",
+        { tournamentId, tableId },
+        Date.now() + this.nextHandDelay
+      )
+      .catch((error) =>
+        logger.error(`Error scheduling tournament hand at ${tableId}:`, error)
+      );
+  }
+
+  async dealNextHand(tournamentId, tableId) {
+    const tournament = await this.getTournament(tournamentId);
+    if (tournament.status !== "running") return;
+    if (!tournament.tables.includes(tableId)) return;
+
+    await this.poker.withRoomLock(tableId, async () => {
+      const room = await this.poker.getRoom(tableId);
+      if (room.status !== "waiting" || room.players.length < 2) return;
+
+      this.poker.engine.setBlindLevel(
+        room,
+        this.engine.getLevel(tournament, Date.now())
+      );
+      await this.poker.startHand(room);
+    });
+  }
+
+  async finish(tournament, tableIds) {
+    for (const prize of tournament.prizes) {
+      await this.poker.transferChips(
+        prize.playerId,
+        TRANSACTION_TYPES.TOURNAMENT_PRIZE,
+        prize.amount,
+        { tournamentId: tournament.id, position: prize.position }
+      );
+    }
+
+    for (const tableId of tableIds) {
+      await this.poker.deleteRoom(tableId);
+      this.poker.clearRoomTimeouts(tableId);
+      this.clearHandTimer(tableId);
+    }
+
+    this.clearClock(tournament.id);
+    await this.saveTournament(tournament);
+
+    console.log(`Poker tournament ${tournament.id} finished`);
+  }
+
+  // Startup Recovery
+
+  // Picks up the tournaments that were open when the server stopped. Runs
+  // after the poker tables are recovered, which re-arms hands waiting on a
+  // player and calls off the rest. Tables between hands are dealt again.
+  // The clocks are armed again from the stored times; the scheduler keeps
+  // one clock per tournament, so this only brings back one it doesn't hold,
+  // and a start that passed meanwhile launches (or cancels and refunds).
+  async recoverTournaments() {
+    const tournamentIds = await this.redis.client.smembers("poker:tournaments");
+
+    let recovered = 0;
+    for (const tournamentId of tournamentIds) {
+      try {
+        const open = await this.runExclusive(tournamentId, () =>
+          this.recoverTournament(tournamentId)
+        );
+        if (open) recovered++;
+      } catch (error) {
+        logger.error(`Error recovering tournament ${tournamentId}:`, error);
+      }
+    }
+
+    console.log(`Recovered ${recovered} poker tournaments`);
+    return recovered;
+  }
+
+  async recoverTournament(tournamentId) {
+    const tournament = await this.getTournament(tournamentId);
+
+    if (tournament.status === "registering") {
+      if (tournament.type === "mtt") {
+        this.armStartClock(tournament);
+      }
+      return true;
+    }
+    if (tournament.status !== "running") return false;
+
+    this.armLevelClock(tournament);
+    for (const tableId of tournament.tables) {
+      const room = await this.poker.getRoom(tableId);
+      if (room.status !== "waiting") continue;
+
+      await this.seatPending(tournament, tableId);
+      this.scheduleNextHand(tournament.id, tableId);
+    }
+    await this.saveTournament(tournament);
+    return true;
+  }
+
+  // Timers
+
+  // A tournament has one clock: the start time while registering, then the
+  // next blind level
+  armStartClock(tournament) {
+    this.setClock(
+      tournament.id,
+      "tournament:start",
+      new Date(tournament.startTime).getTime()
+    );
+  }
+
+  async startOnClock(tournamentId) {
+    const latest = await this.getTournament(tournamentId);
+    if (latest.status !== "registering") return;
+
+    if (latest.players.length >= latest.minPlayers) {
+      await this.launch(latest);
+    } else {
+      await this.cancel(latest);
+    }
+  }
+
+  armLevelClock(tournament) {
+    const { nextLevelAt } = this.engine.getLevel(tournament, Date.now());
+    if (!nextLevelAt) return;
+
+    this.setClock(tournament.id, "tournament:level", nextLevelAt);
+  }
+
+  async levelUp(tournamentId) {
+    const latest = await this.getTournament(tournamentId);
+    if (latest.status !== "running") return;
+
+    const { tournament: updated, events } = this.engine.updateLevel(
+      latest,
+      Date.now()
+    );
+    await this.saveTournament(updated);
+    this.broadcast(updated, events, updated.tables);
+    this.armLevelClock(updated);
+  }
+
+  setClock(tournamentId, type, dueAt) {
+    this.scheduler
+      .schedule(
+        `tournament:clock:${tournamentId}`,
+        type,
+        { tournamentId },
+        dueAt
+      )
+      .catch((error) =>
+        logger.error(
+          `Error setting tournament clock for ${tournamentId}:`,
+          error
+        )
+      );
+  }
+
+  clearClock(tournamentId) {
+    this.scheduler
+      .cancel(`tournament:clock:${tournamentId}`)
+      .catch((error) =>
+        logger.error(
+          `Error clearing tournament clock for ${tournamentId}:`,
+          error
+        )
+      );
+  }
+
+  clearHandTimer(tableId) {
+    this.scheduler
+      .cancel(`tournament:hand:${tableId}`)
+      .catch((error) =>
+        logger.error(`Error clearing hand timer at ${tableId}:`, error)
+      );
+  }
+
+  // Helper methods
+
+  // Serialises work per tournament so tables finishing together don't race.
+  // The entry goes once the queue is empty again.
+  runExclusive(tournamentId, task) {
+    const previous = this.queues.get(tournamentId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(tournamentId, next);
+
+    const prune = () => {
+      if (this.queues.get(tournamentId) === next) {
+        this.queues.delete(tournamentId);
+      }
+    };
+    next.then(prune, prune);
+    return next;
+  }
+
+  // Lifecycle events go to the tournament channel and, when given, tables
+  broadcast(tournament, events, tableIds = []) {
+    for (const event of events) {
+      const message = { ...event, tournamentId: tournament.id, tournament };
+      this.ws.broadcastToRoom(tournament.id, message);
+      for (const tableId of tableIds) {
+        this.ws.broadcastToRoom(tableId, message);
+      }
+    }
+  }
+}
+
+export default new PokerTournamentService();
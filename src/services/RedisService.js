@@ -207,6 +207,10 @@ class RedisService {
         ...state,
         players: JSON.stringify(state.players),
         bets: JSON.stringify(state.bets),
+        clientSeeds: JSON.stringify(state.clientSeeds || {}),
+        heldBets: JSON.stringify(state.heldBets || {}),
+        limits: JSON.stringify(state.limits || null),
+        zeroRule: state.zeroRule || "",
         phaseEndTime: state.phaseEndTime?.toString(),
         createdAt: state.createdAt?.toString(),
         currentRound: state.currentRound?.toString(),
@@ -250,6 +254,10 @@ class RedisService {
         ...state,
         players: state.players ? JSON.parse(state.players) : [],
         bets: state.bets ? JSON.parse(state.bets) : {},
+        clientSeeds: state.clientSeeds ? JSON.parse(state.clientSeeds) : {},
+        heldBets: state.heldBets ? JSON.parse(state.heldBets) : {},
+        limits: state.limits ? JSON.parse(state.limits) : null,
+        zeroRule: state.zeroRule || null,
         phaseEndTime: state.phaseEndTime ? parseInt(state.phaseEndTime) : null,
         createdAt: state.createdAt ? parseInt(state.createdAt) : Date.now(),
         currentRound: state.currentRound ? parseInt(state.currentRound) : 0,
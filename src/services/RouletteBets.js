@@ -0,0 +1,529 @@
+/**
+ * Roulette bet catalogue - what every bet covers and pays, shared by
+ * single-player (GameService) and multiplayer roulette so both pay alike.
+ *
+ * Inside bets name their numbers (`[17, 20]` for a split), dozens and
+ * columns name which one (1-3) and the even-money bets need no value. Only
+ * groups that sit together on the layout are accepted. Payouts are "to 1":
+ * a winning bet returns its stake plus `amount * payout`.
+ *
+ * The American wheel adds a double zero, stored as 37 ("00" on the way in
+ * and out). The French wheel is the European one with a rule for
+ * even-money bets when zero comes up.
+ *
+ * Announced (racetrack) bets name a sector of the wheel and are placed as
+ * one grouped bet whose stake is spread over its component chips.
+ *
+ * Table limits apply chip by chip: a minimum and maximum per chip, an
+ * optional cap on the total on any one spot by bet type, and an optional
+ * cap on a player's total stake in one spin.
+ */
+class RouletteBets {
+  constructor() {
+    this.DOUBLE_ZERO = 37;
+
+    this.WHEELS = {
+      european: { pockets: 37, layout: "single", zeroRules: [] },
+      american: { pockets: 38, layout: "double", zeroRules: [] },
+      // La Partage returns half of an even-money bet on zero; En Prison
+      // holds it for the next spin, to be returned if it wins then
+      french: {
+        pockets: 37,
+        layout: "single",
+        zeroRules: ["la-partage", "en-prison"],
+      },
+    };
+
+    this.RED_NUMBERS = [
+      1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
+    ];
+    this.BLACK_NUMBERS = [
+      2, 4, 6, 8, 10, 11, 13, 15, 17, 20, 22, 24, 26, 28, 29, 31, 33, 35,
+    ];
+
+    const numbers = Array.from({ length: 36 }, (_, i) => i + 1);
+    const range = (from, to) =>
+      Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+    // `groups` lists the legal number sets of an inside bet away from the
+    // zeros, `choices` maps the value of a dozen or column bet to its
+    // numbers and `covers` is the fixed set of an even-money bet
+    this.TYPES = {
+      straight: { payout: 35, groups: numbers.map((n) => [n]) },
+      split: {
+        payout: 17,
+        groups: [
+          ...numbers.filter((n) => n % 3 !== 0).map((n) => [n, n + 1]),
+          ...numbers.filter((n) => n <= 33).map((n) => [n, n + 3]),
+        ],
+      },
+      street: {
+        payout: 11,
+        groups: range(0, 11).map((row) => range(row * 3 + 1, row * 3 + 3)),
+      },
+      corner: {
+        payout: 8,
+        groups: numbers
+          .filter((n) => n % 3 !== 0 && n <= 32)
+          .map((n) => [n, n + 1, n + 3, n + 4]),
+      },
+      "six-line": {
+        payout: 5,
+        groups: range(0, 10).map((row) => range(row * 3 + 1, row * 3 + 6)),
+      },
+      "first-four": { payout: 8, groups: [] },
+      "five-number": { payout: 6, groups: [] },
+      dozen: {
+        payout: 2,
+        choices: {
+          1: range(1, 12),
+          2: range(13, 24),
+          3: range(25, 36),
+        },
+      },
+      column: {
+        payout: 2,
+        choices: {
+          1: numbers.filter((n) => n % 3 === 1),
+          2: numbers.filter((n) => n % 3 === 2),
+          3: numbers.filter((n) => n % 3 === 0),
+        },
+      },
+      red: { payout: 1, covers: this.RED_NUMBERS },
+      black: { payout: 1, covers: this.BLACK_NUMBERS },
+      even: { payout: 1, covers: numbers.filter((n) => n % 2 === 0) },
+      odd: { payout: 1, covers: numbers.filter((n) => n % 2 === 1) },
+      low: { payout: 1, covers: range(1, 18) },
+      high: { payout: 1, covers: range(19, 36) },
+    };
+
+    // Bets touching the zeros, which differ between the layouts. The basket
+    // is the first four on a single-zero table and the five-number bet on
+    // an American one.
+    const dz = this.DOUBLE_ZERO;
+    this.ZERO_GROUPS = {
+      single: {
+        straight: [[0]],
+        split: [
+          [0, 1],
+          [0, 2],
+          [0, 3],
+        ],
+        street: [
+          [0, 1, 2],
+          [0, 2, 3],
+        ],
+        "first-four": [[0, 1, 2, 3]],
+      },
+      double: {
+        straight: [[0], [dz]],
+        split: [
+          [0, 1],
+          [0, 2],
+          [0, dz],
+          [dz, 2],
+          [dz, 3],
+        ],
+        street: [
+          [0, 1, 2],
+          [0, dz, 2],
+          [dz, 2, 3],
+        ],
+        "five-number": [[0, dz, 1, 2, 3]],
+      },
+    };
+
+    this.WHEEL_ORDER = {
+      single: [
+        0, 32, 15, 19, 4, 21, 2, 25, 17, 34, 6, 27, 13, 36, 11, 30, 8, 23, 10,
+        5, 24, 16, 33, 1, 20, 14, 31, 9, 22, 18, 29, 7, 28, 12, 35, 3, 26,
+      ],
+      double: [
+        0,
+        28,
+        9,
+        26,
+        30,
+        11,
+        7,
+        20,
+        32,
+        17,
+        5,
+        22,
+        34,
+        15,
+        3,
+        24,
+        36,
+        13,
+        1,
+        dz,
+        27,
+        10,
+        25,
+        29,
+        12,
+        8,
+        19,
+        31,
+        18,
+        6,
+        21,
+        33,
+        16,
+        4,
+        23,
+        35,
+        14,
+        2,
+      ],
+    };
+
+    // The sectors are placed as these chips, one unit each; Voisins puts
+    // two on the 0-2-3 trio and on the 25-29 corner
+    this.ANNOUNCED = {
+      voisins: {
+        name: "Voisins du Zéro",
+        chips: [
+          ["street", [0, 2, 3]],
+          ["street", [0, 2, 3]],
+          ["split", [4, 7]],
+          ["split", [12, 15]],
+          ["split", [18, 21]],
+          ["split", [19, 22]],
+          ["split", [32, 35]],
+          ["corner", [25, 26, 28, 29]],
+          ["corner", [25, 26, 28, 29]],
+        ],
+      },
+      tiers: {
+        name: "Tiers du Cylindre",
+        chips: [
+          ["split", [5, 8]],
+          ["split", [10, 11]],
+          ["split", [13, 16]],
+          ["split", [23, 24]],
+          ["split", [27, 30]],
+          ["split", [33, 36]],
+        ],
+      },
+      orphelins: {
+        name: "Orphelins",
+        chips: [
+          ["straight", [1]],
+          ["split", [6, 9]],
+          ["split", [14, 17]],
+          ["split", [17, 20]],
+          ["split", [31, 34]],
+        ],
+      },
+      "jeu-zero": {
+        name: "Jeu Zéro",
+        chips: [
+          ["split", [0, 3]],
+          ["split", [12, 15]],
+          ["split", [32, 35]],
+          ["straight", [26]],
+        ],
+      },
+      // A number and `count` pockets either side of it on the wheel
+      neighbours: { name: "Neighbours", maxCount: 9 },
+    };
+
+    // Names older clients send
+    this.ALIASES = {
+      number: "straight",
+      line: "six-line",
+      "1-18": "low",
+      "19-36": "high",
+      "voisins-du-zero": "voisins",
+      "tiers-du-cylindre": "tiers",
+      "zero-game": "jeu-zero",
+      neighbors: "neighbours",
+    };
+
+    this.legal = {};
+    for (const [layout, zeroGroups] of Object.entries(this.ZERO_GROUPS)) {
+      this.legal[layout] = {};
+      for (const [type, { groups }] of Object.entries(this.TYPES)) {
+        if (!groups) continue;
+        this.legal[layout][type] = new Set(
+          [...groups, ...(zeroGroups[type] || [])].map((g) => this.groupKey(g))
+        );
+      }
+    }
+  }
+
+  groupKey(numbers) {
+    return [...numbers].sort((a, b) => a - b).join("-");
+  }
+
+  getWheel(wheel = "european") {
+    const definition = this.WHEELS[wheel];
+    if (!definition) {
+      throw new Error(
+        `Wheel must be one of: ${Object.keys(this.WHEELS).join(", ")}`
+      );
+    }
+    return definition;
+  }
+
+  // French tables default to La Partage; the other wheels have no rule
+  assertWheel(wheel = "european", zeroRule = null) {
+    const { zeroRules } = this.getWheel(wheel);
+    const rule = zeroRule || zeroRules[0] || null;
+
+    if (rule && !zeroRules.includes(rule)) {
+      throw new Error(
+        zeroRules.length
+          ? `Zero rule must be one of: ${zeroRules.join(", ")}`
+          : `The ${wheel} wheel has no zero rule`
+      );
+    }
+    return { wheel, zeroRule: rule };
+  }
+
+  isZero(number) {
+    return number === 0 || number === this.DOUBLE_ZERO;
+  }
+
+  // "00" for the double zero
+  label(number) {
+    return number === this.DOUBLE_ZERO ? "00" : String(number);
+  }
+
+  parseNumber(value) {
+    return value === "00" ? this.DOUBLE_ZERO : Number(value);
+  }
+
+  resolveType(betType, wheel = "european") {
+    if (betType === "basket") {
+      return this.getWheel(wheel).layout === "double"
+        ? "five-number"
+        : "first-four";
+    }
+    return this.ALIASES[betType] || betType;
+  }
+
+  // Canonical type and the numbers the bet covers; throws on anything that
+  // is not a bet on the wheel's layout
+  normalize(betType, value, wheel = "european") {
+    const type = this.resolveType(betType, wheel);
+    const definition = this.TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown bet type: ${betType}`);
+    }
+
+    if (definition.covers) {
+      return { type, numbers: [...definition.covers] };
+    }
+
+    if (definition.choices) {
+      const numbers = definition.choices[value];
+      if (!numbers) {
+        throw new Error(`A ${type} bet must name 1, 2 or 3`);
+      }
+      return { type, numbers: [...numbers] };
+    }
+
+    const { layout } = this.getWheel(wheel);
+    const named = Array.isArray(value) ? value : [value];
+    const numbers = named.map((n) => this.parseNumber(n));
+    if (!this.legal[layout][type].has(this.groupKey(numbers))) {
+      throw new Error(`${named.join(", ")} is not a legal ${type} bet`);
+    }
+    return { type, numbers: numbers.sort((a, b) => a - b) };
+  }
+
+  isAnnounced(betType) {
+    return !!this.ANNOUNCED[this.resolveType(betType)];
+  }
+
+  // A grouped bet: `amount` is the whole stake, split evenly over `chips`.
+  // Neighbours take `{ number, count }` as the value, e.g. { number: 17,
+  // count: 2 } for 17 and the two pockets either side of it.
+  announce(betType, value, amount, wheel = "european") {
+    const type = this.resolveType(betType, wheel);
+    const { name, chips } = this.ANNOUNCED[type];
+    const { layout } = this.getWheel(wheel);
+
+    let placed;
+    if (type === "neighbours") {
+      placed = this.neighbours(value, layout).map((n) => ["straight", [n]]);
+    } else if (layout === "single") {
+      placed = chips;
+    } else {
+      throw new Error(`${name} can only be called on a single-zero wheel`);
+    }
+
+    if (!(amount > 0) || amount % placed.length !== 0) {
+      throw new Error(
+        `${name} is ${placed.length} chips, so the stake must be a multiple of ${placed.length}`
+      );
+    }
+
+    const chipAmount = amount / placed.length;
+    return {
+      type,
+      name,
+      value,
+      amount,
+      chips: placed.map(([chipType, numbers]) => ({
+        type: chipType,
+        numbers,
+        amount: chipAmount,
+      })),
+    };
+  }
+
+  neighbours({ number, count = 2 } = {}, layout = "single") {
+    const order = this.WHEEL_ORDER[layout];
+    const { maxCount } = this.ANNOUNCED.neighbours;
+    const index = order.indexOf(this.parseNumber(number));
+
+    if (index === -1) {
+      throw new Error(`${number} is not on the wheel`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+      throw new Error(`Neighbours must be 1 to ${maxCount} either side`);
+    }
+
+    return Array.from(
+      { length: count * 2 + 1 },
+      (_, i) => order[(index - count + i + order.length) % order.length]
+    );
+  }
+
+  // Limits for a table whose minimum chip is `minBet`. Without a `maxBet`
+  // the table takes only the minimum, as fixed-stake tables always have.
+  resolveLimits({ minBet, maxBet = minBet, typeMax = {}, maxExposure = null }) {
+    if (!(minBet > 0)) {
+      throw new Error("Table minimum must be positive");
+    }
+    if (!(maxBet >= minBet)) {
+      throw new Error("Table maximum must be at least the table minimum");
+    }
+    for (const [type, max] of Object.entries(typeMax)) {
+      if (!this.TYPES[type]) throw new Error(`Unknown bet type: ${type}`);
+      if (!(max >= minBet)) {
+        throw new Error(`Maximum on a ${type} bet must be at least ${minBet}`);
+      }
+    }
+    if (maxExposure !== null && !(maxExposure >= minBet)) {
+      throw new Error(`Maximum stake per spin must be at least ${minBet}`);
+    }
+
+    return { minBet, maxBet, typeMax, maxExposure };
+  }
+
+  // Throws naming the limit that `chips` would break, given the chips the
+  // player already has on the layout this spin
+  checkLimits(limits, placed, chips) {
+    const { minBet, maxBet, typeMax, maxExposure } = limits;
+    const onLayout = [...placed];
+
+    for (const chip of chips) {
+      if (chip.amount < minBet) {
+        throw new Error(`Table minimum is ${minBet} per chip`);
+      }
+      if (chip.amount > maxBet) {
+        throw new Error(`Table maximum is ${maxBet} per chip`);
+      }
+
+      onLayout.push(chip);
+      const max = typeMax[chip.type];
+      if (max !== undefined) {
+        const spot = this.groupKey(chip.numbers);
+        const onSpot = onLayout
+          .filter(
+            (c) => c.type === chip.type && this.groupKey(c.numbers) === spot
+          )
+          .reduce((sum, c) => sum + c.amount, 0);
+        if (onSpot > max) {
+          throw new Error(`Maximum on a ${chip.type} bet is ${max}`);
+        }
+      }
+    }
+
+    const total = onLayout.reduce((sum, chip) => sum + chip.amount, 0);
+    if (maxExposure !== null && total > maxExposure) {
+      throw new Error(`Maximum total stake per spin is ${maxExposure}`);
+    }
+  }
+
+  getPayout(betType, wheel = "european") {
+    return this.TYPES[this.resolveType(betType, wheel)]?.payout || 0;
+  }
+
+  isEvenMoney(betType) {
+    return !!this.TYPES[this.resolveType(betType)]?.covers;
+  }
+
+  isWinner({ type, value, numbers }, winningNumber, wheel = "european") {
+    const covered = numbers || this.normalize(type, value, wheel).numbers;
+    return covered.includes(winningNumber);
+  }
+
+  // { win, multiplier, winAmount, stake, refund, imprisoned } for a bet of
+  // `amount`. `stake` is what comes back with the winnings: the whole bet,
+  // or only the winning chips of an announced bet. `refund` is stake handed
+  // back without a win: half under La Partage, or all of an En Prison bet
+  // that wins its second spin.
+  settle(bet, winningNumber, { wheel = "european", zeroRule = null } = {}) {
+    if (bet.chips) return this.settleGroup(bet, winningNumber, wheel);
+
+    const win = this.isWinner(bet, winningNumber, wheel);
+    const multiplier = this.getPayout(bet.type, wheel);
+    const result = {
+      win,
+      multiplier,
+      winAmount: win ? bet.amount * multiplier : 0,
+      stake: win ? bet.amount : 0,
+      refund: 0,
+      imprisoned: false,
+    };
+
+    if (bet.imprisoned) {
+      return {
+        ...result,
+        win: false,
+        winAmount: 0,
+        stake: 0,
+        refund: win ? bet.amount : 0,
+      };
+    }
+
+    if (this.isZero(winningNumber) && this.isEvenMoney(bet.type)) {
+      // Whole chips only; the house keeps an odd one, as with poker rake
+      if (zeroRule === "la-partage") result.refund = Math.floor(bet.amount / 2);
+      if (zeroRule === "en-prison") result.imprisoned = true;
+    }
+
+    return result;
+  }
+
+  // Announced bets settle chip by chip and report the totals, so the
+  // losing chips' stake stays with the house; none of the chips are even
+  // money, so zero rules never apply
+  settleGroup(bet, winningNumber, wheel) {
+    const chips = bet.chips.map((chip) => ({
+      ...chip,
+      ...this.settle(chip, winningNumber, { wheel }),
+    }));
+    const winAmount = chips.reduce((sum, chip) => sum + chip.winAmount, 0);
+    const stake = chips.reduce((sum, chip) => sum + chip.stake, 0);
+
+    return {
+      win: chips.some((chip) => chip.win),
+      multiplier: null,
+      winAmount,
+      stake,
+      refund: 0,
+      imprisoned: false,
+      chips,
+    };
+  }
+}
+
+export default new RouletteBets();
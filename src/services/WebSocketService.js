@@ -1,13 +1,27 @@
 import { WebSocketServer } from "ws";
+import jwt from "jsonwebtoken";
+import config from "../config/config.js";
 import { logger } from "../utils/logger.js";
 import redisService from "./RedisService.js";
+import PokerGameEngine from "./PokerGameEngine.js";
+import PokerService from "./EnhancedPokerService.js";
 
 class WebSocketService {
   constructor() {
     this.wss = null;
     this.clients = new Map(); // Map of client connections
     this.roomSubscriptions = new Map(); // Map of room subscriptions
+    this.spectatorSubscriptions = new Map(); // Map of poker tables watched
     this.playerPresence = new Map(); // Map of player presence status
+    this.pokerEngine = new PokerGameEngine(); // Builds each seat's view
+    this.pokerService = null; // Created on first use; it imports this module
+  }
+
+  getPokerService() {
+    if (!this.pokerService) {
+      this.pokerService = new PokerService();
+    }
+    return this.pokerService;
   }
 
   initialize(server) {
@@ -60,11 +74,17 @@ class WebSocketService {
     try {
       switch (data.type) {
         case "subscribe":
-          await this.handleSubscribe(clientId, data.roomId);
+          await this.handleSubscribe(clientId, data.roomId, data.token);
           break;
         case "unsubscribe":
           await this.handleUnsubscribe(clientId, data.roomId);
           break;
+        case "spectate":
+          await this.handleSpectate(clientId, data.roomId, data);
+          break;
+        case "stop_spectating":
+          await this.handleStopSpectating(clientId, data.roomId);
+          break;
         case "game_action":
           await this.handleGameAction(clientId, data);
           break;
@@ -89,7 +109,9 @@ class WebSocketService {
     }
   }
 
-  async handleSubscribe(clientId, roomId) {
+  // Poker rooms take the player's `token`: only seated players subscribe
+  // and each is sent their own view of the table
+  async handleSubscribe(clientId, roomId, token) {
     const ws = this.clients.get(clientId);
     if (!ws) return;
 
@@ -99,6 +121,9 @@ class WebSocketService {
       const redisChannel = isPokerRoom
         ? `poker:room:${roomId}`
         : `room:${roomId}`;
+      const playerId = isPokerRoom
+        ? await this.authorizeSeat(roomId, token)
+        : null;
 
       // Subscribe to Redis channel for this room
       const subscriber = await redisService.subscribe(
@@ -107,7 +132,7 @@ class WebSocketService {
           this.sendToClient(ws, {
             type: "room_update",
             roomId,
-            data: message,
+            data: isPokerRoom ? this.toSeatView(message, playerId) : message,
           });
         }
       );
@@ -123,7 +148,10 @@ class WebSocketService {
       if (isPokerRoom) {
         roomState = await redisService.client.get(`poker:room:${roomId}`);
         if (roomState) {
-          roomState = JSON.parse(roomState);
+          roomState = this.pokerEngine.createPlayerView(
+            JSON.parse(roomState),
+            playerId
+          );
         }
       } else {
         roomState = await redisService.getGameRoom(roomId);
@@ -148,6 +176,36 @@ class WebSocketService {
     }
   }
 
+  // The poker room channel carries the whole table, deck and hole cards
+  // included, so it is never forwarded as it is
+  async authorizeSeat(roomId, token) {
+    const user = this.verifyToken(token);
+    const stored = await redisService.client.get(`poker:room:${roomId}`);
+    if (!stored) {
+      throw new Error("Room not found");
+    }
+    if (!JSON.parse(stored).players.some((p) => p.id === user.id)) {
+      throw new Error("Only seated players subscribe; spectate instead");
+    }
+    return user.id;
+  }
+
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, config.jwt.secret);
+    } catch {
+      throw new Error("Poker tables need a valid token");
+    }
+  }
+
+  toSeatView(message, playerId) {
+    const view = this.pokerEngine.createSpectatorEvent(message);
+    if (message.room?.players) {
+      view.room = this.pokerEngine.createPlayerView(message.room, playerId);
+    }
+    return view;
+  }
+
   async handleUnsubscribe(clientId, roomId) {
     const ws = this.clients.get(clientId);
     if (!ws) return;
@@ -175,6 +233,96 @@ class WebSocketService {
     }
   }
 
+  // Spectators watch a poker table without a seat. Their channel only
+  // carries the card-safe view published by the poker service. Private
+  // tables take a `password` or `inviteToken`, as joining does.
+  async handleSpectate(clientId, roomId, { token, password, inviteToken }) {
+    const ws = this.clients.get(clientId);
+    if (!ws) return;
+
+    try {
+      if (!roomId || !roomId.startsWith("poker_")) {
+        throw new Error("Only poker tables can be spectated");
+      }
+
+      const pokerService = this.getPokerService();
+      const viewerId = token ? this.verifyToken(token).id : null;
+      await pokerService.assertSpectatorAccess(
+        await pokerService.getRoom(roomId),
+        viewerId,
+        { password, inviteToken }
+      );
+
+      const subscriber = await redisService.subscribe(
+        `poker:spectate:${roomId}`,
+        (message) => {
+          this.sendToClient(ws, {
+            type: "room_update",
+            roomId,
+            data: message,
+          });
+        }
+      );
+
+      if (!this.spectatorSubscriptions.has(clientId)) {
+        this.spectatorSubscriptions.set(clientId, new Map());
+      }
+      this.spectatorSubscriptions.get(clientId).set(roomId, subscriber);
+      await redisService.client.sadd(`poker:spectators:${roomId}`, clientId);
+
+      const view = await redisService.client.get(
+        `poker:spectate:${roomId}:state`
+      );
+      if (view) {
+        this.sendToClient(ws, {
+          type: "room_state",
+          roomId,
+          data: JSON.parse(view),
+        });
+      }
+
+      this.sendToClient(ws, {
+        type: "spectating",
+        roomId,
+      });
+    } catch (error) {
+      logger.error("Error spectating room:", error);
+      this.sendError(ws, "Failed to spectate room");
+    }
+  }
+
+  async handleStopSpectating(clientId, roomId) {
+    const ws = this.clients.get(clientId);
+    if (!ws) return;
+
+    try {
+      await this.removeSpectator(clientId, roomId);
+
+      this.sendToClient(ws, {
+        type: "stopped_spectating",
+        roomId,
+      });
+    } catch (error) {
+      logger.error("Error stopping spectating:", error);
+      this.sendError(ws, "Failed to stop spectating");
+    }
+  }
+
+  async removeSpectator(clientId, roomId) {
+    const subscriptions = this.spectatorSubscriptions.get(clientId);
+    if (!subscriptions || !subscriptions.has(roomId)) return;
+
+    const subscriber = subscriptions.get(roomId);
+    await subscriber.unsubscribe(`poker:spectate:${roomId}`);
+    await subscriber.quit();
+    subscriptions.delete(roomId);
+    await redisService.client.srem(`poker:spectators:${roomId}`, clientId);
+
+    if (subscriptions.size === 0) {
+      this.spectatorSubscriptions.delete(clientId);
+    }
+  }
+
   async handleGameAction(clientId, data) {
     const ws = this.clients.get(clientId);
     if (!ws) return;
@@ -414,6 +562,19 @@ class WebSocketService {
         this.roomSubscriptions.delete(clientId);
       }
 
+      // Stop spectating so the table's spectator count drops
+      const watched = this.spectatorSubscriptions.get(clientId);
+      for (const roomId of watched ? [...watched.keys()] : []) {
+        try {
+          await this.removeSpectator(clientId, roomId);
+        } catch (error) {
+          logger.error(
+            `Error cleaning up spectator for room ${roomId}:`,
+            error
+          );
+        }
+      }
+
       // Clean up client data
       this.clients.delete(clientId);
       this.playerPresence.delete(clientId);
@@ -473,6 +634,10 @@ class WebSocketService {
     redisService.publish(redisChannel, data);
   }
 
+  broadcastToSpectators(roomId, data) {
+    redisService.publish(`poker:spectate:${roomId}`, data);
+  }
+
   async cleanup() {
     try {
       // Clean up all subscriptions
@@ -497,6 +662,14 @@ class WebSocketService {
         }
       }
       this.roomSubscriptions.clear();
+
+      for (const clientId of [...this.spectatorSubscriptions.keys()]) {
+        for (const roomId of [
+          ...this.spectatorSubscriptions.get(clientId).keys(),
+        ]) {
+          await this.removeSpectator(clientId, roomId);
+        }
+      }
       this.clients.clear();
       this.playerPresence.clear();
     } catch (error) {
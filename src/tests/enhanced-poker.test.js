@@ -146,7 +146,10 @@ describe("EnhancedPokerService", () => {
         { rank: "10", suit: "hearts" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = pokerService.engine.evaluateHand(
+        playerHand,
+        communityCards
+      );
       expect(result.name).to.equal("Royal Flush");
       expect(result.score).to.be.greaterThan(9000);
     });
@@ -162,7 +165,10 @@ describe("EnhancedPokerService", () => {
         { rank: "K", suit: "diamonds" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = pokerService.engine.evaluateHand(
+        playerHand,
+        communityCards
+      );
       expect(result.name).to.equal("Full House");
       expect(result.score).to.be.greaterThan(6000);
     });
@@ -178,7 +184,10 @@ describe("EnhancedPokerService", () => {
         { rank: "9", suit: "diamonds" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = pokerService.engine.evaluateHand(
+        playerHand,
+        communityCards
+      );
       expect(result.name).to.equal("Pair");
       expect(result.score).to.be.greaterThan(1000);
     });
@@ -0,0 +1,70 @@
+import { expect } from "chai";
+import fairness from "../services/FairnessService.js";
+import PokerGameEngine from "../services/PokerGameEngine.js";
+
+describe("FairnessService", () => {
+  const seeds = {
+    serverSeed: "a".repeat(64),
+    clientSeed: "user1:lucky",
+    nonce: 1,
+  };
+
+  it("should publish a hash that matches the revealed seed", () => {
+    const { serverSeed, serverSeedHash } = fairness.createSeed();
+
+    expect(serverSeed).to.have.length(64);
+    expect(fairness.hashSeed(serverSeed)).to.equal(serverSeedHash);
+    expect(fairness.createSeed().serverSeed).to.not.equal(serverSeed);
+  });
+
+  it("should shuffle the same way for the same seeds", () => {
+    const deck = new PokerGameEngine().createDeck();
+
+    const first = fairness.shuffle(deck, seeds);
+    const second = fairness.shuffle(deck, seeds);
+    const nextHand = fairness.shuffle(deck, { ...seeds, nonce: 2 });
+
+    expect(first).to.deep.equal(second);
+    expect(first).to.not.deep.equal(nextHand);
+    expect(first).to.have.deep.members(deck);
+  });
+
+  it("should combine client seeds independently of submission order", () => {
+    expect(fairness.combineClientSeeds({ b: "2", a: "1" })).to.equal("a:1,b:2");
+    expect(fairness.combineClientSeeds({})).to.equal("");
+  });
+
+  it("should recompute the deck order and flag a wrong hash", () => {
+    const result = fairness.verify({
+      game: "poker",
+      serverSeedHash: fairness.hashSeed(seeds.serverSeed),
+      ...seeds,
+    });
+
+    expect(result.hashMatches).to.equal(true);
+    expect(result.deck).to.deep.equal(
+      fairness.shuffle(new PokerGameEngine().createDeck(), seeds)
+    );
+    expect(
+      fairness.verify({ game: "poker", ...seeds, serverSeedHash: "00" })
+        .hashMatches
+    ).to.equal(false);
+  });
+
+  it("should recompute a roulette number on the wheel", () => {
+    const numbers = [];
+    for (let nonce = 1; nonce <= 200; nonce++) {
+      numbers.push(fairness.verify({ game: "roulette", ...seeds, nonce }));
+    }
+
+    expect(numbers.every((r) => r.winningNumber >= 0 && r.winningNumber <= 36))
+      .to.be.true;
+    expect(new Set(numbers.map((r) => r.winningNumber)).size).to.be.above(20);
+    expect(numbers[0].winningNumber).to.equal(
+      fairness.rouletteNumber({ ...seeds, nonce: 1 })
+    );
+    expect(() => fairness.verify({ game: "dice", ...seeds })).to.throw(
+      "Unknown game: dice"
+    );
+  });
+});
@@ -0,0 +1,214 @@
+import { expect } from "chai";
+import rouletteService from "../services/MultiplayerRouletteService.js";
+import redisService from "../services/RedisService.js";
+import webSocketService from "../services/WebSocketService.js";
+import scheduler from "../services/PhaseScheduler.js";
+import rouletteBets from "../services/RouletteBets.js";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+
+// In-memory stand-in for the ioredis calls game state goes through. Hash
+// fields are stored as strings, as Redis does (null and undefined become "")
+const createRedis = () => {
+  const hashes = {};
+  const strings = {};
+  return {
+    hmset: async (key, values) => {
+      hashes[key] = { ...hashes[key] };
+      for (const [field, value] of Object.entries(values)) {
+        hashes[key][field] = value == null ? "" : String(value);
+      }
+      return "OK";
+    },
+    hgetall: async (key) => ({ ...hashes[key] }),
+    expire: async () => 1,
+    sadd: async () => 1,
+    set: async (key, value) => {
+      strings[key] = value;
+      return "OK";
+    },
+    get: async (key) => strings[key] ?? null,
+  };
+};
+
+describe("Multiplayer Roulette", () => {
+  const stubs = [
+    [redisService, "client"],
+    [webSocketService, "broadcastToRoom"],
+    [scheduler, "schedule"],
+    [rouletteService, "updateGameStatus"],
+    [rouletteService, "processBetTransaction"],
+    [rouletteService, "processGameResults"],
+    [Transaction, "createTransaction"],
+    [Transaction, "updateTransactionStatus"],
+    [User, "updateBalance"],
+  ];
+  const originals = stubs.map(([target, key]) => target[key]);
+  let settled;
+  let ledger;
+
+  beforeEach(() => {
+    settled = [];
+    ledger = [];
+    redisService.client = createRedis();
+    webSocketService.broadcastToRoom = () => {};
+    scheduler.schedule = async () => {};
+    rouletteService.updateGameStatus = async () => {};
+    rouletteService.processBetTransaction = async () => {};
+    rouletteService.processGameResults = async (gameId, results) =>
+      settled.push(...results);
+    Transaction.createTransaction = async (type, amount, userId) => {
+      ledger.push({ id: ledger.length + 1, type, amount, userId });
+      return ledger[ledger.length - 1];
+    };
+    Transaction.updateTransactionStatus = async (id, status) => {
+      ledger[id - 1].status = status;
+    };
+    User.updateBalance = async (userId, { chipsDelta }) => {
+      ledger[ledger.length - 1].credited = chipsDelta;
+    };
+  });
+
+  afterEach(() => {
+    stubs.forEach(([target, key], i) => {
+      target[key] = originals[i];
+    });
+  });
+
+  const spinningGame = (overrides = {}) => ({
+    gameId: "game_1",
+    phase: rouletteService.gamePhases.SPINNING,
+    players: ["p1", "p2"],
+    bets: {},
+    currentRound: 1,
+    winningNumber: 0,
+    clientSeeds: {},
+    createdAt: Date.now(),
+    betAmount: 10,
+    maxPlayers: 8,
+    wheel: "european",
+    zeroRule: null,
+    heldBets: {},
+    ...overrides,
+  });
+
+  const spin = async (state) => {
+    await redisService.setGameState(state.gameId, state);
+    await redisService.client.set(
+      `roulette:fairness:${state.gameId}`,
+      JSON.stringify({ serverSeed: "seed", serverSeedHash: "hash" })
+    );
+    await rouletteService.revealResults(state.gameId);
+  };
+
+  it("should keep the wheel settings through Redis", async () => {
+    await redisService.setGameState("game_1", spinningGame());
+    const state = await redisService.getGameState("game_1");
+
+    expect(state.wheel).to.equal("european");
+    expect(state.zeroRule).to.equal(null);
+    expect(state.heldBets).to.deep.equal({});
+  });
+
+  it("should check bets against the table limits stored in Redis", async () => {
+    await redisService.setGameState(
+      "game_1",
+      spinningGame({
+        phase: rouletteService.gamePhases.BETTING,
+        limits: rouletteBets.resolveLimits({
+          minBet: 10,
+          maxBet: 100,
+          typeMax: { straight: 20 },
+          maxExposure: 150,
+        }),
+      })
+    );
+    expect((await redisService.getGameState("game_1")).limits).to.deep.equal({
+      minBet: 10,
+      maxBet: 100,
+      typeMax: { straight: 20 },
+      maxExposure: 150,
+    });
+
+    const bet = (type, value, amount) =>
+      rouletteService.placeBet("game_1", "p1", type, value, amount);
+    const rejects = (promise, message) =>
+      promise.then(
+        () => expect.fail(`expected "${message}"`),
+        (error) => expect(error.message).to.equal(message)
+      );
+
+    await bet("red", undefined, 100);
+    await bet("straight", 17, 20);
+    await rejects(bet("straight", 17, 10), "Maximum on a straight bet is 20");
+    await rejects(bet("black", undefined, 5), "Table minimum is 10 per chip");
+    await rejects(bet("dozen", 1, 40), "Maximum total stake per spin is 150");
+
+    const { bets } = await redisService.getGameState("game_1");
+    expect(bets.p1.map((b) => b.amount)).to.deep.equal([100, 20]);
+  });
+
+  it("should hold En Prison bets over to the next spin", async () => {
+    const red = { ...rouletteBets.normalize("red"), amount: 10 };
+    await spin(
+      spinningGame({
+        wheel: "french",
+        zeroRule: "en-prison",
+        bets: { p1: [red] },
+      })
+    );
+    expect(settled[0]).to.include({ userId: "p1", imprisoned: true });
+
+    await rouletteService.startNextRoundOrFinish("game_1");
+    const state = await redisService.getGameState("game_1");
+    expect(state.zeroRule).to.equal("en-prison");
+    expect(state.bets.p1).to.have.length(1);
+    expect(state.bets.p1[0]).to.include({ type: "red", imprisoned: true });
+
+    // The held bet sits alongside new ones
+    await rouletteService.placeBet("game_1", "p2", "black", undefined, 10);
+    const { bets } = await redisService.getGameState("game_1");
+    expect(Object.keys(bets)).to.deep.equal(["p1", "p2"]);
+  });
+
+  it("should pay back only the winning chips of an announced bet", async () => {
+    await spin(
+      spinningGame({
+        winningNumber: 4,
+        bets: { p1: [rouletteBets.announce("voisins", null, 90)] },
+      })
+    );
+
+    // One 10 chip on the 4/7 split wins 17 to 1; the other 80 is lost
+    const [result] = settled;
+    expect(result).to.include({ win: true, betAmount: 10, amount: 170 });
+    expect(result.betAmount + result.amount).to.equal(180);
+    expect(result.stake).to.equal(90);
+  });
+
+  it("should credit La Partage refunds as refund transactions", async () => {
+    await spin(
+      spinningGame({
+        wheel: "french",
+        zeroRule: "la-partage",
+        bets: {
+          p1: [{ ...rouletteBets.normalize("red"), amount: 15 }],
+          p2: [{ ...rouletteBets.normalize("straight", 17), amount: 10 }],
+        },
+      })
+    );
+
+    // Half of 15, rounded down to whole chips
+    expect(settled[0]).to.include({ userId: "p1", refund: 7 });
+    expect(ledger).to.deep.equal([
+      {
+        id: 1,
+        type: "refund",
+        amount: 7,
+        userId: "p1",
+        credited: 7,
+        status: "completed",
+      },
+    ]);
+  });
+});
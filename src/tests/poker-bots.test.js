@@ -0,0 +1,119 @@
+import { expect } from "chai";
+import pokerBots from "../services/PokerBotStrategy.js";
+import PokerGameEngine from "../services/PokerGameEngine.js";
+
+// Small seeded generator so decisions are repeatable
+const seeded = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed / 2 ** 31;
+};
+
+describe("Poker Bots", () => {
+  let engine;
+
+  const card = (rank, suit) => ({ rank, suit });
+
+  const seatBots = (strategies, options = {}) => {
+    let room = engine.createRoomState({
+      id: "poker_bots",
+      name: "Practice Room",
+      creatorId: "user1",
+      practice: true,
+      ...options,
+    });
+    strategies.forEach((botStrategy, index) => {
+      ({ room } = engine.addPlayer(room, {
+        id: `bot_${index + 1}`,
+        username: `Bot ${index + 1}`,
+        chips: 1000,
+        botStrategy,
+      }));
+    });
+    return room;
+  };
+
+  beforeEach(() => {
+    engine = new PokerGameEngine();
+  });
+
+  it("should flag bots and keep them off real-chip tables", () => {
+    const room = seatBots(["pot-odds"]);
+
+    expect(room.players[0]).to.include({
+      isBot: true,
+      botStrategy: "pot-odds",
+    });
+    expect(() => seatBots(["pot-odds"], { practice: false })).to.throw(
+      "Bots are not allowed at this table"
+    );
+    expect(() =>
+      seatBots(["pot-odds"], { practice: false, allowBots: true })
+    ).to.not.throw();
+    expect(() => pokerBots.assertStrategy("maniac")).to.throw(
+      "Bot strategy must be one of: tight-passive, loose-aggressive, pot-odds"
+    );
+  });
+
+  it("should raise a strong hand and fold a weak one to a raise", () => {
+    let { room } = engine.startHand(
+      seatBots(["pot-odds", "tight-passive", "pot-odds"]),
+      engine.createDeck()
+    );
+    room.players[0].hand = [card("A", "spades"), card("A", "hearts")];
+    room.players[1].hand = [card("7", "clubs"), card("2", "diamonds")];
+
+    const opening = pokerBots.decide(room, "bot_1", { random: seeded(1) });
+    expect(opening.action).to.equal("raise");
+    expect(opening.amount).to.be.within(10, 990);
+
+    ({ room } = engine.applyAction(room, "bot_1", "raise", 90));
+    expect(
+      pokerBots.decide(room, "bot_2", { random: seeded(2) })
+    ).to.deep.equal({ action: "fold", amount: 0 });
+  });
+
+  it("should only bluff for the strategies that do", () => {
+    const { room } = engine.startHand(
+      seatBots(["tight-passive", "loose-aggressive", "pot-odds"], {
+        bettingStructure: "fixed-limit",
+      }),
+      engine.createDeck()
+    );
+    room.players[1].hand = [card("7", "clubs"), card("2", "diamonds")];
+
+    // Fixed-limit raises are always the small bet preflop
+    expect(
+      pokerBots.decide(room, "bot_2", { random: () => 0.01, samples: 20 })
+    ).to.deep.equal({ action: "raise", amount: 10 });
+    expect(
+      pokerBots.decide(room, "bot_1", { random: () => 0.01, samples: 20 })
+        .action
+    ).to.not.equal("raise");
+  });
+
+  it("should only make legal decisions through a whole hand", () => {
+    const random = seeded(42);
+    let { room, events } = engine.startHand(
+      seatBots(["tight-passive", "loose-aggressive", "pot-odds"], {
+        bettingStructure: "pot-limit",
+      }),
+      engine.createDeck()
+    );
+
+    for (let turn = 0; turn < 50 && room.status === "playing"; turn++) {
+      const { action, amount } = pokerBots.decide(room, room.currentTurn, {
+        random,
+        samples: 30,
+      });
+      ({ room, events } = engine.applyAction(
+        room,
+        room.currentTurn,
+        action,
+        amount
+      ));
+    }
+
+    expect(events.some((e) => e.type === "showdown")).to.be.true;
+    expect(room.players.reduce((sum, p) => sum + p.chips, 0)).to.equal(3000);
+  });
+});
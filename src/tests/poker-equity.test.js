@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import pokerEquity from "../services/PokerEquityService.js";
+
+// Small seeded generator so the Monte Carlo runs are repeatable
+const seeded = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed / 2 ** 31;
+};
+
+describe("Poker Equity", () => {
+  it("should enumerate every river when the turn is out", () => {
+    const result = pokerEquity.calculate({
+      hands: ["AhKh", "QsQd"],
+      board: "Qh7h2c3s",
+    });
+
+    // Nine hearts left, but 2h and 3h fill up the queens
+    expect(result).to.include({ method: "exact", runouts: 44 });
+    expect(result.players).to.deep.equal([
+      { hand: "AhKh", combos: 1, win: 15.91, tie: 0, equity: 15.91 },
+      { hand: "QsQd", combos: 1, win: 84.09, tie: 0, equity: 84.09 },
+    ]);
+  });
+
+  it("should split the pot when the board plays", () => {
+    const { players } = pokerEquity.calculate({
+      hands: [
+        ["2c", "3d"],
+        ["4c", "5d"],
+      ],
+      board: ["As", "Ks", "Qs", "Js", "10s"],
+    });
+
+    expect(players.map((p) => [p.win, p.tie, p.equity])).to.deep.equal([
+      [0, 100, 50],
+      [0, 100, 50],
+    ]);
+  });
+
+  it("should expand ranges and drop combos that use known cards", () => {
+    const { players } = pokerEquity.calculate({
+      hands: ["QQ+", "AKs, TT-99"],
+      board: "2c7d9h",
+      dead: "Ac",
+      samples: 100,
+      random: seeded(3),
+    });
+
+    // The dead ace takes three AA combos and AcKc, the board's 9 three 99s
+    expect(players.map((p) => p.combos)).to.deep.equal([15, 12]);
+  });
+
+  it("should sample when enumerating would be too slow", () => {
+    const result = pokerEquity.calculate({
+      hands: ["AsAh", "KsKh"],
+      samples: 1000,
+      random: seeded(7),
+    });
+
+    expect(result).to.include({ method: "monte-carlo", runouts: 1000 });
+    expect(result.players[0].equity).to.be.within(75, 90);
+    expect(result.players[0].equity + result.players[1].equity).to.be.closeTo(
+      100,
+      0.02
+    );
+  });
+
+  it("should cap the samples to the evaluation budget", () => {
+    const result = pokerEquity.calculate({
+      hands: Array(10).fill("random"),
+      samples: 10000,
+      random: seeded(11),
+    });
+
+    // Ten hands a sample, every sample dealt despite the overlapping ranges
+    expect(result).to.include({ method: "monte-carlo", runouts: 500 });
+    const total = result.players.reduce((sum, p) => sum + p.equity, 0);
+    expect(total).to.be.closeTo(100, 0.1);
+  });
+
+  it("should reject bad input", () => {
+    expect(() => pokerEquity.calculate({ hands: ["AKx", "QQ"] })).to.throw(
+      "Invalid hand range: AKx"
+    );
+    expect(() =>
+      pokerEquity.calculate({ hands: ["AhKd", "QQ"], board: "AhQs2c" })
+    ).to.throw("No hands left in range: AhKd");
+    expect(() =>
+      pokerEquity.calculate({ hands: ["AK", "QQ"], board: "2c2c3d" })
+    ).to.throw("Duplicate card: 2c");
+    expect(() =>
+      pokerEquity.calculate({ hands: ["AK", "QQ"], variant: "omaha" })
+    ).to.throw("Ranges are only for two-card hands, not: AK");
+    expect(() =>
+      pokerEquity.calculate({
+        hands: ["AhKd", "2c3c"],
+        variant: "short-deck",
+      })
+    ).to.throw("Card not in the deck: 2c");
+  });
+});
@@ -1,5 +1,8 @@
 import { expect } from "chai";
 import EnhancedPokerService from "../services/EnhancedPokerService.js";
+import PokerGameEngine from "../services/PokerGameEngine.js";
+import handHistory from "../services/PokerHandHistory.js";
+import User from "../models/User.js";
 
 // Mock Redis and WebSocket services
 const mockRedis = {
@@ -20,9 +23,11 @@ EnhancedPokerService.prototype.ws = mockWebSocket;
 
 describe("EnhancedPokerService Logic Tests", () => {
   let pokerService;
+  let engine;
 
   beforeEach(() => {
     pokerService = new EnhancedPokerService();
+    engine = new PokerGameEngine();
   });
 
   describe("Room Creation", () => {
@@ -174,13 +179,13 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1",
       };
 
-      pokerService.moveToNextPlayer(room);
+      engine.moveToNextPlayer(room);
       expect(room.currentTurn).to.equal("user2");
 
-      pokerService.moveToNextPlayer(room);
+      engine.moveToNextPlayer(room);
       expect(room.currentTurn).to.equal("user3");
 
-      pokerService.moveToNextPlayer(room);
+      engine.moveToNextPlayer(room);
       expect(room.currentTurn).to.equal("user1"); // Should wrap around
     });
 
@@ -194,7 +199,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1",
       };
 
-      pokerService.moveToNextPlayer(room);
+      engine.moveToNextPlayer(room);
       expect(room.currentTurn).to.equal("user3"); // Should skip user2
     });
 
@@ -207,7 +212,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1",
       };
 
-      pokerService.moveToNextPlayer(room);
+      engine.moveToNextPlayer(room);
       expect(room.currentTurn).to.equal("user1"); // Should stay on single active player
     });
   });
@@ -223,7 +228,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1", // Back to the bettor
       };
 
-      const isComplete = pokerService.isRoundComplete(room);
+      const isComplete = engine.isRoundComplete(room);
       expect(isComplete).to.be.true;
     });
 
@@ -237,7 +242,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1",
       };
 
-      const isComplete = pokerService.isRoundComplete(room);
+      const isComplete = engine.isRoundComplete(room);
       expect(isComplete).to.be.true;
     });
 
@@ -251,7 +256,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user1",
       };
 
-      const isComplete = pokerService.isRoundComplete(room);
+      const isComplete = engine.isRoundComplete(room);
       expect(isComplete).to.be.true;
     });
 
@@ -265,7 +270,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         currentTurn: "user2",
       };
 
-      const isComplete = pokerService.isRoundComplete(room);
+      const isComplete = engine.isRoundComplete(room);
       expect(isComplete).to.be.false;
     });
   });
@@ -282,7 +287,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         { suit: "hearts", rank: "10" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = engine.evaluateHand(playerHand, communityCards);
 
       expect(result.name).to.equal("Royal Flush");
       expect(result.score).to.be.greaterThan(9000);
@@ -299,7 +304,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         { suit: "hearts", rank: "4" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = engine.evaluateHand(playerHand, communityCards);
 
       expect(result.name).to.equal("Pair");
       expect(result.score).to.be.greaterThan(1000);
@@ -312,11 +317,124 @@ describe("EnhancedPokerService Logic Tests", () => {
         { suit: "clubs", rank: "3" },
       ];
 
-      const result = pokerService.evaluateHand(playerHand, communityCards);
+      const result = engine.evaluateHand(playerHand, communityCards);
 
       expect(result.name).to.equal("Incomplete Hand");
       expect(result.score).to.equal(0);
     });
+
+    it("should use the kicker to break a two pair tie", () => {
+      const board = [
+        { suit: "hearts", rank: "A" },
+        { suit: "diamonds", rank: "A" },
+        { suit: "clubs", rank: "K" },
+        { suit: "spades", rank: "K" },
+        { suit: "hearts", rank: "2" },
+      ];
+
+      const queenKicker = engine.evaluateHand(
+        [
+          { suit: "clubs", rank: "Q" },
+          { suit: "clubs", rank: "3" },
+        ],
+        board
+      );
+      const jackKicker = engine.evaluateHand(
+        [
+          { suit: "spades", rank: "J" },
+          { suit: "spades", rank: "4" },
+        ],
+        board
+      );
+
+      expect(queenKicker.name).to.equal("Two Pair");
+      expect(queenKicker.values).to.deep.equal([14, 13, 12]);
+      expect(engine.compareHands(queenKicker, jackKicker)).to.be.above(0);
+      expect(queenKicker.score).to.be.greaterThan(jackKicker.score);
+    });
+
+    it("should detect a split when the board plays", () => {
+      const board = [
+        { suit: "hearts", rank: "10" },
+        { suit: "diamonds", rank: "J" },
+        { suit: "clubs", rank: "Q" },
+        { suit: "spades", rank: "K" },
+        { suit: "hearts", rank: "A" },
+      ];
+
+      const first = engine.evaluateHand(
+        [
+          { suit: "clubs", rank: "2" },
+          { suit: "clubs", rank: "3" },
+        ],
+        board
+      );
+      const second = engine.evaluateHand(
+        [
+          { suit: "spades", rank: "4" },
+          { suit: "diamonds", rank: "9" },
+        ],
+        board
+      );
+
+      expect(first.name).to.equal("Straight");
+      expect(engine.compareHands(first, second)).to.equal(0);
+    });
+
+    it("should pick the best five of seven cards", () => {
+      const result = engine.evaluateHand(
+        [
+          { suit: "spades", rank: "5" },
+          { suit: "hearts", rank: "9" },
+        ],
+        [
+          { suit: "clubs", rank: "A" },
+          { suit: "diamonds", rank: "2" },
+          { suit: "hearts", rank: "3" },
+          { suit: "spades", rank: "4" },
+          { suit: "clubs", rank: "9" },
+        ]
+      );
+
+      expect(result.name).to.equal("Straight");
+      expect(result.values).to.deep.equal([5]);
+      expect(result.cards.map((card) => card.rank)).to.deep.equal([
+        "5",
+        "4",
+        "3",
+        "2",
+        "A",
+      ]);
+    });
+
+    it("should rank a full house by trips before the pair", () => {
+      const board = [
+        { suit: "hearts", rank: "8" },
+        { suit: "diamonds", rank: "8" },
+        { suit: "clubs", rank: "K" },
+        { suit: "spades", rank: "4" },
+        { suit: "hearts", rank: "2" },
+      ];
+
+      const eightsFull = engine.evaluateHand(
+        [
+          { suit: "clubs", rank: "8" },
+          { suit: "clubs", rank: "K" },
+        ],
+        board
+      );
+      const kingsFull = engine.evaluateHand(
+        [
+          { suit: "spades", rank: "K" },
+          { suit: "diamonds", rank: "K" },
+        ],
+        board
+      );
+
+      expect(eightsFull.name).to.equal("Full House");
+      expect(kingsFull.name).to.equal("Full House");
+      expect(engine.compareHands(kingsFull, eightsFull)).to.be.above(0);
+    });
   });
 
   describe("Side Pot Resolution", () => {
@@ -331,7 +449,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         sidePots: [],
       };
 
-      pokerService.createSidePots(room);
+      engine.createSidePots(room);
 
       expect(room.sidePots).to.have.length(2);
       expect(room.sidePots[0].amount).to.equal(150); // (50 * 3) for first side pot
@@ -358,16 +476,48 @@ describe("EnhancedPokerService Logic Tests", () => {
       };
 
       const results = [
-        { playerId: "user1", score: 1000 },
-        { playerId: "user2", score: 2000 },
-        { playerId: "user3", score: 2000 },
+        { playerId: "user1", handValue: { rank: 1, values: [14, 13, 9, 4] } },
+        { playerId: "user2", handValue: { rank: 2, values: [10, 8, 3] } },
+        { playerId: "user3", handValue: { rank: 2, values: [10, 8, 3] } },
       ];
 
-      pokerService.distributePots(room, results);
+      engine.distributePots(room, results);
+
+      expect(room.players[1].chips).to.equal(125); // 75 from main pot + 50 from side pot
+      expect(room.players[2].chips).to.equal(125); // 75 from main pot + 50 from side pot
+      expect(room.players[0].chips).to.equal(0); // eligible for main pot only, lost it
+    });
+
+    it("should not let an all-in short stack win chips they never matched", () => {
+      const room = {
+        players: [
+          { id: "user1", chips: 0, folded: false, totalBet: 50 },
+          { id: "user2", chips: 0, folded: false, totalBet: 200 },
+          { id: "user3", chips: 0, folded: true, totalBet: 100 },
+        ],
+        sidePots: [],
+      };
 
-      expect(room.players[1].chips).to.equal(125); // 50 from first pot + 75 from second pot
-      expect(room.players[2].chips).to.equal(125); // 50 from first pot + 75 from second pot
-      expect(room.players[0].chips).to.equal(50); // 50 from first pot only
+      engine.createSidePots(room);
+
+      expect(room.sidePots).to.deep.equal([
+        { amount: 150, eligiblePlayers: ["user1", "user2"] },
+        { amount: 200, eligiblePlayers: ["user2"] },
+      ]);
+
+      const pots = engine.distributePots(room, [
+        { playerId: "user1", handValue: { rank: 3, values: [7, 12, 4] } },
+        { playerId: "user2", handValue: { rank: 1, values: [14, 13, 9, 4] } },
+      ]);
+
+      expect(room.players[0].chips).to.equal(150);
+      expect(room.players[1].chips).to.equal(200);
+      expect(pots[0].winners).to.deep.equal([
+        { playerId: "user1", winAmount: 150 },
+      ]);
+      expect(pots[1].winners).to.deep.equal([
+        { playerId: "user2", winAmount: 200 },
+      ]);
     });
   });
 
@@ -398,7 +548,7 @@ describe("EnhancedPokerService Logic Tests", () => {
         ],
       };
 
-      pokerService.resetGameState(room);
+      engine.resetGameState(room);
 
       expect(room.status).to.equal("waiting");
       expect(room.phase).to.equal("waiting");
@@ -421,4 +571,1250 @@ describe("EnhancedPokerService Logic Tests", () => {
       expect(player.isBigBlind).to.be.false;
     });
   });
+
+  describe("Engine Transitions", () => {
+    const card = (rank, suit) => ({ rank, suit });
+
+    // Deck is dealt from the end: hole cards first, then burn + board
+    const stackedDeck = (cards) => [...cards].reverse();
+
+    const seatPlayers = (stacks, options = {}) => {
+      let room = engine.createRoomState({
+        id: "poker_test",
+        name: "Engine Room",
+        creatorId: "user1",
+        minBet: 10,
+        minBuyIn: 100,
+        maxBuyIn: 1000,
+        ...options,
+      });
+      stacks.forEach((chips, index) => {
+        ({ room } = engine.addPlayer(room, {
+          id: `user${index + 1}`,
+          username: `Player${index + 1}`,
+          chips,
+        }));
+      });
+      return room;
+    };
+
+    it("should not mutate the input state", () => {
+      const room = seatPlayers([1000, 1000]);
+      const snapshot = JSON.stringify(room);
+
+      const { room: started } = engine.startHand(room, engine.createDeck());
+
+      expect(JSON.stringify(room)).to.equal(snapshot);
+      expect(started.status).to.equal("playing");
+      expect(started.pot).to.equal(15);
+    });
+
+    it("should play a heads-up hand through to showdown", () => {
+      const deck = stackedDeck([
+        card("A", "hearts"), // user1
+        card("2", "clubs"), // user2
+        card("A", "spades"), // user1
+        card("7", "diamonds"), // user2
+        card("3", "spades"), // burn
+        card("K", "clubs"),
+        card("9", "hearts"),
+        card("4", "diamonds"),
+        card("5", "spades"), // burn
+        card("J", "clubs"),
+        card("6", "spades"), // burn
+        card("8", "hearts"),
+      ]);
+
+      let { room, events } = engine.startHand(seatPlayers([500, 500]), deck);
+      expect(events.map((e) => e.type)).to.deep.equal(["game_started"]);
+
+      // Heads-up: dealer posts the small blind and acts first preflop
+      expect(room.smallBlind).to.equal("user1");
+      expect(room.currentTurn).to.equal("user1");
+
+      ({ room } = engine.applyAction(room, "user1", "call"));
+      ({ room, events } = engine.applyAction(room, "user2", "check"));
+      expect(events.map((e) => e.type)).to.deep.equal([
+        "player_action",
+        "phase_change",
+      ]);
+      expect(room.phase).to.equal("flop");
+      expect(room.currentTurn).to.equal("user2");
+
+      for (const street of ["turn", "river"]) {
+        ({ room } = engine.applyAction(room, "user2", "check"));
+        ({ room } = engine.applyAction(room, "user1", "check"));
+        expect(room.phase).to.equal(street);
+      }
+
+      ({ room } = engine.applyAction(room, "user2", "check"));
+      ({ room, events } = engine.applyAction(room, "user1", "check"));
+
+      const showdown = events.find((e) => e.type === "showdown");
+      expect(showdown.winners).to.deep.equal([
+        { playerId: "user1", winAmount: 20 },
+      ]);
+      expect(room.status).to.equal("waiting");
+      expect(room.players.find((p) => p.id === "user1").chips).to.equal(510);
+    });
+
+    it("should still ask for a call after an all-in raise", () => {
+      let { room } = engine.startHand(
+        seatPlayers([1000, 100, 1000]),
+        engine.createDeck()
+      );
+
+      // Dealer is user1, so user2 posts the small blind and user3 the big
+      expect(room.currentTurn).to.equal("user1");
+      ({ room } = engine.applyAction(room, "user1", "fold"));
+      ({ room } = engine.applyAction(room, "user2", "allin"));
+
+      expect(room.status).to.equal("playing");
+      expect(room.currentTurn).to.equal("user3");
+    });
+
+    it("should fold a player who leaves mid-hand and keep their chips in the pot", () => {
+      let { room } = engine.startHand(
+        seatPlayers([1000, 1000, 1000]),
+        engine.createDeck()
+      );
+      ({ room } = engine.applyAction(room, "user1", "call"));
+
+      const { room: afterLeave, events } = engine.removePlayer(room, "user1");
+
+      expect(events[0]).to.deep.equal({
+        type: "player_left",
+        playerId: "user1",
+        chips: 990,
+      });
+      const leaver = afterLeave.players.find((p) => p.id === "user1");
+      expect(leaver.folded).to.be.true;
+      expect(leaver.chips).to.equal(0);
+      expect(afterLeave.pot).to.equal(25);
+    });
+
+    it("should enforce the room's buy-in limits", () => {
+      const room = seatPlayers([1000]);
+
+      expect(() =>
+        engine.addPlayer(room, { id: "user2", username: "P2", chips: 50 })
+      ).to.throw("Buy-in must be between 100 and 1000 chips");
+      expect(() =>
+        engine.addPlayer(room, { id: "user2", username: "P2", chips: 1001 })
+      ).to.throw("Buy-in must be between 100 and 1000 chips");
+      expect(() =>
+        engine.createRoomState({ id: "x", minBuyIn: 500, maxBuyIn: 200 })
+      ).to.throw("Buy-in limits");
+    });
+
+    it("should report busted players when the hand is reset", () => {
+      const room = seatPlayers([500, 500]);
+      room.players[1].chips = 0;
+      const events = [];
+
+      engine.resetGameState(room, events);
+
+      expect(events).to.deep.equal([
+        { type: "player_busted", playerId: "user2", chips: 0, handStack: 0 },
+      ]);
+      expect(room.players.map((p) => p.id)).to.deep.equal(["user1"]);
+    });
+
+    it("should rake the called part of the pot after the flop", () => {
+      const rake = { rakePercent: 5, rakeCap: 3 };
+      let { room } = engine.startHand(
+        seatPlayers([500, 500], rake),
+        engine.createDeck()
+      );
+      ({ room } = engine.applyAction(room, "user1", "call"));
+      ({ room } = engine.applyAction(room, "user2", "check"));
+      ({ room } = engine.applyAction(room, "user2", "bet", 100));
+
+      const { room: settled, events } = engine.applyAction(
+        room,
+        "user1",
+        "fold"
+      );
+      const showdown = events.find((e) => e.type === "showdown");
+
+      // 20 called chips at 5%; the uncalled 100 goes back untouched
+      expect(showdown.rake).to.equal(1);
+      expect(showdown.winners).to.deep.equal([
+        { playerId: "user2", winAmount: 119 },
+      ]);
+      expect(settled.players.find((p) => p.id === "user2").chips).to.equal(509);
+    });
+
+    it("should not rake a hand that ends before the flop", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500], { rakePercent: 5 }),
+        engine.createDeck()
+      );
+
+      const { events } = engine.applyAction(room, "user1", "fold");
+
+      expect(events.find((e) => e.type === "showdown").rake).to.equal(0);
+    });
+
+    it("should stop raking at the cap", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500], { rakePercent: 10, rakeCap: 30 }),
+        engine.createDeck()
+      );
+      ({ room } = engine.applyAction(room, "user1", "allin"));
+
+      const { room: settled, events } = engine.applyAction(
+        room,
+        "user2",
+        "call"
+      );
+      const showdown = events.find((e) => e.type === "showdown");
+      const chips = settled.players.reduce((sum, p) => sum + p.chips, 0);
+
+      expect(showdown.rake).to.equal(30);
+      expect(chips).to.equal(970);
+    });
+
+    it("should record a hand history and export it as PokerStars text", () => {
+      const deck = stackedDeck([
+        card("A", "hearts"), // user1
+        card("2", "clubs"), // user2
+        card("A", "spades"), // user1
+        card("7", "diamonds"), // user2
+        card("3", "spades"), // burn
+        card("K", "clubs"),
+        card("9", "hearts"),
+        card("4", "diamonds"),
+        card("5", "spades"), // burn
+        card("J", "clubs"),
+        card("6", "spades"), // burn
+        card("10", "hearts"),
+      ]);
+
+      let { room } = engine.startHand(seatPlayers([500, 500]), deck);
+      let events;
+      ({ room } = engine.applyAction(room, "user1", "raise", 20));
+      ({ room } = engine.applyAction(room, "user2", "call"));
+      ({ room } = engine.applyAction(room, "user2", "check"));
+      ({ room } = engine.applyAction(room, "user1", "bet", 40));
+      ({ room } = engine.applyAction(room, "user2", "call"));
+      ({ room } = engine.applyAction(room, "user2", "check"));
+      ({ room } = engine.applyAction(room, "user1", "check"));
+      ({ room } = engine.applyAction(room, "user2", "check"));
+      ({ room, events } = engine.applyAction(room, "user1", "check"));
+
+      const { history } = events.find((e) => e.type === "showdown");
+
+      expect(history.handNumber).to.equal(1);
+      expect(history.seats.map((s) => s.stack)).to.deep.equal([500, 500]);
+      expect(history.actions.map((a) => a.action)).to.deep.equal([
+        "small_blind",
+        "big_blind",
+        "raise",
+        "call",
+        "check",
+        "bet",
+        "call",
+        "check",
+        "check",
+        "check",
+        "check",
+      ]);
+      expect(history.shownDown).to.deep.equal(["user1", "user2"]);
+      expect(room.handLog).to.equal(null);
+
+      const text = handHistory.toPokerStars(42, history, "user2");
+      const lines = text.split("\n");
+
+      expect(lines[0]).to.match(
+        /^PokerStars Hand #42: Hold'em No Limit \(5\/10\) - /
+      );
+      expect(lines).to.include(
+        "Table 'Engine Room' 6-max Seat #1 is the button"
+      );
+      expect(lines).to.include("Player1: posts small blind 5");
+      expect(lines).to.include("Dealt to Player2 [2c 7d]");
+      expect(lines).to.include("Player1: raises 20 to 30");
+      expect(lines).to.include("*** FLOP *** [Kc 9h 4d]");
+      expect(lines).to.include("*** RIVER *** [Kc 9h 4d Jc] [Th]");
+      expect(lines).to.include("Player1 collected 140 from pot");
+      expect(lines).to.include("Total pot 140 | Rake 0");
+      expect(lines).to.include(
+        "Seat 1: Player1 (button, small blind) showed [Ah As] and won (140) with Pair of As"
+      );
+    });
+
+    it("should replay a recorded hand to the same result", () => {
+      const shuffled = engine
+        .createDeck()
+        .sort((a, b) => (a.rank + a.suit).localeCompare(b.rank + b.suit));
+
+      let { room } = engine.startHand(
+        seatPlayers([1000, 300, 1000, 500], { rakePercent: 5, rakeCap: 20 }),
+        shuffled
+      );
+      let events;
+      ({ room } = engine.applyAction(room, "user4", "raise", 30));
+      ({ room } = engine.applyAction(room, "user1", "call"));
+      ({ room } = engine.removePlayer(room, "user3"));
+      ({ room } = engine.applyAction(room, "user2", "allin"));
+      ({ room } = engine.applyAction(room, "user4", "call"));
+      ({ room } = engine.applyAction(room, "user1", "call"));
+      for (const street of ["flop", "turn", "river"]) {
+        expect(room.phase).to.equal(street);
+        ({ room } = engine.applyAction(room, "user4", "check"));
+        ({ room, events } = engine.applyAction(room, "user1", "check"));
+      }
+
+      const { history } = events.find((e) => e.type === "showdown");
+      const steps = engine.replayHand(history);
+      const replayed = steps
+        .flatMap((step) => step.events)
+        .find((e) => e.type === "showdown").history;
+
+      expect(steps).to.have.length(history.actions.length - 1);
+      expect(steps[0].room.pot).to.equal(15);
+      expect(steps[1].room.currentBet).to.equal(40);
+      expect(steps[3].room.players.find((p) => p.id === "user3").folded).to.be
+        .true;
+      expect(replayed.board).to.deep.equal(history.board);
+      expect(replayed.pots).to.deep.equal(history.pots);
+    });
+
+    it("should cash out every stack when the table closes", () => {
+      let { room } = engine.startHand(
+        seatPlayers([300, 700]),
+        engine.createDeck()
+      );
+
+      const { room: closed, events } = engine.closeTable(room);
+      const cashOuts = events.filter((e) => e.type === "player_cashed_out");
+
+      expect(closed.status).to.equal("finished");
+      expect(cashOuts.reduce((sum, e) => sum + e.chips, 0)).to.equal(1000);
+      expect(closed.players.every((p) => p.chips === 0)).to.be.true;
+      expect(events[events.length - 1].type).to.equal("game_ended");
+    });
+
+    it("should require no-limit raises to match the last raise", () => {
+      let { room } = engine.startHand(
+        seatPlayers([1000, 1000, 1000]),
+        engine.createDeck()
+      );
+
+      ({ room } = engine.applyAction(room, "user1", "raise", 30));
+      expect(() => engine.applyAction(room, "user2", "raise", 20)).to.throw(
+        "Raise must be at least 30, the size of the last bet or raise"
+      );
+      ({ room } = engine.applyAction(room, "user2", "raise", 30));
+      expect(room.currentBet).to.equal(70);
+      expect(() =>
+        engine.createRoomState({ id: "x", bettingStructure: "spread-limit" })
+      ).to.throw("Betting structure must be one of");
+    });
+
+    it("should cap pot-limit raises at the pot after calling", () => {
+      let { room } = engine.startHand(
+        seatPlayers([1000, 1000, 1000], { bettingStructure: "pot-limit" }),
+        engine.createDeck()
+      );
+
+      expect(engine.getPotLimitRaise(room, room.players[0])).to.equal(25);
+      expect(() => engine.applyAction(room, "user1", "raise", 26)).to.throw(
+        "Pot-limit raise cannot raise by more than 25, the pot after calling"
+      );
+      expect(() => engine.applyAction(room, "user1", "allin")).to.throw(
+        "Pot-limit all-in"
+      );
+
+      ({ room } = engine.applyAction(room, "user1", "raise", 25));
+      expect(room.currentBet).to.equal(35);
+      expect(room.pot).to.equal(50);
+    });
+
+    it("should use fixed bet sizes and cap the raises in fixed-limit", () => {
+      let { room } = engine.startHand(
+        seatPlayers([1000, 1000], {
+          bettingStructure: "fixed-limit",
+          raiseCap: 3,
+        }),
+        engine.createDeck()
+      );
+
+      expect(() => engine.applyAction(room, "user1", "raise", 20)).to.throw(
+        "Fixed-limit raises on the preflop are 10"
+      );
+      ({ room } = engine.applyAction(room, "user1", "raise", 10));
+      ({ room } = engine.applyAction(room, "user2", "raise", 10));
+      expect(() => engine.applyAction(room, "user1", "raise", 10)).to.throw(
+        "Fixed-limit betting is capped at 3 bets per round"
+      );
+      ({ room } = engine.applyAction(room, "user1", "call"));
+
+      ({ room } = engine.applyAction(room, "user2", "bet", 10));
+      ({ room } = engine.applyAction(room, "user1", "call"));
+      expect(room.phase).to.equal("turn");
+      expect(() => engine.applyAction(room, "user2", "bet", 10)).to.throw(
+        "Fixed-limit bets on the turn are 20"
+      );
+    });
+
+    it("should check or fold on timeout and sit out repeat offenders", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500, 500], { maxTimeouts: 2 }),
+        engine.createDeck()
+      );
+      let events;
+
+      ({ room, events } = engine.timeOut(room, "user1"));
+      expect(events[0]).to.deep.equal({
+        type: "player_timed_out",
+        playerId: "user1",
+        action: "fold",
+      });
+      expect(room.players[0]).to.include({ timeouts: 1, timeBank: 0 });
+
+      ({ room } = engine.applyAction(room, "user2", "fold"));
+      ({ room } = engine.startHand(room, engine.createDeck()));
+      ({ room } = engine.applyAction(room, "user2", "call"));
+      ({ room } = engine.applyAction(room, "user3", "call"));
+
+      // Facing no bet in the big blind, a timeout checks
+      ({ room, events } = engine.timeOut(room, "user1"));
+      expect(events[0].action).to.equal("check");
+      expect(events[events.length - 1]).to.include({
+        type: "player_sitting_out",
+        playerId: "user1",
+        reason: "timeout",
+      });
+      expect(room.players[0].sittingOut).to.be.true;
+    });
+
+    it("should deal around sitting-out players and charge a missed big blind", () => {
+      let room = seatPlayers([500, 500, 500, 500]);
+      let events;
+      ({ room } = engine.sitOut(room, "user3"));
+      ({ room, events } = engine.startHand(room, engine.createDeck()));
+
+      const away = room.players[2];
+      expect(room.bigBlind).to.equal("user4");
+      expect(away).to.include({ status: "sitting_out", missedBlind: true });
+      expect(away.hand).to.deep.equal([]);
+      expect(room.handLog.seats[2].sittingOut).to.be.true;
+
+      ({ room, events } = engine.sitIn(room, "user3"));
+      expect(events[0]).to.include({ type: "player_back", missedBlind: true });
+
+      ({ room } = engine.applyAction(room, "user1", "fold"));
+      ({ room, events } = engine.applyAction(room, "user2", "fold"));
+      const { history } = events.find((e) => e.type === "showdown");
+      const replayed = engine.replayHand(history).pop().events;
+      expect(replayed.find((e) => e.type === "showdown").winners).to.deep.equal(
+        [{ playerId: "user4", winAmount: 15 }]
+      );
+
+      // Back in the small blind, topped up to a full big blind
+      ({ room } = engine.startHand(room, engine.createDeck()));
+      expect(room.smallBlind).to.equal("user3");
+      expect(room.players[2]).to.include({ bet: 10, missedBlind: false });
+      expect(room.pot).to.equal(20);
+    });
+
+    it("should refill time banks every hand and charge overtime", () => {
+      let room = seatPlayers([500, 500], { timeBank: 20, timeBankRefill: 5 });
+
+      ({ room } = engine.useTimeBank(room, "user1", 12));
+      expect(room.players[0].timeBank).to.equal(8);
+
+      ({ room } = engine.startHand(room, engine.createDeck()));
+      expect(room.players.map((p) => p.timeBank)).to.deep.equal([13, 20]);
+      expect(() => engine.sitIn(room, "user1")).to.throw(
+        "Player is not sitting out"
+      );
+
+      ({ room } = engine.sitOut(room, "user1"));
+      expect(room.players[0].sitOutNextHand).to.be.true;
+    });
+
+    it("should hide the deck and every hole card from spectators", () => {
+      const { room } = engine.startHand(
+        seatPlayers([500, 500], { spectatorDelay: 30 }),
+        engine.createDeck()
+      );
+
+      const view = engine.createSpectatorView(room);
+
+      expect(view).to.not.have.property("deck");
+      expect(view.spectatorDelay).to.equal(30);
+      expect(view.players.flatMap((p) => p.hand)).to.deep.equal([
+        { hidden: true },
+        { hidden: true },
+        { hidden: true },
+        { hidden: true },
+      ]);
+      expect(room.deck).to.have.length(48);
+      expect(() => seatPlayers([500], { spectatorDelay: 301 })).to.throw(
+        "Spectator delay must be 0-300 seconds"
+      );
+    });
+
+    it("should show a player their own hole cards and nobody else's", () => {
+      const { room } = engine.startHand(
+        seatPlayers([500, 500]),
+        engine.createDeck()
+      );
+
+      const view = engine.createPlayerView(room, "user2");
+
+      expect(view).to.not.have.property("deck");
+      expect(view.players[0].hand).to.deep.equal([
+        { hidden: true },
+        { hidden: true },
+      ]);
+      expect(view.players[1].hand).to.deep.equal(room.players[1].hand);
+      expect(
+        engine.createPlayerView(room, "someone").players[1].hand
+      ).to.deep.equal([{ hidden: true }, { hidden: true }]);
+    });
+
+    it("should keep an uncontested winner's cards from spectators", () => {
+      const { room } = engine.startHand(
+        seatPlayers([500, 500]),
+        engine.createDeck()
+      );
+      const { events } = engine.applyAction(room, "user1", "fold");
+
+      const showdown = events.find((e) => e.type === "showdown");
+      const spectatorEvent = engine.createSpectatorEvent(showdown);
+
+      expect(showdown.results[0].hand).to.have.length(2);
+      expect(spectatorEvent.results[0]).to.not.have.property("hand");
+      expect(spectatorEvent).to.not.have.property("history");
+      expect(spectatorEvent.winners).to.deep.equal(showdown.winners);
+    });
+
+    it("should post explicit blinds and antes from every player", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500, 500], { smallBlind: 10, bigBlind: 25, ante: 5 }),
+        engine.createDeck()
+      );
+
+      expect(room.pot).to.equal(50);
+      expect(room.currentBet).to.equal(25);
+      expect(room.players.map((p) => [p.bet, p.totalBet])).to.deep.equal([
+        [0, 5],
+        [10, 15],
+        [25, 30],
+      ]);
+
+      let events;
+      ({ room } = engine.applyAction(room, "user1", "fold"));
+      ({ room, events } = engine.applyAction(room, "user2", "fold"));
+      const { history } = events.find((e) => e.type === "showdown");
+
+      expect(history).to.include({ smallBlind: 10, bigBlind: 25, ante: 5 });
+      expect(handHistory.toPokerStars(1, history, "user1")).to.include(
+        "Player1: posts the ante 5\n"
+      );
+      const replayed = engine.replayHand(history).pop().events;
+      expect(replayed.find((e) => e.type === "showdown").winners).to.deep.equal(
+        [{ playerId: "user3", winAmount: 50 }]
+      );
+    });
+
+    it("should have the big blind post the ante for the table", () => {
+      const { room } = engine.startHand(
+        seatPlayers([500, 500, 500], { ante: 10, bigBlindAnte: true }),
+        engine.createDeck()
+      );
+
+      expect(room.players[2]).to.include({ bet: 10, totalBet: 20 });
+      expect(room.pot).to.equal(25);
+      expect(room.currentBet).to.equal(10);
+      expect(() => seatPlayers([500], { bigBlindAnte: true })).to.throw(
+        "A big blind ante needs an ante amount"
+      );
+    });
+
+    it("should let under the gun straddle with the option to raise", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500, 500, 500], { straddle: true }),
+        engine.createDeck()
+      );
+
+      expect(room.straddler).to.equal("user4");
+      expect(room.currentBet).to.equal(20);
+      expect(room.currentTurn).to.equal("user1");
+      expect(() => engine.applyAction(room, "user1", "raise", 10)).to.throw(
+        "Raise must be at least 20"
+      );
+
+      for (const playerId of ["user1", "user2", "user3"]) {
+        ({ room } = engine.applyAction(room, playerId, "call"));
+      }
+      expect(room.phase).to.equal("preflop");
+      expect(room.currentTurn).to.equal("user4");
+
+      // No straddle heads-up, and none in fixed-limit
+      ({ room } = engine.startHand(
+        seatPlayers([500, 500], { straddle: true }),
+        engine.createDeck()
+      ));
+      expect(room.straddler).to.be.null;
+      expect(room.pot).to.equal(15);
+      expect(() =>
+        seatPlayers([500], { straddle: true, bettingStructure: "fixed-limit" })
+      ).to.throw("Straddles are only played in no-limit and pot-limit");
+    });
+
+    it("should raise scheduled blinds between hands", () => {
+      const minute = 60 * 1000;
+      let room = seatPlayers([500, 500], {
+        blindSchedule: {
+          levelMinutes: 10,
+          levels: [
+            { smallBlind: 5, bigBlind: 10 },
+            { smallBlind: 10, bigBlind: 20, ante: 2 },
+          ],
+        },
+      });
+      let events;
+
+      ({ room, events } = engine.updateBlindLevel(room, 0));
+      expect(events).to.deep.equal([]);
+      expect(room.blindSchedule.startedAt).to.equal(0);
+
+      ({ room, events } = engine.updateBlindLevel(room, 11 * minute));
+      expect(events[0]).to.deep.equal({
+        type: "blind_level_up",
+        level: 1,
+        smallBlind: 10,
+        bigBlind: 20,
+        ante: 2,
+        nextLevelAt: null,
+      });
+
+      ({ room } = engine.startHand(room, engine.createDeck()));
+      expect(room.pot).to.equal(34);
+    });
+
+    it("should pass the button on when a player before it busts", () => {
+      const room = seatPlayers([500, 500, 500, 500]);
+      room.dealerIndex = 1;
+      room.players[0].chips = 0;
+
+      engine.resetGameState(room);
+
+      expect(room.players.map((p) => p.id)).to.deep.equal([
+        "user2",
+        "user3",
+        "user4",
+      ]);
+      expect(room.players[room.dealerIndex].id).to.equal("user3");
+    });
+
+    it("should table the hands when an all-in leaves nobody to bet", () => {
+      let { room } = engine.startHand(
+        seatPlayers([500, 500]),
+        engine.createDeck()
+      );
+      ({ room } = engine.applyAction(room, "user1", "allin"));
+      const { events } = engine.applyAction(room, "user2", "call");
+
+      const types = events.map((e) => e.type);
+      const tabled = events.find((e) => e.type === "hands_tabled");
+      expect(types.indexOf("hands_tabled")).to.be.below(
+        types.indexOf("showdown")
+      );
+      expect(tabled.community).to.deep.equal([]);
+      expect(tabled.hands.map((h) => h.playerId)).to.deep.equal([
+        "user1",
+        "user2",
+      ]);
+      expect(tabled.hands[0].hand).to.have.length(2);
+    });
+
+    describe("Run it twice", () => {
+      // Aces against kings all-in preflop: the first board holds up, the
+      // second gives the kings a set
+      const allInRoom = () => {
+        const deck = stackedDeck([
+          card("A", "hearts"), // user1
+          card("K", "hearts"), // user2
+          card("A", "spades"), // user1
+          card("K", "diamonds"), // user2
+          card("6", "clubs"), // burn
+          card("2", "clubs"),
+          card("7", "diamonds"),
+          card("9", "spades"),
+          card("6", "hearts"), // burn
+          card("3", "hearts"),
+          card("6", "diamonds"), // burn
+          card("4", "clubs"),
+          card("8", "clubs"), // burn
+          card("K", "clubs"),
+          card("8", "diamonds"),
+          card("5", "spades"),
+          card("8", "hearts"), // burn
+          card("2", "hearts"),
+          card("10", "clubs"), // burn
+          card("J", "clubs"),
+        ]);
+
+        let { room } = engine.startHand(
+          seatPlayers([500, 500], { runItTwice: true }),
+          deck
+        );
+        ({ room } = engine.applyAction(room, "user1", "allin"));
+        return engine.applyAction(room, "user2", "call");
+      };
+
+      it("should deal two boards and split the pot when everyone agrees", () => {
+        let { room, events } = allInRoom();
+        expect(events.map((e) => e.type)).to.include("run_it_twice_offered");
+        expect(events.map((e) => e.type)).to.not.include("showdown");
+        expect(room.currentTurn).to.equal(null);
+        expect(room.runItTwiceVote.playerIds).to.deep.equal(["user1", "user2"]);
+
+        ({ room, events } = engine.voteRunItTwice(room, "user1", true));
+        expect(events.map((e) => e.type)).to.deep.equal([
+          "run_it_twice_accepted",
+        ]);
+        expect(() => engine.voteRunItTwice(room, "user1", true)).to.throw(
+          "Already agreed to run it twice"
+        );
+
+        ({ room, events } = engine.voteRunItTwice(room, "user2", true));
+        const showdown = events.find((e) => e.type === "showdown");
+
+        expect(
+          showdown.runs.map((run) => run.results[0].playerId)
+        ).to.deep.equal(["user1", "user2"]);
+        expect(
+          showdown.pots.map((pot) => [pot.run, pot.amount, pot.winners])
+        ).to.deep.equal([
+          [1, 500, [{ playerId: "user1", winAmount: 500 }]],
+          [2, 500, [{ playerId: "user2", winAmount: 500 }]],
+        ]);
+        expect(room.players.map((p) => p.chips)).to.deep.equal([500, 500]);
+        expect(room.runItTwiceVote).to.equal(null);
+
+        const { history } = showdown;
+        const replayed = engine
+          .replayHand(history)
+          .flatMap((step) => step.events)
+          .find((e) => e.type === "showdown").history;
+        expect(replayed.runs).to.deep.equal(history.runs);
+        expect(replayed.pots).to.deep.equal(history.pots);
+
+        const lines = handHistory.toPokerStars(7, history, "user1").split("\n");
+        expect(lines).to.include("*** FIRST FLOP *** [2c 7d 9s]");
+        expect(lines).to.include("*** SECOND RIVER *** [Kc 8d 5s 2h] [Jc]");
+        expect(lines).to.include("*** SECOND SHOW DOWN ***");
+        expect(lines).to.include("Player2 collected 500 from pot");
+        expect(lines).to.include("Total pot 1000 | Rake 0");
+        expect(lines).to.include("SECOND Board [Kc 8d 5s 2h Jc]");
+      });
+
+      it("should run the board once when a player declines", () => {
+        let { room } = allInRoom();
+        let events;
+
+        expect(() => engine.voteRunItTwice(room, "user3", true)).to.throw(
+          "Only players still in the hand can decide"
+        );
+
+        ({ room, events } = engine.voteRunItTwice(room, "user2", false));
+        const showdown = events.find((e) => e.type === "showdown");
+
+        expect(showdown.runs).to.equal(undefined);
+        expect(showdown.community.map((c) => c.rank)).to.deep.equal([
+          "2",
+          "7",
+          "9",
+          "3",
+          "4",
+        ]);
+        expect(showdown.winners).to.deep.equal([
+          { playerId: "user1", winAmount: 1000 },
+        ]);
+        expect(() => engine.voteRunItTwice(room, "user1", true)).to.throw(
+          "No run-it-twice decision pending"
+        );
+      });
+    });
+
+    it("should keep banned players off the table and everyone off a locked one", () => {
+      let room = seatPlayers([500, 500, 500]);
+      let events;
+
+      expect(() => engine.kickPlayer(room, "user1")).to.throw(
+        "The host cannot kick themselves"
+      );
+
+      ({ room, events } = engine.kickPlayer(room, "user2", { ban: true }));
+      expect(events.map((e) => e.type)).to.deep.equal([
+        "player_kicked",
+        "player_left",
+      ]);
+      expect(events[1].chips).to.equal(500);
+      expect(room.players.map((p) => p.id)).to.deep.equal(["user1", "user3"]);
+      expect(() =>
+        engine.addPlayer(room, { id: "user2", username: "P2", chips: 500 })
+      ).to.throw("Banned from this table");
+
+      ({ room } = engine.unbanPlayer(room, "user2"));
+      ({ room } = engine.setLocked(room, true));
+      expect(() =>
+        engine.addPlayer(room, { id: "user2", username: "P2", chips: 500 })
+      ).to.throw("Table is locked");
+
+      ({ room } = engine.setLocked(room, false));
+      ({ room } = engine.addPlayer(room, {
+        id: "user2",
+        username: "P2",
+        chips: 500,
+      }));
+      expect(room.players).to.have.length(3);
+    });
+
+    it("should hand host rights over, and pass them on when the host leaves", () => {
+      let room = seatPlayers([500, 500, 500]);
+      let events;
+
+      expect(() => engine.transferHost(room, "user9")).to.throw(
+        "Player not in room"
+      );
+      ({ room, events } = engine.transferHost(room, "user2"));
+      expect(room.creator.id).to.equal("user2");
+      expect(events).to.deep.equal([{ type: "host_changed", hostId: "user2" }]);
+
+      ({ room, events } = engine.removePlayer(room, "user2"));
+      expect(room.creator.id).to.equal("user1");
+      expect(events.map((e) => e.type)).to.include("host_changed");
+    });
+  });
+
+  describe("Startup Recovery", () => {
+    const startedRoom = () => {
+      let room = engine.createRoomState({
+        id: "poker_recover",
+        name: "Recovered Room",
+        creatorId: "user1",
+        minBet: 10,
+      });
+      for (const id of ["user1", "user2", "user3"]) {
+        ({ room } = engine.addPlayer(room, { id, username: id, chips: 500 }));
+      }
+      return engine.startHand(room, engine.createDeck()).room;
+    };
+
+    it("should refund an interrupted hand and keep the button", () => {
+      let room = startedRoom();
+      ({ room } = engine.applyAction(room, "user1", "raise", 40));
+      ({ room } = engine.applyAction(room, "user2", "call"));
+      ({ room } = engine.removePlayer(room, "user3"));
+      expect(room.phase).to.equal("flop");
+
+      const { room: aborted, events } = engine.abortHand(room);
+
+      expect(events[0]).to.deep.equal({
+        type: "hand_aborted",
+        handNumber: 1,
+        refunds: [
+          { playerId: "user1", amount: 50 },
+          { playerId: "user2", amount: 50 },
+          { playerId: "user3", amount: 10 },
+        ],
+      });
+      // The big blind left mid-hand with the rest of the stack already
+      expect(events).to.deep.include({
+        type: "player_cashed_out",
+        playerId: "user3",
+        chips: 10,
+      });
+      expect(aborted.status).to.equal("waiting");
+      expect(aborted.players.map((p) => [p.id, p.chips])).to.deep.equal([
+        ["user1", 500],
+        ["user2", 500],
+      ]);
+      expect(aborted.players[aborted.dealerIndex].id).to.equal("user1");
+    });
+
+    it("should re-arm a pending decision and refund a stalled hand", async () => {
+      const stored = {};
+      pokerService.redis = {
+        client: {
+          get: async (key) => stored[key] || null,
+          set: async (key, value) => {
+            stored[key] = value;
+          },
+          sadd: async () => 1,
+        },
+      };
+      pokerService.withRoomLock = (roomId, task) => task();
+      pokerService.commitRoom = async (room) => room;
+      pokerService.scheduleNextHand = () => {};
+      const armed = [];
+      pokerService.armTimers = (room) => armed.push(room.currentTurn);
+
+      const live = startedRoom();
+      live.updatedAt = new Date().toISOString();
+      stored["poker:room:poker_recover"] = JSON.stringify(live);
+      const resumed = await pokerService.recoverRoom("poker_recover");
+      expect(resumed.status).to.equal("playing");
+      expect(armed).to.deep.equal([live.currentTurn]);
+
+      // Redis lost the table; the snapshot is mid-hand with nobody to act
+      delete stored["poker:room:poker_recover"];
+      const stalled = { ...live, currentTurn: null };
+      const refunded = await pokerService.recoverRoom("poker_recover", stalled);
+      expect(refunded.status).to.equal("waiting");
+      expect(refunded.players.every((p) => p.chips === 500)).to.be.true;
+      expect(stored["poker:room:poker_recover"]).to.be.a("string");
+    });
+
+    it("should call off a stalled tournament hand without dealing the next", async () => {
+      const stored = {};
+      pokerService.redis = {
+        client: {
+          get: async (key) => stored[key] || null,
+          set: async (key, value) => {
+            stored[key] = value;
+          },
+        },
+      };
+      pokerService.withRoomLock = (roomId, task) => task();
+      const committed = [];
+      pokerService.commitRoom = async (room, events) => {
+        committed.push(...events.map((e) => e.type));
+        return room;
+      };
+      let dealt = false;
+      pokerService.scheduleNextHand = () => {
+        dealt = true;
+      };
+
+      const stalled = {
+        ...startedRoom(),
+        tournamentId: "tournament_recover",
+        currentTurn: null,
+        updatedAt: new Date().toISOString(),
+      };
+      stored["poker:room:poker_recover"] = JSON.stringify(stalled);
+
+      const room = await pokerService.recoverRoom("poker_recover");
+      expect(room.status).to.equal("waiting");
+      expect(committed).to.include("hand_aborted");
+      expect(dealt).to.be.false;
+    });
+
+    it("should schedule the next hand and delayed spectator views", async () => {
+      const jobs = [];
+      pokerService.scheduler = {
+        schedule: async (...job) => jobs.push(job),
+        cancel: async () => {},
+      };
+      pokerService.ws = {
+        broadcastToRoom: () => {},
+        broadcastToSpectators: () => {
+          throw new Error("spectators see it after the delay");
+        },
+      };
+
+      const room = { ...startedRoom(), status: "waiting", spectatorDelay: 30 };
+      pokerService.scheduleNextHand(room);
+      pokerService.broadcastToSpectators(room, [{ type: "hand_aborted" }]);
+
+      expect(jobs[0].slice(0, 3)).to.deep.equal([
+        "poker:next-hand:poker_recover",
+        "poker:next-hand",
+        { roomId: "poker_recover" },
+      ]);
+      expect(jobs[1][1]).to.equal("poker:spectators");
+      expect(jobs[1][2].messages[0].type).to.equal("hand_aborted");
+      expect(jobs[1][2].view.players[0].hand[0]).to.deep.equal({
+        hidden: true,
+      });
+      expect(jobs[1][3] - Date.now()).to.be.closeTo(30000, 100);
+    });
+
+    it("should keep turn deadlines in the scheduler under the room's id", async () => {
+      const calls = [];
+      pokerService.scheduler = {
+        schedule: async (...args) => calls.push(["schedule", ...args]),
+        cancel: async (id) => calls.push(["cancel", id]),
+      };
+
+      const room = startedRoom();
+      pokerService.updateTurnTimer(room);
+      pokerService.armTimers(room);
+
+      const [cancel, [, id, type, data, dueAt]] = calls;
+      expect(cancel).to.deep.equal(["cancel", "poker:timer:poker_recover"]);
+      expect([id, type, data]).to.deep.equal([
+        "poker:timer:poker_recover",
+        "poker:timeout",
+        { roomId: "poker_recover", playerId: room.currentTurn },
+      ]);
+      expect(dueAt).to.be.closeTo(room.turnTimer.timeBankEndsAt, 50);
+
+      // A run-it-twice vote replaces the turn timer under the same id
+      calls.length = 0;
+      const endsAt = Date.now() + 5000;
+      pokerService.armTimers({
+        ...room,
+        turnTimer: null,
+        runItTwiceVote: { endsAt },
+      });
+      expect(calls[1].slice(1, 4)).to.deep.equal([
+        "poker:timer:poker_recover",
+        "poker:run-it-twice",
+        { roomId: "poker_recover" },
+      ]);
+      expect(calls[1][4]).to.be.closeTo(endsAt, 50);
+    });
+  });
+
+  describe("Room Locks", () => {
+    let locks;
+
+    beforeEach(() => {
+      locks = {};
+      pokerService.redis = {
+        client: {
+          set: async (key, value) => {
+            if (locks[key]) return null;
+            locks[key] = value;
+            return "OK";
+          },
+          eval: async (script, keys, key, token) => {
+            if (locks[key] !== token) return 0;
+            delete locks[key];
+            return 1;
+          },
+        },
+      };
+    });
+
+    it("should run one transition at a time on a room", async () => {
+      const order = [];
+      const first = pokerService.withRoomLock("poker_lock", async () => {
+        order.push("first started");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        order.push("first done");
+      });
+      const second = pokerService.withRoomLock("poker_lock", async () =>
+        order.push("second")
+      );
+
+      await Promise.all([first, second]);
+      expect(order).to.deep.equal(["first started", "first done", "second"]);
+      expect(locks).to.deep.equal({});
+
+      locks["poker:lock:poker_lock"] = "another server";
+      pokerService.lockWait = 100;
+      await pokerService
+        .withRoomLock("poker_lock", async () => {})
+        .then(
+          () => expect.fail("the room is locked"),
+          (error) => expect(error.message).to.equal("Table is busy, try again")
+        );
+    });
+
+    it("should lock the room for every change to it", async () => {
+      pokerService.getRoom = async () => expect.fail("read under the lock");
+      locks["poker:lock:poker_lock"] = "a hand being dealt";
+      pokerService.lockWait = 100;
+
+      const changes = [
+        pokerService.sitOut("poker_lock", "user1"),
+        pokerService.sitIn("poker_lock", "user1"),
+        pokerService.setLocked("poker_lock", "user1", true),
+        pokerService.voteRunItTwice("poker_lock", "user1", true),
+        pokerService.setClientSeed("poker_lock", "user1", "seed"),
+        pokerService.dealNextHand("poker_lock"),
+      ];
+      for (const change of changes) {
+        await change.then(
+          () => expect.fail("the room is locked"),
+          (error) => expect(error.message).to.equal("Table is busy, try again")
+        );
+      }
+    });
+
+    it("should give the buy-in back when the seat can't be stored", async () => {
+      const room = engine.createRoomState({
+        id: "poker_lock",
+        name: "Cash Game",
+        creatorId: "user1",
+        minBet: 10,
+        minBuyIn: 100,
+        maxBuyIn: 1000,
+      });
+      const getUser = User.getUser;
+      User.getUser = async (id) => ({ id, username: id, chips_balance: 1000 });
+      pokerService.getRoom = async () => room;
+      pokerService.commitRoom = async () => {
+        throw new Error("Redis went away");
+      };
+      const transfers = [];
+      pokerService.transferChips = async (userId, type, chipsDelta) =>
+        transfers.push([userId, type, chipsDelta]);
+
+      try {
+        await pokerService.joinRoom("poker_lock", "user2", 500).then(
+          () => expect.fail("the seat was not stored"),
+          (error) => expect(error.message).to.equal("Redis went away")
+        );
+      } finally {
+        User.getUser = getUser;
+      }
+
+      expect(transfers).to.deep.equal([
+        ["user2", "poker_buy_in", -500],
+        ["user2", "refund", 500],
+      ]);
+      expect(locks).to.deep.equal({});
+    });
+  });
+
+  describe("Bot Seats", () => {
+    it("should fund bots at real-chip tables from the house account", async () => {
+      const room = engine.createRoomState({
+        id: "poker_bots",
+        name: "Cash Game",
+        creatorId: "user1",
+        minBet: 10,
+        minBuyIn: 100,
+        maxBuyIn: 1000,
+        allowBots: true,
+      });
+      const getUser = User.getUser;
+      User.getUser = async (id) => ({ id, username: id, chips_balance: 800 });
+      pokerService.withRoomLock = (roomId, task) => task();
+      pokerService.getRoom = async () => room;
+      pokerService.commitRoom = async (updated) => updated;
+      const transfers = [];
+      pokerService.transferChips = async (userId, type, chipsDelta, meta) =>
+        transfers.push([userId, type, chipsDelta, meta.botId]);
+      const seatBot = (buyIn) =>
+        pokerService.joinRoom("poker_bots", "bot_1", buyIn, {
+          botStrategy: "pot-odds",
+          username: "Bot 1 (pot-odds)",
+        });
+
+      try {
+        pokerService.houseUserId = undefined;
+        await seatBot(500).then(
+          () => expect.fail("no house account"),
+          (error) =>
+            expect(error.message).to.equal(
+              "Bots at real-chip tables need a house account"
+            )
+        );
+
+        pokerService.houseUserId = "house";
+        await seatBot(900).then(
+          () => expect.fail("the house is short"),
+          (error) => expect(error.message).to.equal("Insufficient balance")
+        );
+        await seatBot(500);
+      } finally {
+        User.getUser = getUser;
+      }
+
+      // The stack goes back to the house when the bot leaves
+      await pokerService.cashOutStacks("poker_bots", [
+        { type: "player_left", playerId: "bot_1", chips: 650 },
+      ]);
+      expect(transfers).to.deep.equal([
+        ["house", "poker_buy_in", -500, "bot_1"],
+        ["house", "poker_cash_out", 650, "bot_1"],
+      ]);
+    });
+  });
+
+  describe("Private Rooms", () => {
+    it("should sign invites that only open their own room", async () => {
+      const room = engine.createRoomState({
+        id: "poker_private",
+        name: "Home Game",
+        creatorId: "user1",
+        isPrivate: true,
+      });
+      pokerService.getRoom = async () => room;
+
+      await pokerService.createInvite("poker_private", "user2").then(
+        () => expect.fail("only the host can invite"),
+        (error) =>
+          expect(error.message).to.equal("Only room creator can invite players")
+      );
+
+      const { token, expiresAt } = await pokerService.createInvite(
+        "poker_private",
+        "user1",
+        { expiresInMinutes: 5 }
+      );
+      expect(new Date(expiresAt) - Date.now()).to.be.closeTo(300000, 5000);
+      expect(pokerService.verifyInvite("poker_private", token).roomId).to.equal(
+        "poker_private"
+      );
+      expect(() => pokerService.verifyInvite("poker_other", token)).to.throw(
+        "Invite is for another room"
+      );
+      expect(() => pokerService.verifyInvite("poker_private", "junk")).to.throw(
+        "Invite is invalid or has expired"
+      );
+    });
+
+    it("should ask spectators of a private room for the password", async () => {
+      const room = engine.createRoomState({
+        id: "poker_private",
+        name: "Home Game",
+        creatorId: "user1",
+        isPrivate: true,
+      });
+      const stored = {};
+      pokerService.redis = {
+        client: {
+          get: async (key) => stored[key] || null,
+          set: async (key, value) => {
+            stored[key] = value;
+          },
+        },
+      };
+      pokerService.getRoom = async () => room;
+      await pokerService.setRoomPassword(room, "secret");
+
+      const watch = (viewerId, credentials) =>
+        pokerService.getSpectatorView("poker_private", viewerId, credentials);
+      const refused = (promise, message) =>
+        promise.then(
+          () => expect.fail(`expected "${message}"`),
+          (error) => expect(error.message).to.equal(message)
+        );
+
+      await refused(
+        watch("user2"),
+        "Private room needs a password or an invite"
+      );
+      await refused(
+        watch("user2", { password: "guess" }),
+        "Wrong room password"
+      );
+      expect((await watch("user2", { password: "secret" })).id).to.equal(
+        "poker_private"
+      );
+      expect((await watch("user1")).players).to.deep.equal([]);
+
+      const { token } = await pokerService.createInvite(
+        "poker_private",
+        "user1"
+      );
+      expect((await watch(null, { inviteToken: token })).private).to.equal(
+        true
+      );
+    });
+  });
 });
@@ -0,0 +1,93 @@
+import { expect } from "chai";
+import playerStats from "../services/PokerPlayerStats.js";
+import PokerGameEngine from "../services/PokerGameEngine.js";
+
+describe("Poker Player Stats", () => {
+  let engine;
+  let histories;
+
+  // Plays [playerId, action, amount] steps and returns the next hand's room
+  const play = (room, steps) => {
+    let events;
+    ({ room } = engine.startHand(room, engine.createDeck()));
+    for (const [playerId, action, amount] of steps) {
+      ({ room, events } = engine.applyAction(room, playerId, action, amount));
+    }
+    histories.push(events.find((e) => e.type === "showdown").history);
+    return room;
+  };
+
+  beforeEach(() => {
+    engine = new PokerGameEngine();
+    histories = [];
+
+    let room = engine.createRoomState({
+      id: "poker_stats",
+      name: "Stats Room",
+      creatorId: "user1",
+    });
+    for (const id of ["user1", "user2", "user3"]) {
+      ({ room } = engine.addPlayer(room, { id, username: id, chips: 1000 }));
+    }
+
+    // user1 opens, user2 3-bets from the small blind, both see a showdown
+    room = play(room, [
+      ["user1", "raise", 20],
+      ["user2", "raise", 60],
+      ["user3", "fold"],
+      ["user1", "call"],
+      ["user2", "bet", 100],
+      ["user1", "call"],
+      ["user2", "check"],
+      ["user1", "check"],
+      ["user2", "check"],
+      ["user1", "check"],
+    ]);
+
+    // user3 limps, user1 checks the big blind and folds the flop
+    play(room, [
+      ["user2", "fold"],
+      ["user3", "call"],
+      ["user1", "check"],
+      ["user3", "bet", 10],
+      ["user1", "fold"],
+    ]);
+  });
+
+  it("should count preflop participation and raises", () => {
+    const user1 = playerStats.compute(histories, "user1");
+    const user2 = playerStats.compute(histories, "user2");
+
+    expect(user1).to.include({ hands: 2, vpip: 50, pfr: 50, threeBet: null });
+    expect(user2).to.include({ hands: 2, vpip: 50, pfr: 50, threeBet: 100 });
+    expect(playerStats.compute(histories, "user3")).to.include({
+      hands: 2,
+      vpip: 50,
+      pfr: 0,
+    });
+  });
+
+  it("should measure postflop aggression and showdowns", () => {
+    const user1 = playerStats.compute(histories, "user1");
+    const user2 = playerStats.compute(histories, "user2");
+    const winner = histories[0].pots[0].winners[0].playerId;
+
+    expect(user1).to.include({ aggressionFactor: 0, wentToShowdown: 50 });
+    expect(user2).to.include({ aggressionFactor: null, wentToShowdown: 100 });
+    expect(user1.wonAtShowdown).to.equal(winner === "user1" ? 100 : 0);
+    expect(user2.wonAtShowdown).to.equal(winner === "user2" ? 100 : 0);
+  });
+
+  it("should skip hands the player sat out or was not seated for", () => {
+    const sittingOut = {
+      ...histories[0],
+      seats: histories[0].seats.map((seat) => ({ ...seat, sittingOut: true })),
+    };
+
+    expect(playerStats.compute([sittingOut], "user1").hands).to.equal(0);
+    expect(playerStats.compute(histories, "user9")).to.include({
+      hands: 0,
+      vpip: null,
+    });
+  });
+});
@@ -0,0 +1,311 @@
+import { expect } from "chai";
+import PokerTournamentEngine from "../services/PokerTournamentEngine.js";
+import tournamentService from "../services/PokerTournamentService.js";
+
+describe("PokerTournamentEngine", () => {
+  let engine;
+
+  const minute = 60 * 1000;
+
+  const createWithPlayers = (count, options = {}) => {
+    let tournament = engine.createTournament({
+      id: "tournament_test",
+      name: "Test Tournament",
+      creatorId: "user1",
+      buyIn: 100,
+      ...options,
+    });
+    for (let i = 1; i <= count; i++) {
+      ({ tournament } = engine.register(tournament, {
+        id: `user${i}`,
+        username: `Player${i}`,
+      }));
+    }
+    return tournament;
+  };
+
+  beforeEach(() => {
+    engine = new PokerTournamentEngine();
+  });
+
+  describe("Registration", () => {
+    it("should register players until the tournament is full", () => {
+      const tournament = createWithPlayers(6);
+
+      expect(tournament.players).to.have.length(6);
+      expect(() =>
+        engine.register(tournament, { id: "user7", username: "Player7" })
+      ).to.throw("Tournament is full");
+      expect(() =>
+        engine.register(createWithPlayers(3), {
+          id: "user1",
+          username: "Player1",
+        })
+      ).to.throw("Player already registered");
+    });
+
+    it("should refund the buy-in on unregister", () => {
+      const { tournament, events } = engine.unregister(
+        createWithPlayers(3),
+        "user2"
+      );
+
+      expect(tournament.players.map((p) => p.id)).to.deep.equal([
+        "user1",
+        "user3",
+      ]);
+      expect(events[0]).to.deep.equal({
+        type: "tournament_unregistered",
+        playerId: "user2",
+        refund: 100,
+      });
+    });
+
+    it("should require a start time for a scheduled tournament", () => {
+      expect(() =>
+        engine.createTournament({ id: "t", type: "mtt", buyIn: 10 })
+      ).to.throw("A scheduled tournament needs a start time");
+    });
+  });
+
+  describe("Seating and Balancing", () => {
+    it("should seat players round-robin across the tables", () => {
+      const registered = createWithPlayers(14, {
+        type: "mtt",
+        startTime: "2030-01-01T00:00:00Z",
+      });
+
+      const { tournament, events } = engine.start(registered, {
+        tableIds: ["t1", "t2", "t3"],
+        now: 0,
+      });
+
+      expect(tournament.status).to.equal("running");
+      expect(events[0].tables.map((t) => t.playerIds.length)).to.deep.equal([
+        5, 5, 4,
+      ]);
+      expect(events[0].bigBlind).to.equal(20);
+    });
+
+    it("should move players from the fullest to the shortest table", () => {
+      const tournament = createWithPlayers(2);
+
+      const { moves, brokenTables } = engine.planBalancing(tournament, {
+        t1: 6,
+        t2: 3,
+        t3: 5,
+      });
+
+      expect(brokenTables).to.deep.equal([]);
+      expect(moves).to.deep.equal([{ from: "t1", to: "t2" }]);
+    });
+
+    it("should break a table once the others have room for its players", () => {
+      const tournament = createWithPlayers(2);
+
+      const { moves, brokenTables } = engine.planBalancing(tournament, {
+        t1: 4,
+        t2: 2,
+        t3: 5,
+      });
+
+      expect(brokenTables).to.deep.equal(["t2"]);
+      expect(moves).to.deep.equal([
+        { from: "t2", to: "t1" },
+        { from: "t2", to: "t3" },
+      ]);
+    });
+  });
+
+  describe("Blind Clock", () => {
+    it("should raise the blinds as levels expire", () => {
+      let { tournament } = engine.start(
+        createWithPlayers(2, { levelMinutes: 5 }),
+        { tableIds: ["t1"], now: 0 }
+      );
+
+      expect(engine.getLevel(tournament, 4 * minute)).to.include({
+        level: 0,
+        bigBlind: 20,
+        nextLevelAt: 5 * minute,
+      });
+
+      let events;
+      ({ tournament, events } = engine.updateLevel(tournament, 11 * minute));
+      expect(tournament.level).to.equal(2);
+      expect(events[0]).to.include({
+        type: "tournament_level_up",
+        smallBlind: 20,
+        bigBlind: 40,
+      });
+    });
+  });
+
+  describe("Eliminations and Payouts", () => {
+    it("should place players busted in the same hand by starting stack", () => {
+      let { tournament } = engine.start(createWithPlayers(4), {
+        tableIds: ["t1"],
+        now: 0,
+      });
+
+      const { tournament: after, events } = engine.eliminate(
+        tournament,
+        [
+          { playerId: "user1", handStack: 900 },
+          { playerId: "user2", handStack: 300 },
+        ],
+        1000
+      );
+
+      expect(events.map((e) => [e.playerId, e.position])).to.deep.equal([
+        ["user2", 4],
+        ["user1", 3],
+      ]);
+      expect(after.status).to.equal("running");
+    });
+
+    it("should finish and pay out when one player remains", () => {
+      let { tournament } = engine.start(createWithPlayers(6), {
+        tableIds: ["t1"],
+        now: 0,
+      });
+
+      ({ tournament } = engine.eliminate(
+        tournament,
+        ["user6", "user5", "user4", "user3"].map((playerId) => ({
+          playerId,
+          handStack: 100,
+        })),
+        1000
+      ));
+      const { tournament: finished, events } = engine.eliminate(
+        tournament,
+        [{ playerId: "user2", handStack: 500 }],
+        2000
+      );
+
+      expect(finished.status).to.equal("finished");
+      expect(finished.prizes).to.deep.equal([
+        { position: 1, playerId: "user1", amount: 390 },
+        { position: 2, playerId: "user2", amount: 210 },
+      ]);
+      expect(events[events.length - 1].type).to.equal("tournament_finished");
+      expect(
+        events[events.length - 1].standings.map((s) => s.playerId)
+      ).to.deep.equal(["user1", "user2", "user3", "user4", "user5", "user6"]);
+    });
+
+    it("should give rounding leftovers to the winner", () => {
+      const tournament = createWithPlayers(3, { buyIn: 33, payouts: [70, 30] });
+      tournament.players.forEach((p, i) => (p.position = i + 1));
+
+      const prizes = engine.calculatePrizes(tournament);
+
+      expect(prizes.map((p) => p.amount)).to.deep.equal([70, 29]);
+    });
+  });
+
+  describe("Startup Recovery", () => {
+    let service;
+    let stored;
+    let armed;
+    let dealt;
+
+    beforeEach(() => {
+      stored = {};
+      armed = [];
+      dealt = [];
+      const rooms = {
+        t1: { id: "t1", status: "waiting", players: [] },
+        t2: { id: "t2", status: "playing", players: [] },
+      };
+
+      service = new tournamentService.constructor({
+        getRoom: async (tableId) => rooms[tableId],
+      });
+      service.redis = {
+        client: {
+          get: async (key) => stored[key] || null,
+          set: async (key, value) => {
+            stored[key] = value;
+          },
+          smembers: async () =>
+            Object.keys(stored).map((key) => key.split(":")[2]),
+        },
+      };
+      service.armStartClock = (t) => armed.push(["start", t.id]);
+      service.armLevelClock = (t) => armed.push(["level", t.id]);
+      service.scheduleNextHand = (id, tableId) => dealt.push(tableId);
+    });
+
+    const store = (tournament) => {
+      stored[`poker:tournament:${tournament.id}`] = JSON.stringify(tournament);
+    };
+
+    it("should keep the clocks on the scheduler", async () => {
+      const jobs = [];
+      service = new tournamentService.constructor({});
+      service.scheduler = {
+        schedule: async (...job) => jobs.push(job),
+        cancel: async () => {},
+      };
+
+      const scheduled = createWithPlayers(2, {
+        type: "mtt",
+        startTime: "2030-01-01T00:00:00Z",
+      });
+      service.armStartClock(scheduled);
+      service.scheduleNextHand("tournament_test", "t1");
+
+      expect(jobs[0]).to.deep.equal([
+        "tournament:clock:tournament_test",
+        "tournament:start",
+        { tournamentId: "tournament_test" },
+        Date.parse("2030-01-01T00:00:00Z"),
+      ]);
+      expect(jobs[1].slice(0, 3)).to.deep.equal([
+        "tournament:hand:t1",
+        "tournament:hand",
+        { tournamentId: "tournament_test", tableId: "t1" },
+      ]);
+
+      // Finished work leaves no queue behind
+      await service.runExclusive("tournament_test", async () => {});
+      await service
+        .runExclusive("tournament_test", async () => {
+          throw new Error("failed");
+        })
+        .catch(() => {});
+      await Promise.resolve();
+      expect(service.queues.size).to.equal(0);
+    });
+
+    it("should re-arm the clocks of open tournaments", async () => {
+      const scheduled = createWithPlayers(2, {
+        type: "mtt",
+        startTime: "2030-01-01T00:00:00Z",
+      });
+      store(scheduled);
+      store({
+        ...engine.start(createWithPlayers(2, { id: "tournament_running" }), {
+          tableIds: ["t1", "t2"],
+          now: 0,
+        }).tournament,
+        id: "tournament_running",
+      });
+      store({
+        ...createWithPlayers(2),
+        id: "tournament_done",
+        status: "finished",
+      });
+
+      expect(await service.recoverTournaments()).to.equal(2);
+      expect(armed).to.have.deep.members([
+        ["start", "tournament_test"],
+        ["level", "tournament_running"],
+      ]);
+      // The table still mid-hand was re-armed with its room
+      expect(dealt).to.deep.equal(["t1"]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { expect } from "chai";
+import handEvaluator from "../services/PokerHandEvaluator.js";
+import PokerGameEngine from "../services/PokerGameEngine.js";
+
+// "Ah" -> { rank: "A", suit: "hearts" }, "10s" -> { rank: "10", suit: "spades" }
+const suits = { h: "hearts", d: "diamonds", c: "clubs", s: "spades" };
+const cards = (...codes) =>
+  codes.map((code) => ({
+    rank: code.slice(0, -1),
+    suit: suits[code.slice(-1)],
+  }));
+
+describe("Poker Variants", () => {
+  let engine;
+
+  const seatPlayers = (count, options) => {
+    let room = engine.createRoomState({
+      id: "poker_variant",
+      name: "Variant Room",
+      creatorId: "user1",
+      ...options,
+    });
+    for (let i = 1; i <= count; i++) {
+      ({ room } = engine.addPlayer(room, {
+        id: `user${i}`,
+        username: `Player${i}`,
+        chips: 1000,
+      }));
+    }
+    return room;
+  };
+
+  beforeEach(() => {
+    engine = new PokerGameEngine();
+  });
+
+  describe("Omaha", () => {
+    it("should deal four hole cards and default to pot-limit", () => {
+      const { room } = engine.startHand(
+        seatPlayers(3, { variant: "omaha" }),
+        engine.createDeck("omaha")
+      );
+
+      expect(room.bettingStructure).to.equal("pot-limit");
+      expect(room.players.map((p) => p.hand.length)).to.deep.equal([4, 4, 4]);
+      expect(room.deck).to.have.length(52 - 12);
+    });
+
+    it("should not make a flush from four suited hole cards", () => {
+      const result = handEvaluator.evaluateHand(
+        cards("Ah", "Kh", "Qh", "Jh"),
+        cards("2h", "7c", "8d", "9s", "3c"),
+        "omaha"
+      );
+
+      expect(result.name).to.equal("High Card");
+      expect(result.values).to.deep.equal([14, 13, 9, 8, 7]);
+    });
+
+    it("should use exactly three board cards", () => {
+      const result = handEvaluator.evaluateHand(
+        cards("As", "Kd", "2c", "3c"),
+        cards("Ks", "Qs", "Js", "10s", "4h"),
+        "omaha"
+      );
+
+      // Holdem rules would find the royal flush on the board plus the ace
+      expect(result.name).to.equal("Straight");
+      expect(
+        handEvaluator.evaluateHand(
+          cards("As", "Kd"),
+          cards("Ks", "Qs", "Js", "10s", "4h")
+        ).name
+      ).to.equal("Royal Flush");
+    });
+
+    it("should be incomplete before the flop", () => {
+      const result = handEvaluator.evaluateHand(
+        cards("As", "Ad", "Kc", "Kd"),
+        [],
+        "omaha"
+      );
+
+      expect(result.name).to.equal("Incomplete Hand");
+    });
+  });
+
+  describe("Short-Deck", () => {
+    it("should play with a 36-card deck without 2s to 5s", () => {
+      const deck = engine.createDeck("short-deck");
+
+      expect(deck).to.have.length(36);
+      expect(deck.some((card) => ["2", "3", "4", "5"].includes(card.rank))).to
+        .be.false;
+      expect(() => seatPlayers(2, { variant: "razz" })).to.throw(
+        "Variant must be one of: holdem, omaha, short-deck"
+      );
+    });
+
+    it("should rank a flush above a full house", () => {
+      const board = cards("9h", "9d", "6h", "Kh", "Ac");
+      const flush = handEvaluator.evaluateHand(
+        cards("Qh", "7h"),
+        board,
+        "short-deck"
+      );
+      const fullHouse = handEvaluator.evaluateHand(
+        cards("9c", "Kc"),
+        board,
+        "short-deck"
+      );
+
+      expect(flush.name).to.equal("Flush");
+      expect(fullHouse.name).to.equal("Full House");
+      expect(handEvaluator.compareHands(flush, fullHouse)).to.be.above(0);
+      expect(flush.score).to.be.above(fullHouse.score);
+
+      // Same cards under holdem rules
+      expect(
+        handEvaluator.compareHands(
+          handEvaluator.evaluateHand(cards("Qh", "7h"), board),
+          handEvaluator.evaluateHand(cards("9c", "Kc"), board)
+        )
+      ).to.be.below(0);
+    });
+
+    it("should count A-6-7-8-9 as the lowest straight", () => {
+      const board = cards("7h", "8s", "9c", "Kd", "Qh");
+      const aceLow = handEvaluator.evaluateHand(
+        cards("Ac", "6d"),
+        board,
+        "short-deck"
+      );
+      const tenHigh = handEvaluator.evaluateHand(
+        cards("10c", "6s"),
+        board,
+        "short-deck"
+      );
+
+      expect(aceLow.name).to.equal("Straight");
+      expect(aceLow.description).to.equal("Straight, 9 high");
+      expect(aceLow.cards.map((card) => card.rank)).to.deep.equal([
+        "9",
+        "8",
+        "7",
+        "6",
+        "A",
+      ]);
+      expect(handEvaluator.compareHands(tenHigh, aceLow)).to.be.above(0);
+      expect(
+        handEvaluator.evaluateHand(cards("Ac", "6d"), board).name
+      ).to.equal("High Card");
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import { expect } from "chai";
+import rouletteBets from "../services/RouletteBets.js";
+import GameService from "../services/GameService.js";
+
+describe("Roulette Bets", () => {
+  it("should only accept inside bets on neighbouring numbers", () => {
+    expect(rouletteBets.normalize("split", [20, 17])).to.deep.equal({
+      type: "split",
+      numbers: [17, 20],
+    });
+    expect(rouletteBets.normalize("split", [0, 2]).numbers).to.deep.equal([
+      0, 2,
+    ]);
+    expect(rouletteBets.normalize("corner", [26, 29, 25, 28]).type).to.equal(
+      "corner"
+    );
+    expect(
+      rouletteBets.normalize("six-line", [31, 32, 33, 34, 35, 36]).type
+    ).to.equal("six-line");
+    expect(rouletteBets.normalize("basket", [0, 1, 2, 3]).type).to.equal(
+      "first-four"
+    );
+
+    // 3 and 4 sit at opposite ends of the layout
+    expect(() => rouletteBets.normalize("split", [3, 4])).to.throw(
+      "3, 4 is not a legal split bet"
+    );
+    expect(() => rouletteBets.normalize("street", [2, 3, 4])).to.throw(
+      "not a legal street bet"
+    );
+    expect(() => rouletteBets.normalize("corner", [3, 4, 6, 7])).to.throw(
+      "not a legal corner bet"
+    );
+    expect(() => rouletteBets.normalize("straight", 37)).to.throw(
+      "37 is not a legal straight bet"
+    );
+    expect(() => rouletteBets.normalize("dozen", 4)).to.throw(
+      "A dozen bet must name 1, 2 or 3"
+    );
+    expect(() => rouletteBets.normalize("trio", [0, 1, 2])).to.throw(
+      "Unknown bet type: trio"
+    );
+  });
+
+  it("should pay each bet type at its odds", () => {
+    const pays = (type, value, number) =>
+      rouletteBets.settle({ type, value, amount: 10 }, number).winAmount;
+
+    expect(pays("straight", 17, 17)).to.equal(350);
+    expect(pays("split", [17, 20], 20)).to.equal(170);
+    expect(pays("street", [0, 2, 3], 0)).to.equal(110);
+    expect(pays("corner", [1, 2, 4, 5], 5)).to.equal(80);
+    expect(pays("first-four", [0, 1, 2, 3], 3)).to.equal(80);
+    expect(pays("six-line", [1, 2, 3, 4, 5, 6], 6)).to.equal(50);
+    expect(pays("dozen", 2, 24)).to.equal(20);
+    expect(pays("column", 3, 36)).to.equal(20);
+    expect(pays("column", 1, 36)).to.equal(0);
+    expect(pays("red", undefined, 0)).to.equal(0);
+    expect(pays("1-18", undefined, 18)).to.equal(10);
+  });
+
+  it("should take double zero and five-number bets on the American wheel", () => {
+    expect(rouletteBets.normalize("straight", "00", "american")).to.deep.equal({
+      type: "straight",
+      numbers: [37],
+    });
+    expect(
+      rouletteBets.normalize("basket", [0, "00", 1, 2, 3], "american").type
+    ).to.equal("five-number");
+    expect(
+      rouletteBets.normalize("split", ["00", 3], "american").type
+    ).to.equal("split");
+
+    // No double zero on single-zero wheels
+    expect(() => rouletteBets.normalize("straight", "00", "french")).to.throw(
+      "00 is not a legal straight bet"
+    );
+    expect(() =>
+      rouletteBets.normalize("first-four", [0, 1, 2, 3], "american")
+    ).to.throw("not a legal first-four bet");
+
+    const table = { wheel: "american" };
+    const fiveNumber = {
+      type: "five-number",
+      numbers: [0, 1, 2, 3, 37],
+      amount: 10,
+    };
+    expect(rouletteBets.settle(fiveNumber, 37, table).winAmount).to.equal(60);
+    expect(
+      rouletteBets.settle({ type: "red", amount: 10 }, 37, table)
+    ).to.include({ win: false, refund: 0, imprisoned: false });
+    expect(rouletteBets.getWheel("american").pockets).to.equal(38);
+    expect(rouletteBets.label(37)).to.equal("00");
+  });
+
+  it("should apply La Partage and En Prison on French tables", () => {
+    expect(rouletteBets.assertWheel("french")).to.deep.equal({
+      wheel: "french",
+      zeroRule: "la-partage",
+    });
+    expect(() => rouletteBets.assertWheel("american", "en-prison")).to.throw(
+      "The american wheel has no zero rule"
+    );
+    expect(() => rouletteBets.assertWheel("triple")).to.throw(
+      "Wheel must be one of: european, american, french"
+    );
+
+    const red = { type: "red", amount: 10 };
+    const partage = { wheel: "french", zeroRule: "la-partage" };
+    const prison = { wheel: "french", zeroRule: "en-prison" };
+
+    expect(rouletteBets.settle(red, 0, partage)).to.include({
+      win: false,
+      refund: 5,
+    });
+    // Only even-money bets are covered
+    expect(
+      rouletteBets.settle({ type: "dozen", value: 1, amount: 10 }, 0, partage)
+        .refund
+    ).to.equal(0);
+    expect(rouletteBets.settle(red, 1, partage).winAmount).to.equal(10);
+
+    expect(rouletteBets.settle(red, 0, prison)).to.include({
+      win: false,
+      refund: 0,
+      imprisoned: true,
+    });
+    // A held bet that wins gets its stake back and nothing more
+    const held = { ...red, imprisoned: true };
+    expect(rouletteBets.settle(held, 1, prison)).to.include({
+      win: false,
+      winAmount: 0,
+      refund: 10,
+    });
+    expect(rouletteBets.settle(held, 2, prison).refund).to.equal(0);
+  });
+
+  it("should expand announced bets into their chips", () => {
+    const voisins = rouletteBets.announce("voisins-du-zero", undefined, 90);
+    expect(voisins.type).to.equal("voisins");
+    expect(voisins.chips).to.have.length(9);
+    expect(voisins.chips.every((chip) => chip.amount === 10)).to.equal(true);
+    expect(
+      new Set(voisins.chips.flatMap((chip) => chip.numbers)).size
+    ).to.equal(17);
+
+    // Every chip is a legal bet on the layout
+    for (const type of ["voisins", "tiers", "orphelins", "jeu-zero"]) {
+      for (const chip of rouletteBets.announce(type, null, 60 * 9).chips) {
+        expect(() =>
+          rouletteBets.normalize(chip.type, chip.numbers)
+        ).not.to.throw();
+      }
+    }
+
+    const neighbours = rouletteBets.announce(
+      "neighbours",
+      { number: 0, count: 2 },
+      50
+    );
+    expect(neighbours.chips.map((chip) => chip.numbers[0])).to.deep.equal([
+      3, 26, 0, 32, 15,
+    ]);
+    expect(
+      rouletteBets
+        .announce("neighbours", { number: "00", count: 1 }, 3, "american")
+        .chips.map((chip) => rouletteBets.label(chip.numbers[0]))
+    ).to.deep.equal(["1", "00", "27"]);
+
+    expect(() => rouletteBets.announce("tiers", null, 10)).to.throw(
+      "Tiers du Cylindre is 6 chips, so the stake must be a multiple of 6"
+    );
+    expect(() =>
+      rouletteBets.announce("orphelins", null, 50, "american")
+    ).to.throw("Orphelins can only be called on a single-zero wheel");
+    expect(() =>
+      rouletteBets.announce("neighbours", { number: 17, count: 10 }, 21)
+    ).to.throw("Neighbours must be 1 to 9 either side");
+  });
+
+  it("should settle an announced bet as one grouped bet", () => {
+    const voisins = rouletteBets.announce("voisins", null, 90);
+
+    // Both chips on the 25-29 corner win: 2 x 10 x 8
+    const corner = rouletteBets.settle(voisins, 26);
+    expect(corner).to.include({
+      win: true,
+      winAmount: 160,
+      stake: 20,
+      refund: 0,
+    });
+    expect(corner.chips.filter((chip) => chip.win)).to.have.length(2);
+
+    // Zero hits both trio chips, even on a La Partage table
+    expect(
+      rouletteBets.settle(voisins, 0, {
+        wheel: "french",
+        zeroRule: "la-partage",
+      })
+    ).to.include({ winAmount: 220, refund: 0, imprisoned: false });
+
+    expect(rouletteBets.settle(voisins, 5).win).to.equal(false);
+  });
+
+  it("should name the table limit a bet breaks", () => {
+    const limits = rouletteBets.resolveLimits({
+      minBet: 5,
+      maxBet: 500,
+      typeMax: { straight: 50, red: 300 },
+      maxExposure: 1000,
+    });
+    const chip = (type, value, amount) => ({
+      ...rouletteBets.normalize(type, value),
+      amount,
+    });
+    const check =
+      (placed, ...chips) =>
+      () =>
+        rouletteBets.checkLimits(limits, placed, chips);
+
+    expect(
+      check([], chip("straight", 17, 50), chip("red", null, 300))
+    ).not.to.throw();
+    expect(check([], chip("split", [17, 20], 2))).to.throw(
+      "Table minimum is 5 per chip"
+    );
+    expect(check([], chip("dozen", 1, 600))).to.throw(
+      "Table maximum is 500 per chip"
+    );
+
+    // The cap counts every chip on the same spot
+    const placed = [chip("straight", 17, 30)];
+    expect(check(placed, chip("straight", 17, 25))).to.throw(
+      "Maximum on a straight bet is 50"
+    );
+    expect(check(placed, chip("straight", 18, 25))).not.to.throw();
+    expect(check([], chip("red", null, 200), chip("red", null, 200))).to.throw(
+      "Maximum on a red bet is 300"
+    );
+
+    // Announced bets are checked chip by chip
+    expect(
+      check([], ...rouletteBets.announce("jeu-zero", null, 60 * 4).chips)
+    ).to.throw("Maximum on a straight bet is 50");
+    expect(
+      check(
+        [chip("black", null, 300), chip("even", null, 300)],
+        chip("odd", null, 300),
+        chip("dozen", 2, 150)
+      )
+    ).to.throw("Maximum total stake per spin is 1000");
+
+    // Fixed-stake tables take only the minimum
+    const fixed = rouletteBets.resolveLimits({ minBet: 10 });
+    expect(() =>
+      rouletteBets.checkLimits(fixed, [], [chip("red", null, 20)])
+    ).to.throw("Table maximum is 10 per chip");
+    expect(() =>
+      rouletteBets.resolveLimits({ minBet: 10, maxBet: 5 })
+    ).to.throw("Table maximum must be at least the table minimum");
+  });
+
+  it("should refuse an illegal single-player roulette bet", () => {
+    expect(() => GameService.assertRouletteBet("purple")).to.throw(
+      "Unknown bet type: purple"
+    );
+    expect(() =>
+      GameService.assertRouletteBet({ type: "split", value: [17, 19] })
+    ).to.throw("17, 19 is not a legal split bet");
+    expect(() => GameService.assertRouletteBet(undefined)).to.throw(
+      "A roulette bet is required"
+    );
+    GameService.assertRouletteBet({ type: "split", value: [17, 20] });
+  });
+
+  it("should pay single-player roulette the same as multiplayer", () => {
+    const cases = [
+      [17, 17],
+      ["red", 1],
+      ["even", 0],
+      [{ type: "corner", value: [8, 9, 11, 12] }, 12],
+      [{ type: "dozen", value: 3 }, 30],
+    ];
+
+    for (const [bet, number] of cases) {
+      const shared = rouletteBets.settle(
+        { ...GameService.toRouletteBet(bet), amount: 1 },
+        number
+      );
+      expect(GameService.checkRouletteBet(bet, number)).to.equal(shared.win);
+      expect(GameService.getRouletteMultiplier(bet)).to.equal(
+        shared.multiplier
+      );
+    }
+  });
+});
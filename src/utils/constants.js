@@ -30,6 +30,11 @@ export const TRANSACTION_TYPES = {
   BET: "bet",
   WIN: "win",
   REFUND: "refund",
+  POKER_BUY_IN: "poker_buy_in",
+  POKER_CASH_OUT: "poker_cash_out",
+  POKER_RAKE: "poker_rake",
+  TOURNAMENT_BUY_IN: "tournament_buy_in",
+  TOURNAMENT_PRIZE: "tournament_prize",
 };
 
 export const TRANSACTION_STATUS = {
@@ -110,4 +115,13 @@ export const POKER_WS_MESSAGES = {
   PHASE_CHANGE: "phase_change",
   SHOWDOWN: "showdown",
   GAME_ENDED: "game_ended",
+  TOURNAMENT_REGISTERED: "tournament_registered",
+  TOURNAMENT_UNREGISTERED: "tournament_unregistered",
+  TOURNAMENT_STARTED: "tournament_started",
+  TOURNAMENT_LEVEL_UP: "tournament_level_up",
+  TOURNAMENT_PLAYER_MOVED: "tournament_player_moved",
+  TOURNAMENT_TABLE_BROKEN: "tournament_table_broken",
+  TOURNAMENT_PLAYER_ELIMINATED: "tournament_player_eliminated",
+  TOURNAMENT_FINISHED: "tournament_finished",
+  TOURNAMENT_CANCELLED: "tournament_cancelled",
 };
@@ -0,0 +1,28 @@
+-- Create poker_hands table (one row per completed hand)
+CREATE TABLE IF NOT EXISTS poker_hands (
+  id BIGSERIAL PRIMARY KEY,
+  room_id TEXT NOT NULL,
+  tournament_id TEXT,
+  hand_number INTEGER NOT NULL,
+  player_ids TEXT[] NOT NULL,
+  big_blind DECIMAL(20, 8) NOT NULL,
+  history JSONB NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE,
+  ended_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_poker_hands_player_ids ON poker_hands USING GIN (player_ids);
+CREATE INDEX IF NOT EXISTS idx_poker_hands_room_id ON poker_hands(room_id, hand_number);
+CREATE INDEX IF NOT EXISTS idx_poker_hands_ended_at ON poker_hands(ended_at);
+
+-- Histories keep every player's hole cards, folded and mucked hands too,
+-- so only the server (service role) may read or write them
+ALTER TABLE poker_hands ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY poker_hands_service_policy ON poker_hands
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
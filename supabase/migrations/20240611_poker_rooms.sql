@@ -0,0 +1,24 @@
+-- Create poker_rooms table (latest snapshot of each poker table)
+CREATE TABLE IF NOT EXISTS poker_rooms (
+  id TEXT PRIMARY KEY,
+  tournament_id TEXT,
+  status TEXT NOT NULL,
+  hand_number INTEGER NOT NULL DEFAULT 0,
+  state JSONB NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Open tables are reloaded on startup
+CREATE INDEX IF NOT EXISTS idx_poker_rooms_open ON poker_rooms(closed_at) WHERE closed_at IS NULL;
+
+-- Snapshots hold the deck order and every hole card, so only the server
+-- (service role) may read or write them
+ALTER TABLE poker_rooms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY poker_rooms_service_policy ON poker_rooms
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,39 @@
+-- Poker rake totals, per room and per day (UTC). Summed here rather than
+-- in the service, which would only see the first page of rake rows.
+CREATE OR REPLACE FUNCTION get_poker_rake_summary(
+  p_start_date TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_end_date TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+  result JSON;
+BEGIN
+  WITH rake AS (
+    SELECT
+      amount,
+      COALESCE(metadata->>'roomId', 'unknown') AS room_id,
+      to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day
+    FROM transactions
+    WHERE type = 'poker_rake'
+    AND status = 'completed'
+    AND (p_start_date IS NULL OR created_at >= p_start_date)
+    AND (p_end_date IS NULL OR created_at <= p_end_date)
+  )
+  SELECT json_build_object(
+    'total', COALESCE((SELECT SUM(amount) FROM rake), 0),
+    'hands', (SELECT COUNT(*) FROM rake),
+    'byRoom', COALESCE(
+      (SELECT json_object_agg(room_id, total)
+       FROM (SELECT room_id, SUM(amount) AS total FROM rake GROUP BY room_id) rooms),
+      '{}'::JSON
+    ),
+    'byDay', COALESCE(
+      (SELECT json_object_agg(day, total ORDER BY day)
+       FROM (SELECT day, SUM(amount) AS total FROM rake GROUP BY day) days),
+      '{}'::JSON
+    )
+  ) INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql;
@@ -118,7 +118,7 @@ async function testComprehensivePokerLogic() {
       { rank: "10", suit: "hearts" },
     ];
 
-    const handResult = pokerService.evaluateHand(playerHand, communityCards);
+    const handResult = pokerService.engine.evaluateHand(playerHand, communityCards);
     console.log(
       "✅ Hand evaluated:",
       handResult.name,
@@ -77,30 +77,23 @@ class SmartBot {
     if (!hand || hand.length !== 2) return 0;
 
     const allCards = [...hand, ...community];
-    const handValue = pokerService.evaluateHand(hand, community);
-
-    // Normalize score to 0-1 range
-    let strength = 0;
-
-    if (handValue.score >= 9000)
-      strength = 1.0; // Royal flush
-    else if (handValue.score >= 8000)
-      strength = 0.95; // Straight flush
-    else if (handValue.score >= 7000)
-      strength = 0.9; // Four of a kind
-    else if (handValue.score >= 6000)
-      strength = 0.85; // Full house
-    else if (handValue.score >= 5000)
-      strength = 0.75; // Flush
-    else if (handValue.score >= 4000)
-      strength = 0.65; // Straight
-    else if (handValue.score >= 3000)
-      strength = 0.55; // Three of a kind
-    else if (handValue.score >= 2000)
-      strength = 0.45; // Two pair
-    else if (handValue.score >= 1000)
-      strength = 0.35; // Pair
-    else strength = Math.max(0.1, handValue.score / 10000); // High card
+    const handValue = pokerService.engine.evaluateHand(hand, community);
+
+    // Normalize hand category to 0-1 range
+    const strengthByRank = {
+      9: 1.0, // Royal flush
+      8: 0.95, // Straight flush
+      7: 0.9, // Four of a kind
+      6: 0.85, // Full house
+      5: 0.75, // Flush
+      4: 0.65, // Straight
+      3: 0.55, // Three of a kind
+      2: 0.45, // Two pair
+      1: 0.35, // Pair
+    };
+    let strength =
+      strengthByRank[handValue.rank] ??
+      Math.max(0.1, (handValue.values?.[0] || 0) / 14 / 4); // High card
 
     // Adjust for pre-flop play
     if (community.length === 0) {